@@ -3,6 +3,11 @@ import cors from "cors";
 import dotenv from "dotenv";
 import { createClient } from "@supabase/supabase-js";
 import axios from "axios";
+import crypto from "crypto";
+import fs from "fs/promises";
+import ExcelJS from "exceljs";
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
 
 dotenv.config();
 
@@ -21,10 +26,55 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["Content-Disposition"],
   })
 );
 
-app.use(express.json());
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  415: "unsupported_media_type",
+  429: "rate_limited",
+  500: "internal_error",
+  502: "gateway_error",
+  503: "service_unavailable",
+};
+
+function errorCodeFor(status) {
+  return (
+    ERROR_CODES[status] || (status >= 500 ? "internal_error" : "bad_request")
+  );
+}
+
+// Every error response carries a machine-readable code. Registered ahead of
+// the body parsers so their rejections (413, 415, bad JSON) get one too.
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (
+      res.statusCode >= 400 &&
+      body &&
+      typeof body.error === "string" &&
+      !body.code
+    ) {
+      body = { ...body, code: errorCodeFor(res.statusCode) };
+    }
+    return json(body);
+  };
+  next();
+});
+
+// Keep the raw body around so gateway callbacks can be signature-checked
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: false, verify: captureRawBody }));
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -43,706 +93,9367 @@ console.log("🔌 Testing Supabase connection...");
   }
 })();
 
-// ============ HELPER FUNCTIONS ============
+// ============ SETTINGS ============
+// lottery_settings is versioned: every change inserts a new row with the
+// next version number and an effective_at time. The version in force is the
+// newest one whose effective_at has passed and that was not cancelled, so a
+// change can be scheduled ahead of time. is_active mirrors that for other
+// readers and is moved by applyDueSettings. Price, stock and draw date are
+// only defaults for rounds opened later; a round keeps the values it opened
+// with. Round numbers come from the rounds themselves. Reads go through a
+// short cache.
 
-async function getSettings() {
-  try {
-    const { data, error } = await supabase
+const SETTINGS_FIELDS = [
+  "ticket_price",
+  "total_tickets",
+  "lottery_date",
+  "banner_image",
+  "max_payout_share",
+  "bundle_pricing",
+];
+
+const SETTINGS_DEFAULTS = {
+  ticket_price: 101,
+  total_tickets: 1000,
+  lottery_date: null,
+  banner_image: null,
+  max_payout_share: null,
+  bundle_pricing: null,
+};
+
+const SETTINGS_CACHE_MS =
+  Number(process.env.SETTINGS_CACHE_SECONDS ?? 30) * 1000;
+
+let settingsCache = null;
+let settingsActivationTimer = null;
+
+// The version in force now, plus when the next scheduled one kicks in.
+// Rows from before versioning have no effective_at and count as always
+// effective.
+async function loadSettings() {
+  const now = new Date().toISOString();
+
+  const [current, next] = await Promise.all([
+    supabase
       .from("lottery_settings")
       .select("*")
-      .eq("is_active", true)
+      .is("cancelled_at", null)
+      .or(`effective_at.is.null,effective_at.lte.${now}`)
+      .order("effective_at", { ascending: false, nullsFirst: false })
       .order("id", { ascending: false })
       .limit(1)
-      .single();
+      .maybeSingle(),
+    supabase
+      .from("lottery_settings")
+      .select("effective_at")
+      .is("cancelled_at", null)
+      .gt("effective_at", now)
+      .order("effective_at", { ascending: true })
+      .limit(1)
+      .maybeSingle(),
+  ]);
 
-    if (error && error.code !== "PGRST116") {
-      console.error("Settings fetch error:", error);
-    }
+  if (current.error) throw current.error;
+  if (next.error) throw next.error;
+
+  return {
+    settings: current.data || { ...SETTINGS_DEFAULTS },
+    nextChangeAt: next.data ? new Date(next.data.effective_at).getTime() : null,
+  };
+}
 
-    return (
-      data || {
-        lottery_round: 1,
-        ticket_price: 101,
-        total_tickets: 1000,
-        lottery_date: null,
-        banner_image: null,
+function invalidateSettingsCache() {
+  settingsCache = null;
+}
+
+async function getSettings() {
+  const now = Date.now();
+
+  if (!settingsCache || settingsCache.expiresAt <= now) {
+    const entry = { expiresAt: now + SETTINGS_CACHE_MS };
+    entry.promise = loadSettings().then(
+      ({ settings, nextChangeAt }) => {
+        // Never serve a version past the moment a scheduled one takes over
+        if (nextChangeAt) {
+          entry.expiresAt = Math.min(entry.expiresAt, nextChangeAt);
+          scheduleSettingsActivation(nextChangeAt);
+        }
+        return settings;
+      },
+      (err) => {
+        console.error("Settings fetch error:", err);
+        // Don't cache the failure; the next caller tries again. Falling back
+        // to the defaults would quietly sell at the default price.
+        entry.expiresAt = 0;
+        throw err;
       }
     );
-  } catch (err) {
-    console.error("Error getting settings:", err);
-    return {
-      lottery_round: 1,
-      ticket_price: 101,
-      total_tickets: 1000,
-      lottery_date: null,
-      banner_image: null,
-    };
+    settingsCache = entry;
   }
-}
 
-async function getTicketPrice() {
-  const settings = await getSettings();
-  return settings.ticket_price || 101;
+  return settingsCache.promise;
 }
 
-async function getTotalTickets() {
-  const settings = await getSettings();
-  return settings.total_tickets || 1000;
+// Activates a scheduled version on time instead of waiting for the sweep
+function scheduleSettingsActivation(at) {
+  if (settingsActivationTimer?.at === at) return;
+  clearTimeout(settingsActivationTimer?.timer);
+
+  // setTimeout can't wait longer than ~24 days; the sweep covers the rest
+  const delay = Math.min(Math.max(at - Date.now(), 0), 2 ** 31 - 1);
+  settingsActivationTimer = {
+    at,
+    timer: setTimeout(() => {
+      settingsActivationTimer = null;
+      applyDueSettings().catch((err) =>
+        console.error("❌ Settings activation error:", err.message)
+      );
+    }, delay),
+  };
 }
 
-async function getCurrentLotteryRound() {
-  const settings = await getSettings();
-  return settings.lottery_round || 1;
+function diffSettings(from, to) {
+  return SETTINGS_FIELDS.filter(
+    (field) => canonicalJson(from?.[field]) !== canonicalJson(to?.[field])
+  ).map((field) => ({
+    field,
+    from: from?.[field] ?? null,
+    to: to?.[field] ?? null,
+  }));
 }
 
-function generateRandomCode(length = 5) {
-  const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
-  let code = "";
-  for (let i = 0; i < length; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return code;
+async function getSettingsVersion(version) {
+  const { data, error } = await supabase
+    .from("lottery_settings")
+    .select("*")
+    .eq("version", version)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, `Settings version ${version} not found`);
+  return data;
 }
 
-async function generateUniqueTicketCodes(quantity, lotteryRound) {
-  const codes = [];
-  let attempts = 0;
-  const maxAttempts = quantity * 10;
+// Inserts the next version. values must hold every field; unset ones are
+// stored as null.
+async function createSettingsVersion(values, { effectiveAt, note, actor }) {
+  const { data: latest, error: latestError } = await supabase
+    .from("lottery_settings")
+    .select("version")
+    .order("version", { ascending: false, nullsFirst: false })
+    .limit(1)
+    .maybeSingle();
 
-  while (codes.length < quantity && attempts < maxAttempts) {
-    attempts++;
-    const randomPart = generateRandomCode(5);
-    const ticketCode = `${lotteryRound}LOT-${randomPart}`;
+  if (latestError) throw latestError;
 
-    const { data, error } = await supabase
-      .from("tickets")
-      .select("ticket_code")
-      .eq("ticket_code", ticketCode)
-      .single();
+  const row = {
+    version: (latest?.version ?? 0) + 1,
+    effective_at: effectiveAt || new Date().toISOString(),
+    is_active: false,
+    note: note ?? null,
+    created_by: actor?.id ?? null,
+  };
+  for (const field of SETTINGS_FIELDS) row[field] = values[field] ?? null;
 
-    if (error && error.code === "PGRST116") {
-      codes.push(ticketCode);
-    } else if (!data) {
-      codes.push(ticketCode);
-    }
-  }
+  const { data, error } = await supabase
+    .from("lottery_settings")
+    .insert(row)
+    .select()
+    .single();
 
-  if (codes.length < quantity) {
-    throw new Error("Failed to generate unique ticket codes");
+  if (error) {
+    if (error.code === "23505") {
+      throw httpError(
+        409,
+        "Another settings change was saved at the same time"
+      );
+    }
+    throw error;
   }
 
-  return codes;
+  invalidateSettingsCache();
+  return data;
 }
 
-// ✅ UPDATED: Payment Gateway Function with Better Error Handling
-async function createGatewayOrder(orderId, amount, mobile, name) {
-  try {
-    console.log("📤 Gateway request:", { orderId, amount, mobile, name });
-
-    const GATEWAY_URL = "https://upifastpe.com/api/create-order";
+// Makes the version now in force the active one. Safe to call at any time.
+async function applyDueSettings() {
+  invalidateSettingsCache();
+  const settings = await getSettings();
+  if (!settings.id || settings.is_active) return settings;
 
-    const payload = new URLSearchParams();
-    payload.append("customer_mobile", mobile);
-    payload.append("user_token", process.env.GARUD_API_TOKEN);
-    payload.append("amount", amount);
-    payload.append("order_id", orderId);
-    payload.append(
-      "redirect_url",
-      `${process.env.FRONTEND_SUCCESS_URL}/?order_id=${orderId}&status=success`
-    );
-    payload.append("remark1", name);
-    payload.append("remark2", "lottery_ticket");
+  const { data: previous, error: previousError } = await supabase
+    .from("lottery_settings")
+    .select("*")
+    .eq("is_active", true)
+    .order("version", { ascending: false, nullsFirst: false })
+    .limit(1)
+    .maybeSingle();
 
-    console.log("📦 Sending to gateway...");
-    console.log("🔗 Gateway URL:", GATEWAY_URL);
-    console.log(
-      "🔗 Redirect URL:",
-      `${process.env.FRONTEND_SUCCESS_URL}/?order_id=${orderId}&status=success`
-    );
+  if (previousError) throw previousError;
 
-    const response = await axios({
-      method: "POST",
-      url: GATEWAY_URL,
-      data: payload.toString(),
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-        Accept: "application/json, text/plain, */*",
-      },
-      timeout: 90000, // 90 seconds
-      maxRedirects: 5,
-      validateStatus: (status) => status >= 200 && status < 600, // Accept all responses
-    });
+  const { error: deactivateError } = await supabase
+    .from("lottery_settings")
+    .update({ is_active: false })
+    .eq("is_active", true)
+    .neq("id", settings.id);
 
-    const data = response.data;
-    console.log("📥 Response status:", response.status);
-    console.log("📥 Response data:", JSON.stringify(data, null, 2));
+  if (deactivateError) throw deactivateError;
 
-    // ✅ Check success conditions
-    const isSuccess =
-      data.status === "SUCCESS" ||
-      data.status === "success" ||
-      data.status === true ||
-      data.msg === "Order Created Successfully" ||
-      data.message === "Order Created Successfully" ||
-      (data.payment_url && data.payment_url !== "") ||
-      (data.result && data.result.payment_url);
+  const { data: activated, error } = await supabase
+    .from("lottery_settings")
+    .update({ is_active: true, activated_at: new Date().toISOString() })
+    .eq("id", settings.id)
+    .eq("is_active", false)
+    .select()
+    .maybeSingle();
 
-    if (!isSuccess) {
-      const errorMsg =
-        data?.msg || data?.message || data?.error || "Gateway rejected order";
-      console.error("❌ Gateway rejection:", errorMsg);
-      throw new Error(errorMsg);
-    }
+  if (error) throw error;
+  // Another instance got there first
+  if (!activated) return settings;
 
-    // ✅ Extract payment URL with multiple fallbacks
-    const paymentUrl =
-      data.payment_url ||
-      data.link ||
-      data.payment_link ||
-      data.redirect_url ||
-      data.url ||
-      data.data?.payment_url ||
-      data.data?.link ||
-      data.result?.payment_url ||
-      data.result?.link;
+  invalidateSettingsCache();
 
-    if (!paymentUrl) {
-      console.error("❌ No payment URL in response:", data);
-      throw new Error("No payment URL received from gateway");
-    }
+  const changes = diffSettings(previous || SETTINGS_DEFAULTS, activated);
 
-    console.log("✅ Payment URL extracted:", paymentUrl);
-    return { ...data, payment_url: paymentUrl };
-  } catch (err) {
-    console.error("❌ Gateway function error:", err.message);
+  console.log(`⚙️ Settings version ${activated.version} is now active`);
 
-    // ✅ Detailed error logging
-    if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
-      console.error("❌ Timeout error - Gateway took too long to respond");
-      throw new Error("Payment gateway timeout. Please try again in a moment.");
-    } else if (err.code === "ENOTFOUND") {
-      console.error("❌ DNS error - Cannot resolve gateway hostname");
-      throw new Error("Payment gateway not reachable. Please contact support.");
-    } else if (err.code === "ECONNREFUSED") {
-      console.error("❌ Connection refused by gateway");
-      throw new Error("Payment gateway refused connection. Please try again.");
-    } else if (err.response) {
-      console.error(
-        "❌ Gateway HTTP error:",
-        err.response.status,
-        err.response.statusText
-      );
-      console.error("❌ Gateway error data:", err.response.data);
-      throw new Error(
-        `Gateway error: ${err.response.status} - ${err.response.statusText}`
-      );
-    }
+  await recordAudit({
+    action: "settings.activate",
+    entityType: "settings",
+    entityId: activated.version,
+    before: previous && { version: previous.version },
+    after: { version: activated.version, changes },
+  });
 
-    throw err;
-  }
+  return activated;
 }
 
-async function getSoldTicketsCount() {
-  const { count, error } = await supabase
-    .from("tickets")
-    .select("*", { count: "exact", head: true });
+setInterval(() => {
+  applyDueSettings().catch((err) =>
+    console.error("❌ Settings activation error:", err.message)
+  );
+}, 60 * 1000);
 
-  if (error) {
-    console.error("Error counting tickets:", error);
-    return 0;
+// ============ AUDIT LOG ============
+// Append-only record of admin and money-moving actions. Nothing in this
+// file updates or deletes audit_log rows. Each entry stores the hash of the
+// previous one, and its own hash covers that link plus its content, so
+// editing or removing any row breaks the chain from that point on (see
+// /api/admin/audit/verify). prev_hash is unique in the database, so when
+// two instances append on top of the same head one insert fails and that
+// writer re-reads the head and tries again. Appends from this process are
+// also queued so they don't race each other.
+//
+// Entries are written after the action they describe has been committed,
+// so a failed write can't undo it and never fails the request: recordAudit
+// logs the failure and keeps the entry in memory, and it is written ahead
+// of the next entry or by the retry timer, in its original order and with
+// its original created_at. Entries still waiting when the process exits are
+// lost, and only the "AUDIT WRITE FAILED" log line records them.
+
+const AUDIT_WRITE_ATTEMPTS = 5;
+const AUDIT_RETRY_INTERVAL_MS = 60 * 1000;
+
+let auditChain = Promise.resolve();
+let lastAuditHash = null;
+// Entries not written yet, oldest first
+const pendingAuditEntries = [];
+
+// JSON with sorted keys so the same entry always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
   }
+  return JSON.stringify(value ?? null);
+}
 
-  return count || 0;
+function hashAuditEntry(entry) {
+  const { id, hash, ...content } = entry;
+  // The database hands timestamps back in its own format
+  content.created_at = new Date(content.created_at).toISOString();
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson(content))
+    .digest("hex");
 }
 
-// ============ API ROUTES ============
+function auditActor(req) {
+  if (req?.admin) {
+    return { type: "admin", id: req.admin.id, name: req.admin.username };
+  }
+  if (req?.user) {
+    return { type: "player", id: req.user.id, name: req.user.mobile };
+  }
+  return { type: "system", id: null, name: "system" };
+}
 
-// Health check
-app.get("/", (req, res) => {
-  res.json({
-    status: "OK",
-    time: new Date().toISOString(),
-    service: "VK Lottery Backend",
-    version: "1.0.0",
-  });
-});
+async function getLastAuditHash() {
+  if (lastAuditHash !== null) return lastAuditHash;
 
-// Get remaining tickets
-app.get("/api/tickets/remaining", async (req, res) => {
-  try {
-    const sold = await getSoldTicketsCount();
-    const total = await getTotalTickets();
-    res.json({ remaining: total - sold, sold, total });
-  } catch (err) {
-    console.error("❌ Remaining tickets error:", err);
-    res.status(500).json({ error: "Failed to fetch remaining tickets" });
-  }
-});
+  const { data, error } = await supabase
+    .from("audit_log")
+    .select("hash")
+    .order("id", { ascending: false })
+    .limit(1)
+    .maybeSingle();
 
-// ✅ UPDATED: Create order with better error handling
-app.post("/api/create-order", async (req, res) => {
-  try {
-    const { name, mobile, quantity } = req.body;
+  if (error) throw error;
+  return data?.hash || "GENESIS";
+}
 
-    console.log("📝 Create order request:", { name, mobile, quantity });
+async function appendAuditEntry(fields) {
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    try {
+      const entry = { ...fields, prev_hash: await getLastAuditHash() };
+      entry.hash = hashAuditEntry(entry);
 
-    // Validation
-    if (!name || !mobile || !quantity) {
-      return res.status(400).json({ error: "All fields are required" });
+      ({ error } = await supabase.from("audit_log").insert(entry));
+      if (!error) {
+        lastAuditHash = entry.hash;
+        return entry;
+      }
+    } catch (err) {
+      error = err;
     }
 
-    if (!/^\d{10}$/.test(mobile)) {
-      return res.status(400).json({ error: "Mobile number must be 10 digits" });
-    }
+    // Another instance moved the head, or the insert landed anyway: start
+    // again from whatever the head is now
+    lastAuditHash = null;
+
+    if (attempt >= AUDIT_WRITE_ATTEMPTS) throw error;
+  }
+}
 
-    if (quantity < 1 || quantity > 100) {
-      return res
-        .status(400)
-        .json({ error: "Quantity must be between 1 and 100" });
+// Writes the waiting entries in order, stopping at the first that fails
+async function flushAuditEntries() {
+  while (pendingAuditEntries.length > 0) {
+    const fields = pendingAuditEntries[0];
+    try {
+      await appendAuditEntry(fields);
+    } catch (err) {
+      console.error(
+        "❌ AUDIT WRITE FAILED:",
+        fields.action,
+        fields.entity_id,
+        `(${pendingAuditEntries.length} waiting)`,
+        err.message
+      );
+      return;
     }
+    pendingAuditEntries.shift();
+  }
+}
 
-    const ticketPrice = await getTicketPrice();
-    const totalTickets = await getTotalTickets();
-    const sold = await getSoldTicketsCount();
-    const remaining = totalTickets - sold;
+// Never rejects, see above. Resolves once the entry has been written or
+// queued for the retry.
+function recordAudit({
+  actor,
+  action,
+  entityType,
+  entityId,
+  before,
+  after,
+  ip,
+}) {
+  pendingAuditEntries.push({
+    actor_type: actor?.type || "system",
+    actor_id: actor?.id ?? null,
+    actor_name: actor?.name || null,
+    action,
+    entity_type: entityType,
+    entity_id: entityId === undefined ? null : String(entityId),
+    before: before ?? null,
+    after: after ?? null,
+    ip: ip || null,
+    created_at: new Date().toISOString(),
+  });
 
-    if (remaining < quantity) {
-      return res.status(400).json({
-        error: `Only ${remaining} tickets remaining`,
-        remaining,
-      });
-    }
+  const run = auditChain.then(flushAuditEntries);
+  auditChain = run;
+  return run;
+}
 
-    // Find or create user
-    let { data: existingUsers, error: userQueryError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("mobile", mobile);
+setInterval(() => {
+  if (pendingAuditEntries.length > 0) {
+    auditChain = auditChain.then(flushAuditEntries);
+  }
+}, AUDIT_RETRY_INTERVAL_MS);
 
-    if (userQueryError) {
-      console.error("❌ User query error:", userQueryError);
-      return res
-        .status(500)
-        .json({ error: "Database error while checking user" });
-    }
+function auditFromRequest(req, fields) {
+  return recordAudit({ actor: auditActor(req), ip: req.ip, ...fields });
+}
 
-    let userId;
-    if (existingUsers && existingUsers.length > 0) {
-      userId = existingUsers[0].id;
-      console.log("✅ Existing user found:", userId);
-    } else {
-      const { data: newUser, error: insertError } = await supabase
-        .from("users")
-        .insert({ name, mobile })
-        .select()
-        .single();
+// ============ LOTTERY ROUNDS ============
+// Each round moves open → closed → drawn → settled, or is cancelled before
+// the draw and refunded. Price, stock and draw
+// date are fixed on the round itself; lottery_settings only supplies the
+// defaults for the next round.
 
-      if (insertError) {
-        console.error("❌ User insert error:", insertError);
-        return res.status(500).json({ error: "Failed to create user account" });
-      }
+const ROUND_TRANSITIONS = {
+  open: ["closed", "cancelled"],
+  closed: ["drawn", "cancelled"],
+  drawn: ["settled"],
+  settled: [],
+  cancelled: [],
+};
 
-      userId = newUser.id;
-      console.log("✅ New user created:", userId);
-    }
+async function getLatestRound() {
+  const { data, error } = await supabase
+    .from("lottery_rounds")
+    .select("*")
+    .order("round_number", { ascending: false })
+    .limit(1)
+    .maybeSingle();
 
-    const amount = quantity * ticketPrice;
-    const orderId = "ORD_" + Date.now();
+  if (error) throw error;
+  return data;
+}
 
-    // Create payment record
-    const { data: payment, error: paymentError } = await supabase
-      .from("payments")
-      .insert({
-        order_id: orderId,
-        amount,
-        mobile: mobile,
-        status: "created",
-        user_id: userId,
-      })
-      .select()
-      .single();
+async function getRoundById(roundId) {
+  const { data, error } = await supabase
+    .from("lottery_rounds")
+    .select("*")
+    .eq("id", roundId)
+    .maybeSingle();
 
-    if (paymentError) {
-      console.error("❌ Payment insert error:", paymentError);
-      return res.status(500).json({ error: "Failed to create payment record" });
-    }
+  if (error) throw error;
+  if (!data) throw httpError(404, "Round not found");
+  return data;
+}
 
-    console.log("✅ Payment record created:", payment);
+async function getRoundByNumber(roundNumber) {
+  const { data, error } = await supabase
+    .from("lottery_rounds")
+    .select("*")
+    .eq("round_number", roundNumber)
+    .maybeSingle();
 
-    // ✅ Create gateway order with error handling
-    let order;
-    try {
-      order = await createGatewayOrder(orderId, amount, mobile, name);
-    } catch (gatewayError) {
-      console.error("❌ Gateway order creation failed:", gatewayError.message);
+  if (error) throw error;
+  if (!data) throw httpError(404, "Round not found");
+  return data;
+}
 
-      // Clean up failed payment record
-      await supabase.from("payments").delete().eq("order_id", orderId);
+async function openRound(overrides = {}) {
+  const settings = await getSettings();
+  const latest = await getLatestRound();
 
-      return res.status(500).json({
-        error:
-          gatewayError.message || "Payment gateway error. Please try again.",
-      });
-    }
+  const { data, error } = await supabase
+    .from("lottery_rounds")
+    .insert({
+      round_number: latest
+        ? latest.round_number + 1
+        : (settings.lottery_round ?? 1),
+      status: "open",
+      ticket_price: overrides.ticket_price ?? settings.ticket_price ?? 101,
+      total_tickets: overrides.total_tickets ?? settings.total_tickets ?? 1000,
+      lottery_date: overrides.lottery_date ?? settings.lottery_date ?? null,
+      opened_at: new Date().toISOString(),
+      ticket_seq: 0,
+      ticket_code_key: crypto.randomBytes(32).toString("hex"),
+      ...createDrawCommitment(),
+      ...(overrides.entropy_source && {
+        entropy_source: overrides.entropy_source,
+        entropy_source_at: new Date().toISOString(),
+      }),
+    })
+    .select()
+    .single();
 
-    res.json({
-      order_id: orderId,
-      payment_url: order.payment_url,
-      userId: userId,
-      quantity: quantity,
-      amount: amount,
-    });
-  } catch (err) {
-    console.error("❌ Create order error:", err);
-    res.status(500).json({ error: err.message || "Failed to create order" });
+  // The unique indexes on round_number and on the one selling/closed round
+  // stop two requests opening rounds side by side
+  if (error?.code === "23505") {
+    throw httpError(409, "Another round was opened at the same time");
   }
-});
+  if (error) throw error;
 
-// ✅ UPDATED: Verify payment with axios
-app.post("/api/verify-payment", async (req, res) => {
-  try {
-    const { order_id, quantity, userId } = req.body;
-
-    console.log("🔍 Verifying payment:", { order_id, quantity, userId });
+  // Carry the previous round's prize structure over as a starting point
+  if (latest) {
+    const { data: tiers } = await supabase
+      .from("prize_tiers")
+      .select("rank, winner_count, amount, pool_percentage, label")
+      .eq("round_id", latest.id);
 
-    if (!order_id || !userId || !quantity) {
-      return res.status(400).json({ error: "Missing required fields" });
+    if (tiers && tiers.length > 0) {
+      await supabase
+        .from("prize_tiers")
+        .insert(tiers.map((t) => ({ ...t, round_id: data.id })));
     }
+  }
 
-    // Check payment status from gateway using axios
-    const statusRes = await axios({
-      method: "POST",
-      url: "https://upifastpe.com/api/check-order-status",
-      data: new URLSearchParams({
-        user_token: process.env.GARUD_API_TOKEN,
-        order_id: order_id,
-      }).toString(),
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      timeout: 30000,
-    });
+  console.log("🎟️ Opened round:", data.round_number);
+  return data;
+}
 
-    const statusData = statusRes.data;
-    console.log("📊 Payment status response:", statusData);
+// The newest round. Installs that predate rounds get their first one
+// created from lottery_settings on demand.
+async function getCurrentRound() {
+  const latest = await getLatestRound();
+  if (latest) return ensureDrawCommitment(latest);
 
-    if (statusData?.result?.status !== "SUCCESS") {
-      return res.status(400).json({ error: "Payment not successful yet" });
-    }
+  try {
+    return await openRound();
+  } catch (err) {
+    // Lost the race to open the first round, use the winner's
+    if (err.status !== 409) throw err;
+    return getLatestRound();
+  }
+}
 
-    // Check if tickets already generated
-    const { data: existingTickets } = await supabase
-      .from("tickets")
-      .select("ticket_code")
-      .eq("user_id", userId)
-      .order("created_at", { ascending: false })
-      .limit(quantity);
+// Moves a round along its lifecycle. The status guard on the update makes
+// the transition safe against two admins (or an admin and the auto-close)
+// racing each other.
+async function transitionRound(round, toStatus, extra = {}) {
+  if (!ROUND_TRANSITIONS[round.status]?.includes(toStatus)) {
+    throw httpError(
+      409,
+      `Round ${round.round_number} is ${round.status} and cannot be ${toStatus}`
+    );
+  }
 
-    const { data: payment } = await supabase
-      .from("payments")
-      .select("status")
-      .eq("order_id", order_id)
-      .single();
+  const { data, error } = await supabase
+    .from("lottery_rounds")
+    .update({
+      status: toStatus,
+      [`${toStatus}_at`]: new Date().toISOString(),
+      ...extra,
+    })
+    .eq("id", round.id)
+    .eq("status", round.status)
+    .select()
+    .maybeSingle();
 
-    if (
-      payment?.status === "success" &&
-      existingTickets &&
-      existingTickets.length >= quantity
-    ) {
-      console.log("⚠️ Tickets already generated for this order");
-      return res.json({
-        success: true,
-        tickets: existingTickets.map((t) => t.ticket_code),
-      });
-    }
+  if (error) throw error;
+  if (!data) {
+    throw httpError(
+      409,
+      `Round ${round.round_number} was changed by someone else`
+    );
+  }
 
-    // Generate new tickets
-    const lotteryRound = await getCurrentLotteryRound();
-    const codes = await generateUniqueTicketCodes(quantity, lotteryRound);
+  console.log(`🔁 Round ${round.round_number}: ${round.status} → ${toStatus}`);
+  publishInventory();
+  return data;
+}
 
-    console.log("🎫 Generated ticket codes:", codes);
+function isPastDrawDate(round) {
+  return !!round.lottery_date && new Date(round.lottery_date) <= new Date();
+}
 
-    // Insert tickets
-    const ticketsToInsert = codes.map((code) => ({
-      ticket_code: code,
-      user_id: userId,
-      status: "confirmed",
-    }));
+// Sales stop by themselves once the draw date passes or the round sells out
+async function closeRoundIfSalesOver(round) {
+  if (round.status !== "open") return round;
 
-    const { data: insertedTickets, error: ticketError } = await supabase
+  const soldOut = (await getSoldTicketsCount(round.id)) >= round.total_tickets;
+
+  if (!isPastDrawDate(round) && !soldOut) return round;
+
+  try {
+    return await transitionRound(round, "closed");
+  } catch (err) {
+    if (err.status === 409) return getRoundById(round.id);
+    throw err;
+  }
+}
+
+// Current round, only if it is still selling
+async function getSalesRound() {
+  const round = await closeRoundIfSalesOver(await getCurrentRound());
+
+  if (round.status !== "open") {
+    throw httpError(
+      400,
+      `Ticket sales are closed for round ${round.round_number}`
+    );
+  }
+
+  return round;
+}
+
+// ============ PROVABLY FAIR DRAW ============
+// Commit-reveal: when a round opens we store a random server seed and publish
+// only its SHA-256. By the time sales close the round names its entropy
+// source, a public value nobody can know yet (e.g. "Bitcoin block 900000
+// hash"). At draw time an admin enters that value; the first value entered is
+// stored and is the only one the draw will ever accept, so the outcome can't
+// be re-rolled. Winners are a partial Fisher-Yates shuffle of the sorted ticket list
+// driven by HMAC-SHA256(server_seed, entropy:tickets_hash:counter), with
+// rejection sampling so every index is equally likely. After the draw the
+// seed is revealed and anyone can re-run it via /api/draws/:round/proof.
+
+const DRAW_ALGORITHM = "hmac-sha256-fisher-yates-v1";
+const DRAW_VERIFICATION_STEPS = [
+  "Check sha256(server_seed) equals server_seed_hash",
+  "Check public_entropy is the published value named by entropy_source, which was fixed at entropy_source_at",
+  "Sort ticket_codes ascending and check sha256(codes joined by \\n) equals tickets_hash",
+  "Block k = HMAC-SHA256(key=server_seed, message=public_entropy:tickets_hash:k), k = 0, 1, ...; read big-endian uint32 values in order",
+  "To pick an index below n, discard values >= floor(2^32 / n) * n and take value mod n",
+  "For i = 0 .. winner_count - 1 swap position i with i + pick(length - i); the first winner_count codes are the winners in rank order",
+];
+
+function sha256Hex(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function createDrawCommitment() {
+  const serverSeed = crypto.randomBytes(32).toString("hex");
+  return { server_seed: serverSeed, server_seed_hash: sha256Hex(serverSeed) };
+}
+
+// Rounds opened before commit-reveal existed get a seed while still selling
+async function ensureDrawCommitment(round) {
+  if (round.server_seed_hash || round.status !== "open") return round;
+
+  const { data, error } = await supabase
+    .from("lottery_rounds")
+    .update(createDrawCommitment())
+    .eq("id", round.id)
+    .is("server_seed_hash", null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || getRoundById(round.id);
+}
+
+// Names the public value the draw will use. Set once, before the draw, and
+// never changed afterwards.
+async function fixEntropySource(round, entropySource) {
+  const source = String(entropySource || "").trim();
+  if (!source) throw httpError(400, "entropy_source is required");
+
+  if (round.entropy_source) {
+    if (round.entropy_source === source) return round;
+    throw httpError(
+      409,
+      `Round ${round.round_number} already draws from "${round.entropy_source}"`
+    );
+  }
+
+  if (round.status !== "open" && round.status !== "closed") {
+    throw httpError(
+      409,
+      `Round ${round.round_number} is ${round.status}, its entropy source can no longer be set`
+    );
+  }
+
+  const { data, error } = await supabase
+    .from("lottery_rounds")
+    .update({
+      entropy_source: source,
+      entropy_source_at: new Date().toISOString(),
+    })
+    .eq("id", round.id)
+    .in("status", ["open", "closed"])
+    .is("entropy_source", null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  // Someone else fixed it first, only fine if they named the same source
+  return data || fixEntropySource(await getRoundById(round.id), source);
+}
+
+// Never expose the seed before the draw has used it, nor the ticket code key
+function toPublicRound(round) {
+  if (!round) return round;
+  const { server_seed, ticket_code_key, ...rest } = round;
+  const revealed = round.status === "drawn" || round.status === "settled";
+  return revealed ? { ...rest, server_seed } : rest;
+}
+
+function createDrawRng(serverSeed, publicEntropy, ticketsHash) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+
+  function nextUint32() {
+    if (buffer.length < 4) {
+      buffer = crypto
+        .createHmac("sha256", serverSeed)
+        .update(`${publicEntropy}:${ticketsHash}:${counter++}`)
+        .digest();
+    }
+    const value = buffer.readUInt32BE(0);
+    buffer = buffer.subarray(4);
+    return value;
+  }
+
+  // Uniform integer in [0, n) without modulo bias
+  return function nextInt(n) {
+    const limit = Math.floor(0x100000000 / n) * n;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % n;
+  };
+}
+
+// Pure and deterministic: the same inputs always give the same winners
+function computeDraw(serverSeed, publicEntropy, ticketCodes, count) {
+  const sortedCodes = [...ticketCodes].sort();
+  const ticketsHash = sha256Hex(sortedCodes.join("\n"));
+  const nextInt = createDrawRng(serverSeed, publicEntropy, ticketsHash);
+
+  const pool = [...sortedCodes];
+  for (let i = 0; i < count; i++) {
+    const j = i + nextInt(pool.length - i);
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+
+  return { sortedCodes, ticketsHash, winners: pool.slice(0, count) };
+}
+
+// Stores the entropy value on its first use. Any later draw attempt has to
+// supply the same value, so an admin can't keep trying values until one
+// gives a result they like.
+async function recordPublicEntropy(round, publicEntropy) {
+  const entropy = String(publicEntropy).trim();
+  let recorded = round.public_entropy;
+
+  if (recorded == null) {
+    const { data, error } = await supabase
+      .from("lottery_rounds")
+      .update({ public_entropy: entropy })
+      .eq("id", round.id)
+      .eq("status", "closed")
+      .is("public_entropy", null)
+      .select("public_entropy")
+      .maybeSingle();
+
+    if (error) throw error;
+    recorded = data
+      ? data.public_entropy
+      : (await getRoundById(round.id)).public_entropy;
+  }
+
+  if (recorded !== entropy) {
+    throw httpError(
+      409,
+      `Round ${round.round_number} already recorded public_entropy "${recorded}" from ${round.entropy_source}; the draw can only use that value`
+    );
+  }
+
+  return entropy;
+}
+
+// Moves the round to drawn and inserts its winners in one transaction, so
+// a draw that loses the race to another draw or a cancellation writes
+// nothing
+async function recordDraw(round, { entropy, ticketsHash, winners }) {
+  const { data, error } = await supabase.rpc("record_draw", {
+    p_round_id: round.id,
+    p_public_entropy: entropy,
+    p_tickets_hash: ticketsHash,
+    p_draw_algorithm: DRAW_ALGORITHM,
+    p_winners: winners.map(({ round_id, ...w }) => w),
+  });
+
+  if (error) throw error;
+  if (!data.drawn) {
+    throw httpError(
+      409,
+      `Round ${round.round_number} is ${data.status} and cannot be drawn`
+    );
+  }
+
+  console.log(`🔁 Round ${round.round_number}: ${round.status} → drawn`);
+  publishInventory();
+  return data.round;
+}
+
+async function drawRound(round, publicEntropy) {
+  if (round.status !== "closed") {
+    throw httpError(
+      409,
+      `Round ${round.round_number} must be closed before drawing`
+    );
+  }
+
+  if (!round.server_seed || !round.server_seed_hash) {
+    throw httpError(
+      409,
+      `Round ${round.round_number} has no published seed commitment`
+    );
+  }
+
+  if (!round.entropy_source) {
+    throw httpError(
+      409,
+      `Round ${round.round_number} has no entropy source, set one before drawing`
+    );
+  }
+
+  if (!publicEntropy || !String(publicEntropy).trim()) {
+    throw httpError(400, "public_entropy is required to draw");
+  }
+
+  const { data: tickets, error } = await supabase
+    .from("tickets")
+    .select("ticket_code")
+    .eq("round_id", round.id)
+    .eq("status", "confirmed");
+
+  if (error) throw error;
+
+  const tiers = await getPrizeTiers(round.id);
+  const count = tiers.reduce((sum, t) => sum + t.winner_count, 0);
+
+  if (!tickets || count > tickets.length) {
+    throw httpError(
+      400,
+      `Not enough tickets: ${count} winners needed, ${tickets?.length || 0} sold`
+    );
+  }
+
+  // Checked against what was actually sold, not the projection used when
+  // the tiers were saved
+  const revenue =
+    tickets.length * round.ticket_price - (await getRoundDiscounts(round.id));
+  await assertPayoutWithinLimit(tiers, revenue);
+
+  const entropy = await recordPublicEntropy(round, publicEntropy);
+  const { ticketsHash, winners: winningCodes } = computeDraw(
+    round.server_seed,
+    entropy,
+    tickets.map((t) => t.ticket_code),
+    count
+  );
+
+  const prizes = expandPrizeTiers(tiers, revenue);
+
+  const winners = winningCodes.map((code, i) => ({
+    ticket_code: code,
+    prize_amount: prizes[i].amount,
+    prize_tier: prizes[i].tier,
+    rank: i + 1,
+    round_id: round.id,
+  }));
+
+  const drawn = await recordDraw(round, {
+    entropy,
+    ticketsHash,
+    winners,
+  });
+
+  console.log(`🎲 Round ${round.round_number} drawn:`, winningCodes);
+
+  startLiveDraw(drawn, winners);
+
+  notifyWinners(round, winners).catch((err) =>
+    console.error("❌ Winner notification error:", err.message)
+  );
+
+  return { round: toPublicRound(drawn), winners };
+}
+
+// ============ PRIZE TIERS ============
+// Each round has its own prize structure. A tier pays every one of its
+// winners either a fixed amount or a percentage of the round's ticket
+// revenue. Tiers are filled in rank order by the draw.
+
+const DEFAULT_PRIZE_TIERS = [
+  { rank: 1, winner_count: 1, amount: 25000 },
+  { rank: 2, winner_count: 1, amount: 10000 },
+  { rank: 3, winner_count: 1, amount: 5000 },
+  { rank: 4, winner_count: 1, amount: 2000 },
+  { rank: 5, winner_count: 1, amount: 1000 },
+  { rank: 6, winner_count: 1, amount: 500 },
+];
+
+// Rounds without their own tiers fall back to the defaults
+async function getPrizeTiers(roundId) {
+  const { data, error } = await supabase
+    .from("prize_tiers")
+    .select("*")
+    .eq("round_id", roundId)
+    .order("rank", { ascending: true });
+
+  if (error) throw error;
+  return data && data.length > 0 ? data : DEFAULT_PRIZE_TIERS;
+}
+
+// Returns an error message, or null when the tiers are well formed
+function validatePrizeTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return "At least one prize tier is required";
+  }
+
+  const ranks = new Set();
+  for (const tier of tiers) {
+    if (!Number.isInteger(tier.rank) || tier.rank < 1) {
+      return "Tier rank must be a positive integer";
+    }
+    if (ranks.has(tier.rank)) {
+      return `Duplicate tier rank ${tier.rank}`;
+    }
+    ranks.add(tier.rank);
+
+    if (!Number.isInteger(tier.winner_count) || tier.winner_count < 1) {
+      return `Tier ${tier.rank}: winner_count must be a positive integer`;
+    }
+
+    const hasAmount = tier.amount !== undefined && tier.amount !== null;
+    const hasPercentage =
+      tier.pool_percentage !== undefined && tier.pool_percentage !== null;
+
+    if (hasAmount === hasPercentage) {
+      return `Tier ${tier.rank}: set either amount or pool_percentage`;
+    }
+    if (hasAmount && !(Number(tier.amount) > 0)) {
+      return `Tier ${tier.rank}: amount must be greater than 0`;
+    }
+    if (
+      hasPercentage &&
+      !(Number(tier.pool_percentage) > 0 && Number(tier.pool_percentage) <= 100)
+    ) {
+      return `Tier ${tier.rank}: pool_percentage must be between 0 and 100`;
+    }
+  }
+
+  return null;
+}
+
+function getTierPrizeAmount(tier, revenue) {
+  if (tier.amount !== undefined && tier.amount !== null) {
+    return Number(tier.amount);
+  }
+  return Math.floor((revenue * Number(tier.pool_percentage)) / 100);
+}
+
+// One entry per winner slot, in draw order
+function expandPrizeTiers(tiers, revenue) {
+  const prizes = [];
+  for (const tier of [...tiers].sort((a, b) => a.rank - b.rank)) {
+    const amount = getTierPrizeAmount(tier, revenue);
+    for (let i = 0; i < tier.winner_count; i++) {
+      prizes.push({ tier: tier.rank, amount });
+    }
+  }
+  return prizes;
+}
+
+function getTotalPayout(tiers, revenue) {
+  return expandPrizeTiers(tiers, revenue).reduce((sum, p) => sum + p.amount, 0);
+}
+
+async function getMaxPayoutShare() {
+  const settings = await getSettings();
+  return (
+    Number(settings.max_payout_share) ||
+    Number(process.env.MAX_PAYOUT_SHARE) ||
+    0.5
+  );
+}
+
+// Bundle and promo discounts given on a round's paid orders
+async function getRoundDiscounts(roundId) {
+  let total = 0;
+  await forEachPage(
+    () =>
+      supabase
+        .from("payments")
+        .select("order_id, discount")
+        .eq("round_id", roundId)
+        .eq("status", "success")
+        .gt("discount", 0)
+        .order("order_id", { ascending: true }),
+    async (payments) => {
+      for (const p of payments) total += Number(p.discount);
+    }
+  );
+  return total;
+}
+
+async function assertPayoutWithinLimit(tiers, revenue) {
+  const share = await getMaxPayoutShare();
+  const totalPayout = getTotalPayout(tiers, revenue);
+  const limit = Math.floor(revenue * share);
+
+  if (totalPayout > limit) {
+    throw httpError(
+      400,
+      `Total payout ₹${totalPayout} exceeds ${Math.round(
+        share * 100
+      )}% of ticket revenue (₹${limit})`
+    );
+  }
+
+  return { totalPayout, limit, share };
+}
+
+// ============ TICKET CODES ============
+// Codes look like 3LOT-K7QX2M: round number, five body characters and one
+// check character. The body is the round's next sequence number pushed
+// through a keyed Feistel permutation, so codes are unique within a round by
+// construction and still look random. The alphabet drops 0/O/1/I, and the
+// check character (Luhn mod 32) catches any single mistyped character and
+// most swapped neighbours.
+
+const TICKET_CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+const TICKET_CODE_LENGTH = 5;
+const TICKET_CODE_SPACE = TICKET_CODE_ALPHABET.length ** TICKET_CODE_LENGTH;
+const FEISTEL_HALF_BITS = 13; // 26-bit domain, cycle-walked down to 32^5
+const FEISTEL_ROUNDS = 4;
+
+function feistelPermute(key, value) {
+  const mask = (1 << FEISTEL_HALF_BITS) - 1;
+  let left = value >>> FEISTEL_HALF_BITS;
+  let right = value & mask;
+
+  for (let r = 0; r < FEISTEL_ROUNDS; r++) {
+    const f =
+      crypto
+        .createHmac("sha256", key)
+        .update(`${r}:${right}`)
+        .digest()
+        .readUInt32BE(0) & mask;
+    [left, right] = [right, left ^ f];
+  }
+
+  return (left << FEISTEL_HALF_BITS) | right;
+}
+
+// Bijection on [0, TICKET_CODE_SPACE): walk the 26-bit permutation until it
+// lands back inside the code space
+function permuteTicketIndex(key, index) {
+  let value = index;
+  do {
+    value = feistelPermute(key, value);
+  } while (value >= TICKET_CODE_SPACE);
+  return value;
+}
+
+function encodeTicketBody(value) {
+  let body = "";
+  for (let i = 0; i < TICKET_CODE_LENGTH; i++) {
+    body = TICKET_CODE_ALPHABET[value % TICKET_CODE_ALPHABET.length] + body;
+    value = Math.floor(value / TICKET_CODE_ALPHABET.length);
+  }
+  return body;
+}
+
+function ticketCheckChar(body) {
+  const n = TICKET_CODE_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * TICKET_CODE_ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return TICKET_CODE_ALPHABET[(n - (sum % n)) % n];
+}
+
+// Codes issued before the check character existed have a 5 character body
+// from the full A-Z0-9 alphabet and are accepted as they are
+function isValidTicketCode(code) {
+  const match = /^\d+LOT-([A-Z0-9]+)$/.exec(code);
+  if (!match) return false;
+
+  const tail = match[1];
+  if (tail.length === TICKET_CODE_LENGTH) return true;
+  if (tail.length !== TICKET_CODE_LENGTH + 1) return false;
+
+  const body = tail.slice(0, -1);
+  return (
+    [...tail].every((c) => TICKET_CODE_ALPHABET.includes(c)) &&
+    ticketCheckChar(body) === tail.slice(-1)
+  );
+}
+
+// Rounds opened before this generator get their permutation key on first use
+async function getTicketCodeKey(round) {
+  if (round.ticket_code_key) return round.ticket_code_key;
+
+  await supabase
+    .from("lottery_rounds")
+    .update({ ticket_code_key: crypto.randomBytes(32).toString("hex") })
+    .eq("id", round.id)
+    .is("ticket_code_key", null);
+
+  return (await getRoundById(round.id)).ticket_code_key;
+}
+
+// Claims `quantity` consecutive sequence numbers for the round. The
+// compare-and-set on ticket_seq means two instances can never be handed the
+// same range.
+async function allocateTicketSequence(round, quantity) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const { data: current, error } = await supabase
+      .from("lottery_rounds")
+      .select("ticket_seq")
+      .eq("id", round.id)
+      .single();
+
+    if (error) throw error;
+
+    const start = current.ticket_seq || 0;
+    if (start + quantity > TICKET_CODE_SPACE) {
+      throw httpError(409, "Ticket code space exhausted for this round");
+    }
+
+    let update = supabase
+      .from("lottery_rounds")
+      .update({ ticket_seq: start + quantity })
+      .eq("id", round.id);
+    update =
+      current.ticket_seq === null || current.ticket_seq === undefined
+        ? update.is("ticket_seq", null)
+        : update.eq("ticket_seq", start);
+
+    const { data: claimed, error: updateError } = await update.select("id");
+
+    if (updateError) throw updateError;
+    if (claimed && claimed.length > 0) return start;
+  }
+
+  throw httpError(503, "Ticket allocation is busy, please retry");
+}
+
+async function generateTicketCodes(round, quantity) {
+  const key = await getTicketCodeKey(round);
+  const start = await allocateTicketSequence(round, quantity);
+
+  const codes = [];
+  for (let i = 0; i < quantity; i++) {
+    const body = encodeTicketBody(permuteTicketIndex(key, start + i));
+    codes.push(`${round.round_number}LOT-${body}${ticketCheckChar(body)}`);
+  }
+  return codes;
+}
+
+// ============ PAYMENT PROVIDERS ============
+// Every gateway implements the same interface:
+//   createOrder({ orderId, amount, mobile, name }) -> { payment_url }
+//   checkStatus(orderId) -> { status: "success" | "pending" | "failed", raw }
+//   verifyCallback(req) -> { valid, orderId, status }
+//   refund({ orderId, amount, reason }) -> { refund_id, status }
+// PAYMENT_PROVIDER picks the one used for new orders; each payment row keeps
+// the provider it was created with so later checks go to the same place.
+
+// ✅ UPDATED: Payment Gateway Function with Better Error Handling
+async function createUpifastpeOrder(orderId, amount, mobile, name) {
+  try {
+    console.log("📤 Gateway request:", { orderId, amount, mobile, name });
+
+    const GATEWAY_URL = "https://upifastpe.com/api/create-order";
+
+    const payload = new URLSearchParams();
+    payload.append("customer_mobile", mobile);
+    payload.append("user_token", process.env.GARUD_API_TOKEN);
+    payload.append("amount", amount);
+    payload.append("order_id", orderId);
+    payload.append(
+      "redirect_url",
+      `${process.env.FRONTEND_SUCCESS_URL}/?order_id=${orderId}&status=success`
+    );
+    payload.append("remark1", name);
+    payload.append("remark2", "lottery_ticket");
+
+    console.log("📦 Sending to gateway...");
+    console.log("🔗 Gateway URL:", GATEWAY_URL);
+    console.log(
+      "🔗 Redirect URL:",
+      `${process.env.FRONTEND_SUCCESS_URL}/?order_id=${orderId}&status=success`
+    );
+
+    const response = await axios({
+      method: "POST",
+      url: GATEWAY_URL,
+      data: payload.toString(),
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "User-Agent":
+          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+        Accept: "application/json, text/plain, */*",
+      },
+      timeout: 90000, // 90 seconds
+      maxRedirects: 5,
+      validateStatus: (status) => status >= 200 && status < 600, // Accept all responses
+    });
+
+    const data = response.data;
+    console.log("📥 Response status:", response.status);
+    console.log("📥 Response data:", JSON.stringify(data, null, 2));
+
+    // ✅ Check success conditions
+    const isSuccess =
+      data.status === "SUCCESS" ||
+      data.status === "success" ||
+      data.status === true ||
+      data.msg === "Order Created Successfully" ||
+      data.message === "Order Created Successfully" ||
+      (data.payment_url && data.payment_url !== "") ||
+      (data.result && data.result.payment_url);
+
+    if (!isSuccess) {
+      const errorMsg =
+        data?.msg || data?.message || data?.error || "Gateway rejected order";
+      console.error("❌ Gateway rejection:", errorMsg);
+      throw new Error(errorMsg);
+    }
+
+    // ✅ Extract payment URL with multiple fallbacks
+    const paymentUrl =
+      data.payment_url ||
+      data.link ||
+      data.payment_link ||
+      data.redirect_url ||
+      data.url ||
+      data.data?.payment_url ||
+      data.data?.link ||
+      data.result?.payment_url ||
+      data.result?.link;
+
+    if (!paymentUrl) {
+      console.error("❌ No payment URL in response:", data);
+      throw new Error("No payment URL received from gateway");
+    }
+
+    console.log("✅ Payment URL extracted:", paymentUrl);
+    return { ...data, payment_url: paymentUrl };
+  } catch (err) {
+    console.error("❌ Gateway function error:", err.message);
+
+    // ✅ Detailed error logging
+    if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+      console.error("❌ Timeout error - Gateway took too long to respond");
+      throw new Error("Payment gateway timeout. Please try again in a moment.");
+    } else if (err.code === "ENOTFOUND") {
+      console.error("❌ DNS error - Cannot resolve gateway hostname");
+      throw new Error("Payment gateway not reachable. Please contact support.");
+    } else if (err.code === "ECONNREFUSED") {
+      console.error("❌ Connection refused by gateway");
+      throw new Error("Payment gateway refused connection. Please try again.");
+    } else if (err.response) {
+      console.error(
+        "❌ Gateway HTTP error:",
+        err.response.status,
+        err.response.statusText
+      );
+      console.error("❌ Gateway error data:", err.response.data);
+      throw new Error(
+        `Gateway error: ${err.response.status} - ${err.response.statusText}`
+      );
+    }
+
+    throw err;
+  }
+}
+
+async function checkUpifastpeOrderStatus(orderId) {
+  const statusRes = await axios({
+    method: "POST",
+    url: "https://upifastpe.com/api/check-order-status",
+    data: new URLSearchParams({
+      user_token: process.env.GARUD_API_TOKEN,
+      order_id: orderId,
+    }).toString(),
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    timeout: 30000,
+  });
+
+  const statusData = statusRes.data;
+  console.log("📊 Payment status response:", statusData);
+
+  return {
+    status: normalizeGatewayStatus(statusData?.result?.status),
+    raw: statusData,
+  };
+}
+
+// HMAC-SHA256 of the raw callback body, hex encoded
+function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(rawBody)
+    .digest("hex");
+  const received = String(signature).trim().toLowerCase();
+
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))
+  );
+}
+
+const GATEWAY_FAILURE_STATUSES = ["FAILED", "FAILURE", "CANCELLED", "EXPIRED"];
+
+// success, failed, or pending for anything else, so a status we don't know
+// never fails an order
+function normalizeGatewayStatus(status) {
+  const gatewayStatus = String(status || "").toUpperCase();
+  if (gatewayStatus === "SUCCESS") return "success";
+  if (GATEWAY_FAILURE_STATUSES.includes(gatewayStatus)) return "failed";
+  return "pending";
+}
+
+const upifastpeProvider = {
+  name: "upifastpe",
+
+  async createOrder({ orderId, amount, mobile, name }) {
+    return createUpifastpeOrder(orderId, amount, mobile, name);
+  },
+
+  async checkStatus(orderId) {
+    return checkUpifastpeOrderStatus(orderId);
+  },
+
+  verifyCallback(req) {
+    return {
+      valid: verifyWebhookSignature(
+        req.rawBody,
+        req.get("x-webhook-signature"),
+        process.env.GATEWAY_WEBHOOK_SECRET
+      ),
+      orderId: req.body.order_id,
+      status: normalizeGatewayStatus(req.body.status),
+    };
+  },
+
+  // upifastpe has no refund API; the caller records it for a manual refund
+  async refund({ orderId }) {
+    throw httpError(
+      501,
+      `upifastpe does not support API refunds, refund ${orderId} from the merchant dashboard`
+    );
+  },
+};
+
+// Offline gateway for local development and tests. Orders live in memory
+// and are paid through /api/mock-gateway/pay/:orderId, which also fires the
+// same notification a real gateway callback would. It only exists with
+// PAYMENT_PROVIDER=mock; anywhere else its webhook would let anyone settle
+// orders. Without MOCK_GATEWAY_SECRET the callbacks are signed with a key
+// that lives only as long as the process.
+const MOCK_GATEWAY_ENABLED = process.env.PAYMENT_PROVIDER === "mock";
+const MOCK_WEBHOOK_SECRET =
+  process.env.MOCK_GATEWAY_SECRET || crypto.randomBytes(32).toString("hex");
+const mockGatewayOrders = new Map();
+
+const mockProvider = {
+  name: "mock",
+
+  async createOrder({ orderId, amount, mobile }) {
+    const autoPay = process.env.MOCK_GATEWAY_AUTO_PAY === "true";
+    mockGatewayOrders.set(orderId, {
+      orderId,
+      amount,
+      mobile,
+      status: autoPay ? "success" : "pending",
+    });
+
+    const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
+    console.log("🧪 Mock gateway order:", orderId, amount);
+
+    return { payment_url: `${baseUrl}/api/mock-gateway/pay/${orderId}` };
+  },
+
+  async checkStatus(orderId) {
+    const order = mockGatewayOrders.get(orderId);
+    return { status: order?.status || "pending", raw: order || null };
+  },
+
+  verifyCallback(req) {
+    return {
+      valid: verifyWebhookSignature(
+        req.rawBody,
+        req.get("x-webhook-signature"),
+        MOCK_WEBHOOK_SECRET
+      ),
+      orderId: req.body.order_id,
+      status: normalizeGatewayStatus(req.body.status),
+    };
+  },
+
+  async refund({ orderId, amount }) {
+    const order = mockGatewayOrders.get(orderId);
+    if (!order || order.status !== "success") {
+      throw httpError(409, "Mock order was never paid");
+    }
+    order.status = "refunded";
+    order.refunded_amount = amount;
+    return { refund_id: `MOCKREF_${orderId}`, status: "refunded" };
+  },
+};
+
+// Orders paid in full from the player's wallet. No money leaves the
+// ledger, so status is read from it and refundOrder returns the wallet
+// share itself.
+const walletProvider = {
+  name: "wallet",
+
+  async createOrder() {
+    throw httpError(500, "Wallet orders are paid at checkout");
+  },
+
+  async checkStatus(orderId) {
+    const { data: payment, error } = await supabase
+      .from("payments")
+      .select("order_id, user_id, amount")
+      .eq("order_id", orderId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!payment) return { status: "failed", raw: null };
+
+    const paid = await getOrderWalletPaid(orderId, payment.user_id);
+    return {
+      status: paid >= Number(payment.amount) ? "success" : "failed",
+      raw: { wallet_paid: paid },
+    };
+  },
+
+  verifyCallback() {
+    return { valid: false };
+  },
+
+  async refund({ orderId }) {
+    return { refund_id: `WALLET_${orderId}`, status: "refunded" };
+  },
+};
+
+const paymentProviders = {
+  upifastpe: upifastpeProvider,
+  wallet: walletProvider,
+  ...(MOCK_GATEWAY_ENABLED && { mock: mockProvider }),
+};
+
+function getPaymentProvider(name) {
+  const providerName = name || process.env.PAYMENT_PROVIDER || "upifastpe";
+  const provider = paymentProviders[providerName];
+
+  if (!provider) {
+    throw httpError(500, `Unknown payment provider "${providerName}"`);
+  }
+
+  return provider;
+}
+
+async function markPaymentFailed(orderId, reason) {
+  const { data: failed } = await supabase
+    .from("payments")
+    .update({ status: "failed" })
+    .eq("order_id", orderId)
+    .in("status", ["created", "pending"])
+    .select("order_id, status, user_id, wallet_amount");
+
+  await releaseReservation(orderId, reason);
+
+  if (failed && failed.length > 0) {
+    await returnOrderWalletShare(failed[0], "purchase_reversal");
+    await recordAudit({
+      action: "payment.failed",
+      entityType: "payment",
+      entityId: orderId,
+      after: { status: "failed", reason },
+    });
+  }
+}
+
+// Asks the order's gateway where the payment stands and acts on it: issue
+// tickets on success, fail the order and free its stock on failure
+async function syncPaymentWithGateway(payment) {
+  const provider = getPaymentProvider(payment.gateway);
+  const { status } = await provider.checkStatus(payment.order_id);
+
+  if (status === "success") {
+    const result = await fulfillPaidOrder(payment.order_id);
+    return { status, ...result };
+  }
+
+  if (status === "failed") {
+    await markPaymentFailed(payment.order_id, "payment_failed");
+  }
+
+  return { status };
+}
+
+async function getSoldTicketsCount(roundId) {
+  const { count, error } = await supabase
+    .from("tickets")
+    .select("*", { count: "exact", head: true })
+    .eq("round_id", roundId)
+    .neq("status", "void");
+
+  if (error) {
+    console.error("Error counting tickets:", error);
+    return 0;
+  }
+
+  return count || 0;
+}
+
+// ============ TICKET INVENTORY ============
+// Stock is reserved when an order is created and held for
+// RESERVATION_TTL_MINUTES. available = total - sold - held. The check and the
+// insert happen in one reserve_tickets() call in Postgres, which locks the
+// round row, so concurrent buyers on any instance cannot both take the last
+// tickets. Paying turns the hold into sold stock through
+// claim_reserved_stock(), which re-checks availability when the hold had
+// already lapsed.
+
+const RESERVATION_TTL_MINUTES =
+  Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+async function releaseExpiredReservations(roundId) {
+  let query = supabase
+    .from("ticket_reservations")
+    .update({
+      status: "released",
+      release_reason: "expired",
+      released_at: new Date().toISOString(),
+    })
+    .eq("status", "held")
+    .lt("expires_at", new Date().toISOString());
+
+  if (roundId) query = query.eq("round_id", roundId);
+
+  const { data, error } = await query.select("order_id");
+
+  if (error) {
+    console.error("❌ Reservation expiry error:", error);
+    return [];
+  }
+
+  if (data && data.length > 0) {
+    console.log("⌛ Released expired reservations:", data.length);
+    await releasePromoHolds(data.map((r) => r.order_id));
+    publishInventory();
+  }
+
+  return data || [];
+}
+
+async function getReservedTicketsCount(roundId) {
+  const { data, error } = await supabase
+    .from("ticket_reservations")
+    .select("quantity")
+    .eq("round_id", roundId)
+    .eq("status", "held")
+    .gt("expires_at", new Date().toISOString());
+
+  if (error) throw error;
+
+  return (data || []).reduce((sum, r) => sum + r.quantity, 0);
+}
+
+async function getInventory(round) {
+  await releaseExpiredReservations(round.id);
+
+  const [sold, reserved] = await Promise.all([
+    getSoldTicketsCount(round.id),
+    getReservedTicketsCount(round.id),
+  ]);
+  const total = round.total_tickets;
+
+  return {
+    total,
+    sold,
+    reserved,
+    available: Math.max(total - sold - reserved, 0),
+  };
+}
+
+async function reserveTickets(round, orderId, quantity) {
+  const { data, error } = await supabase.rpc("reserve_tickets", {
+    p_round_id: round.id,
+    p_order_id: orderId,
+    p_quantity: quantity,
+    p_expires_at: new Date(
+      Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000
+    ).toISOString(),
+  });
+
+  if (error) throw error;
+
+  if (!data.reserved) {
+    const err = httpError(400, `Only ${data.available} tickets remaining`);
+    err.remaining = data.available;
+    throw err;
+  }
+
+  publishInventory();
+  return data.reservation;
+}
+
+async function releaseReservation(orderId, reason) {
+  const { error } = await supabase
+    .from("ticket_reservations")
+    .update({
+      status: "released",
+      release_reason: reason,
+      released_at: new Date().toISOString(),
+    })
+    .eq("order_id", orderId)
+    .eq("status", "held");
+
+  if (error) console.error("❌ Reservation release error:", error);
+  await releasePromoHolds([orderId]);
+  publishInventory();
+}
+
+// Turns the order's hold into sold stock. A payment that lands after its
+// hold lapsed is only honoured while the round still has the tickets;
+// false means they were sold to someone else in the meantime.
+async function claimReservedStock(round, payment) {
+  const { data, error } = await supabase.rpc("claim_reserved_stock", {
+    p_round_id: round.id,
+    p_order_id: payment.order_id,
+    p_quantity: payment.quantity,
+  });
+
+  if (error) throw error;
+  return data === true;
+}
+
+setInterval(() => {
+  releaseExpiredReservations().catch((err) =>
+    console.error("❌ Reservation sweep error:", err)
+  );
+}, 60 * 1000);
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function getIssuedTicketCodes(orderId) {
+  const { data: tickets, error } = await supabase
+    .from("tickets")
+    .select("ticket_code")
+    .eq("order_id", orderId)
+    .order("ticket_code", { ascending: true });
+
+  if (error) throw error;
+
+  return (tickets || []).map((t) => t.ticket_code);
+}
+
+async function issueOrderTickets(payment) {
+  // Orders created before rounds existed carry no round_id
+  const round = payment.round_id
+    ? await getRoundById(payment.round_id)
+    : await getCurrentRound();
+
+  // Paid after the round closed is still honoured, but a drawn round's
+  // ticket pool is final and a cancelled round sells nothing
+  if (round.status !== "open" && round.status !== "closed") {
+    const err = httpError(
+      409,
+      round.status === "cancelled"
+        ? `Round ${round.round_number} was cancelled, order ${payment.order_id} needs a refund`
+        : `Round ${round.round_number} has already been drawn, order ${payment.order_id} needs a refund`
+    );
+    err.refundReason = "round_closed";
+    throw err;
+  }
+
+  // Before the stock, so an order refused here has taken no tickets
+  await redeemPromoHold(payment.order_id);
+
+  if (!(await claimReservedStock(round, payment))) {
+    const err = httpError(
+      409,
+      `Round ${round.round_number} sold out before order ${payment.order_id} was paid, it needs a refund`
+    );
+    err.refundReason = "sold_out";
+    throw err;
+  }
+
+  const codes = await generateTicketCodes(round, payment.quantity);
+
+  console.log("🎫 Generated ticket codes:", codes);
+
+  const ticketsToInsert = codes.map((code) => ({
+    ticket_code: code,
+    user_id: payment.user_id,
+    order_id: payment.order_id,
+    round_id: round.id,
+    status: "confirmed",
+  }));
+
+  const { data: insertedTickets, error: ticketError } = await supabase
+    .from("tickets")
+    .insert(ticketsToInsert)
+    .select();
+
+  if (ticketError) {
+    console.error("❌ Ticket insertion error:", ticketError);
+    throw httpError(500, `Failed to generate tickets: ${ticketError.message}`);
+  }
+
+  console.log("✅ Tickets inserted successfully:", insertedTickets.length);
+
+  return codes;
+}
+
+// Issues the tickets an order paid for, exactly once. Quantity and user come
+// from the payments row written at create-order time, never from the caller.
+// The row also acts as the lock: only the caller that moves it out of
+// created/pending/failed/expired gets to insert tickets, a retried callback or a late
+// browser verify gets the already-issued codes back instead.
+async function fulfillPaidOrder(orderId) {
+  const { data: payment, error: paymentError } = await supabase
+    .from("payments")
+    .select("*")
+    .eq("order_id", orderId)
+    .maybeSingle();
+
+  if (paymentError) throw paymentError;
+  if (!payment) throw httpError(404, "Order not found");
+
+  if (payment.status === "success") {
+    console.log("⚠️ Tickets already generated for this order");
+    return {
+      alreadyIssued: true,
+      tickets: await getIssuedTicketCodes(orderId),
+    };
+  }
+
+  if (!payment.quantity || !payment.user_id) {
+    throw httpError(422, "Order has no ticket quantity recorded");
+  }
+
+  const { data: claimed, error: claimError } = await supabase
+    .from("payments")
+    .update({ status: "processing" })
+    .eq("order_id", orderId)
+    .in("status", ["created", "pending", "failed", "expired"])
+    .select();
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) {
+    throw httpError(409, "Order is already being processed");
+  }
+
+  let codes;
+  try {
+    // A previous attempt may have inserted the tickets and then failed to
+    // mark the payment; never issue a second batch for the same order
+    const existing = await getIssuedTicketCodes(orderId);
+    codes = existing.length > 0 ? existing : await issueOrderTickets(payment);
+  } catch (err) {
+    // Hand the order back so the next verify/callback can retry it
+    await supabase
+      .from("payments")
+      .update({ status: payment.status })
+      .eq("order_id", orderId);
+
+    // The money was taken for an order that can no longer be honoured
+    if (err.refundReason && !payment.refund_status) {
+      await refundOrder(orderId, { reason: err.refundReason }).catch(
+        (refundErr) =>
+          console.error(
+            `❌ ${err.refundReason} refund error:`,
+            orderId,
+            refundErr.message
+          )
+      );
+    }
+    throw err;
+  }
+
+  const { error: updateError } = await supabase
+    .from("payments")
+    .update({ status: "success" })
+    .eq("order_id", orderId);
+
+  if (updateError) {
+    console.error("⚠️ Payment status update failed:", updateError);
+  }
+
+  await recollectOrderWalletShare(payment).catch((err) =>
+    console.error("❌ Wallet recollect error:", orderId, err.message)
+  );
+
+  await recordAudit({
+    action: "payment.success",
+    entityType: "payment",
+    entityId: orderId,
+    before: { status: payment.status },
+    after: { status: "success", amount: payment.amount, tickets: codes },
+  });
+
+  publishInventory();
+
+  // Left to the reconciliation sweep if this doesn't get through
+  recordAgentCommission(payment).catch((err) =>
+    console.error("❌ Agent commission error:", err.message)
+  );
+
+  notifyTicketsIssued(payment, codes).catch((err) =>
+    console.error("❌ Ticket notification error:", err.message)
+  );
+
+  return { alreadyIssued: false, tickets: codes };
+}
+
+// ============ PAYMENT RECONCILIATION ============
+// Catches orders the browser never came back to verify. Every run polls the
+// gateway for created/pending payments older than RECONCILE_AFTER_MINUTES,
+// issues tickets for the paid ones, fails the declined ones and expires
+// anything still unpaid after PAYMENT_EXPIRY_MINUTES. Each run is recorded
+// in reconciliation_runs. Checked orders are stamped with reconciled_at and
+// each run takes the least recently checked ones first, so a backlog larger
+// than RECONCILE_BATCH_SIZE is worked through instead of re-polling the same
+// oldest rows every time.
+
+const RECONCILE_INTERVAL_MINUTES = Number(
+  process.env.RECONCILE_INTERVAL_MINUTES ?? 5
+);
+const RECONCILE_AFTER_MINUTES =
+  Number(process.env.RECONCILE_AFTER_MINUTES) || 10;
+const PAYMENT_EXPIRY_MINUTES = Number(process.env.PAYMENT_EXPIRY_MINUTES) || 60;
+const RECONCILE_BATCH_SIZE = 100;
+
+let reconciliationRunning = false;
+
+async function reconcilePayment(payment) {
+  const result = await syncPaymentWithGateway(payment);
+
+  if (result.status === "success") {
+    return result.alreadyIssued ? "already_settled" : "settled";
+  }
+
+  if (result.status === "failed") return "failed";
+
+  const ageMinutes = (Date.now() - new Date(payment.created_at)) / 60000;
+  if (ageMinutes < PAYMENT_EXPIRY_MINUTES) return "pending";
+
+  return (await expirePayment(payment, "payment_expired"))
+    ? "expired"
+    : "pending";
+}
+
+// Gives up on an unpaid order: frees its stock and promo hold and returns
+// its wallet share. A payment that still lands afterwards is handled like
+// any late one. False when the order was no longer unpaid.
+async function expirePayment(payment, reason, actor) {
+  const { data: expired, error } = await supabase
+    .from("payments")
+    .update({ status: "expired" })
+    .eq("order_id", payment.order_id)
+    .in("status", ["created", "pending"])
+    .select("order_id");
+
+  if (error) throw error;
+
+  await releaseReservation(payment.order_id, reason);
+
+  if (expired.length === 0) return false;
+
+  await returnOrderWalletShare(payment, "purchase_reversal");
+
+  await recordAudit({
+    actor,
+    action: "payment.expired",
+    entityType: "payment",
+    entityId: payment.order_id,
+    before: { status: payment.status },
+    after: { status: "expired", reason },
+  });
+
+  return true;
+}
+
+async function runReconciliation(trigger = "schedule") {
+  if (reconciliationRunning) {
+    throw httpError(409, "A reconciliation run is already in progress");
+  }
+  reconciliationRunning = true;
+
+  const startedAt = new Date().toISOString();
+  const counts = {
+    checked: 0,
+    settled: 0,
+    failed: 0,
+    expired: 0,
+    pending: 0,
+    errors: 0,
+  };
+  const details = [];
+
+  try {
+    const cutoff = new Date(
+      Date.now() - RECONCILE_AFTER_MINUTES * 60 * 1000
+    ).toISOString();
+
+    const { data: payments, error } = await supabase
+      .from("payments")
+      .select("*")
+      .in("status", ["created", "pending"])
+      .lt("created_at", cutoff)
+      .order("reconciled_at", { ascending: true, nullsFirst: true })
+      .order("created_at", { ascending: true })
+      .limit(RECONCILE_BATCH_SIZE);
+
+    if (error) throw error;
+
+    // Orders stuck mid-fulfilment need a human, they are only reported
+    const { data: stuck } = await supabase
+      .from("payments")
+      .select("order_id")
+      .eq("status", "processing")
+      .lt("created_at", cutoff);
+
+    for (const payment of payments || []) {
+      counts.checked++;
+      try {
+        const outcome = await reconcilePayment(payment);
+        if (outcome === "already_settled") counts.settled++;
+        else counts[outcome]++;
+        details.push({ order_id: payment.order_id, outcome });
+      } catch (err) {
+        counts.errors++;
+        details.push({
+          order_id: payment.order_id,
+          outcome: "error",
+          error: err.message,
+        });
+        console.error("❌ Reconcile error:", payment.order_id, err.message);
+      }
+
+      await supabase
+        .from("payments")
+        .update({ reconciled_at: new Date().toISOString() })
+        .eq("order_id", payment.order_id);
+    }
+
+    for (const s of stuck || []) {
+      details.push({ order_id: s.order_id, outcome: "stuck_processing" });
+    }
+
+    const sweepDetails = [
+      ...(await sweepAgentCommissions()),
+      ...(await sweepWalletRefunds()),
+    ];
+    counts.errors += sweepDetails.filter((d) => d.outcome === "error").length;
+    details.push(...sweepDetails);
+
+    const report = {
+      trigger,
+      status: "completed",
+      started_at: startedAt,
+      finished_at: new Date().toISOString(),
+      ...counts,
+      stuck_processing: (stuck || []).length,
+      details,
+    };
+
+    const { data: run, error: runError } = await supabase
+      .from("reconciliation_runs")
+      .insert(report)
+      .select()
+      .single();
+
+    if (runError) console.error("❌ Reconciliation report error:", runError);
+
+    if (counts.checked > 0) {
+      console.log("🔄 Reconciliation run:", counts);
+    }
+
+    return run || report;
+  } catch (err) {
+    await supabase.from("reconciliation_runs").insert({
+      trigger,
+      status: "failed",
+      started_at: startedAt,
+      finished_at: new Date().toISOString(),
+      ...counts,
+      details: [...details, { outcome: "error", error: err.message }],
+    });
+    throw err;
+  } finally {
+    reconciliationRunning = false;
+  }
+}
+
+if (RECONCILE_INTERVAL_MINUTES > 0) {
+  setInterval(
+    () => {
+      runReconciliation().catch((err) =>
+        console.error("❌ Scheduled reconciliation failed:", err.message)
+      );
+    },
+    RECONCILE_INTERVAL_MINUTES * 60 * 1000
+  );
+}
+
+// ============ REFUNDS ============
+// A refund goes through the gateway the order was paid with. Gateways
+// without a refund API (upifastpe) leave the order as manual_required with
+// its tickets already voided; recording the manual transfer reference then
+// completes it. Whatever part was paid from the wallet goes back to the
+// wallet. refund_status on payments: pending → refunded | manual_required |
+// failed.
+
+async function refundOrder(
+  orderId,
+  { reason, manualRef, allowWinners, actor }
+) {
+  const { data: payment, error } = await supabase
+    .from("payments")
+    .select("*")
+    .eq("order_id", orderId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!payment) throw httpError(404, "Order not found");
+
+  if (payment.refund_status === "refunded") {
+    throw httpError(409, "Order is already refunded");
+  }
+
+  if (payment.refund_status === "manual_required" && !manualRef) {
+    throw httpError(400, "This order needs a manual_ref for the manual refund");
+  }
+
+  // Orders whose ticket insertion failed never reached success locally, so
+  // ask the gateway whether money was actually taken
+  if (payment.status !== "success" && payment.status !== "refunded") {
+    const { status } = await getPaymentProvider(payment.gateway).checkStatus(
+      orderId
+    );
+    if (status !== "success") {
+      throw httpError(409, "Order was never paid, nothing to refund");
+    }
+  }
+
+  const { data: tickets, error: ticketError } = await supabase
+    .from("tickets")
+    .select("ticket_code, status")
+    .eq("order_id", orderId);
+
+  if (ticketError) throw ticketError;
+
+  const codes = (tickets || []).map((t) => t.ticket_code);
+
+  // The draw proof commits to the round's ticket set, so once a round is
+  // drawn its tickets stay as they are. Late payments that never got tickets,
+  // and refunds whose tickets were voided before the draw, can still go
+  // through.
+  const liveTickets = (tickets || []).some((t) => t.status !== "void");
+  if (liveTickets && payment.round_id) {
+    const round = await getRoundById(payment.round_id);
+    if (round.status === "drawn" || round.status === "settled") {
+      throw httpError(
+        409,
+        `Round ${round.round_number} has already been drawn, its tickets can no longer be refunded`
+      );
+    }
+  }
+
+  if (codes.length > 0 && !allowWinners) {
+    const { data: won } = await supabase
+      .from("winners")
+      .select("ticket_code")
+      .in("ticket_code", codes);
+
+    if (won && won.length > 0) {
+      throw httpError(
+        409,
+        "Order holds a winning ticket and cannot be refunded"
+      );
+    }
+  }
+
+  const previousRefundStatus = payment.refund_status || null;
+  let claim = supabase
+    .from("payments")
+    .update({ refund_status: "pending", refund_reason: reason || null })
+    .eq("order_id", orderId);
+  claim = previousRefundStatus
+    ? claim.eq("refund_status", previousRefundStatus)
+    : claim.is("refund_status", null);
+
+  const { data: claimed, error: claimError } = await claim.select("order_id");
+
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) {
+    throw httpError(409, "A refund for this order is already in progress");
+  }
+
+  // Voided first so the tickets can never be drawn while money goes back.
+  // If that fails nothing has been paid back yet, so the claim is handed
+  // back and the refund can simply be tried again.
+  if (codes.length > 0) {
+    const { error: voidError } = await supabase
       .from("tickets")
-      .insert(ticketsToInsert)
-      .select();
+      .update({ status: "void" })
+      .eq("order_id", orderId);
+
+    if (voidError) {
+      const { error: releaseError } = await supabase
+        .from("payments")
+        .update({ refund_status: previousRefundStatus })
+        .eq("order_id", orderId)
+        .eq("refund_status", "pending");
+      if (releaseError) {
+        console.error("❌ Refund claim release error:", orderId, releaseError);
+      }
+      throw voidError;
+    }
+  }
+
+  let result;
+  if (manualRef) {
+    result = { refund_id: manualRef, status: "refunded" };
+  } else {
+    try {
+      // The wallet share goes back to the wallet below, not the gateway
+      result = await getPaymentProvider(payment.gateway).refund({
+        orderId,
+        amount: roundMoney(payment.amount - Number(payment.wallet_amount || 0)),
+        reason,
+      });
+    } catch (err) {
+      const refundStatus = err.status === 501 ? "manual_required" : "failed";
+
+      await supabase
+        .from("payments")
+        .update({ refund_status: refundStatus, refund_error: err.message })
+        .eq("order_id", orderId);
+
+      console.error("❌ Refund error:", orderId, err.message);
+
+      await recordAudit({
+        actor,
+        action: `payment.refund_${refundStatus}`,
+        entityType: "payment",
+        entityId: orderId,
+        before: { status: payment.status, refund_status: previousRefundStatus },
+        after: { refund_status: refundStatus, error: err.message, reason },
+      });
+
+      return {
+        order_id: orderId,
+        refund_status: refundStatus,
+        error: err.message,
+      };
+    }
+  }
+
+  const { data: refunded, error: updateError } = await supabase
+    .from("payments")
+    .update({
+      status: "refunded",
+      refund_status: "refunded",
+      refunded_amount: payment.amount,
+      refund_ref: result.refund_id,
+      refund_error: null,
+      refunded_at: new Date().toISOString(),
+    })
+    .eq("order_id", orderId)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  console.log("↩️ Order refunded:", orderId, payment.amount);
+  publishInventory();
+
+  // The money has already gone back, so the follow-up steps only log when
+  // they fail and the reconciliation sweep finishes them. They run before
+  // the audit entry so a failed audit write can't leave them undone.
+  let walletRefund = 0;
+  try {
+    walletRefund = await refundOrderWalletShare(payment);
+  } catch (err) {
+    console.error("❌ Refund wallet share error:", orderId, err.message);
+  }
+
+  await reverseAgentCommission(orderId).catch((err) =>
+    console.error("❌ Agent commission reversal error:", orderId, err.message)
+  );
+  await releasePromoHolds([orderId], PROMO_IN_USE);
+
+  await recordAudit({
+    actor,
+    action: "payment.refunded",
+    entityType: "payment",
+    entityId: orderId,
+    before: { status: payment.status, refund_status: previousRefundStatus },
+    after: {
+      status: "refunded",
+      refund_status: "refunded",
+      amount: payment.amount,
+      refund_ref: refunded.refund_ref,
+      voided_tickets: codes,
+      wallet_amount: Number(payment.wallet_amount || 0),
+      reason,
+    },
+  });
+
+  return {
+    order_id: orderId,
+    refund_status: "refunded",
+    refund_ref: refunded.refund_ref,
+    amount: payment.amount,
+    wallet_refund: walletRefund,
+    voided_tickets: codes,
+  };
+}
+
+// ============ AGENTS ============
+// Agents share links carrying their referral code. An order is credited to
+// the agent whose code it was placed with, or else to the agent who first
+// referred that buyer. When the payment succeeds the agent earns
+// commission_rate (or AGENT_COMMISSION_RATE) of the order amount as an
+// "earned" agent_commissions row. Refunds reverse it, or, if it was already
+// paid out, turn it into a "clawback" deducted at the next settlement
+// (after which it is "clawback_settled"). payments.commission_recorded_at
+// and commission_reversed_at mark the order as done either way, and the
+// reconciliation run sweeps up orders where that step never completed.
+// Settlements run in settle_agent_commissions under a lock on the agent.
+// Agents log in as players; their mobile links the two.
+
+const AGENT_COMMISSION_RATE = Number(process.env.AGENT_COMMISSION_RATE ?? 0.05);
+const REFERRAL_CODE_LENGTH = 6;
+
+function generateReferralCode() {
+  const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+  return [...bytes]
+    .map((b) => TICKET_CODE_ALPHABET[b % TICKET_CODE_ALPHABET.length])
+    .join("");
+}
+
+function normalizeReferralCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+async function getAgentBy(column, value) {
+  const { data, error } = await supabase
+    .from("agents")
+    .select("*")
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getAgentById(id) {
+  const agent = await getAgentBy("id", id);
+  if (!agent) throw httpError(404, "Agent not found");
+  return agent;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function getAgentRate(agent) {
+  return Number(agent.commission_rate ?? AGENT_COMMISSION_RATE);
+}
+
+// The agent an order should be credited to, if any. A bad referral code
+// never blocks a sale.
+async function resolveOrderAgent(referralCode, user) {
+  const code = normalizeReferralCode(referralCode);
+
+  let agent = code ? await getAgentBy("referral_code", code) : null;
+  if (code && !agent?.is_active) {
+    console.log("⚠️ Ignoring unknown or inactive referral code:", code);
+    agent = null;
+  }
+
+  if (!agent && user.agent_id) {
+    agent = await getAgentBy("id", user.agent_id);
+    if (!agent?.is_active) agent = null;
+  }
+
+  // Agents don't earn on their own purchases
+  if (agent && agent.mobile === user.mobile) return null;
+
+  // First referral sticks to the buyer
+  if (agent && !user.agent_id) {
+    await supabase
+      .from("users")
+      .update({ agent_id: agent.id })
+      .eq("id", user.id)
+      .is("agent_id", null);
+  }
+
+  return agent;
+}
+
+async function markCommissionStep(orderId, column) {
+  const { error } = await supabase
+    .from("payments")
+    .update({ [column]: new Date().toISOString() })
+    .eq("order_id", orderId);
+
+  if (error) throw error;
+}
+
+async function recordAgentCommission(payment) {
+  if (!payment.agent_id) return;
+
+  const agent = await getAgentBy("id", payment.agent_id);
+  if (agent) {
+    const rate = getAgentRate(agent);
+    const { error } = await supabase.from("agent_commissions").upsert(
+      {
+        agent_id: agent.id,
+        order_id: payment.order_id,
+        round_id: payment.round_id,
+        user_id: payment.user_id,
+        sale_amount: payment.amount,
+        rate,
+        commission: roundMoney(Number(payment.amount) * rate),
+        status: "earned",
+      },
+      { onConflict: "order_id", ignoreDuplicates: true }
+    );
+
+    if (error) throw error;
+  }
+
+  await markCommissionStep(payment.order_id, "commission_recorded_at");
+}
+
+// A settlement can take the row between the read and the update, so a
+// lost race is retried against the new status
+async function reverseAgentCommission(orderId) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: commission, error } = await supabase
+      .from("agent_commissions")
+      .select("*")
+      .eq("order_id", orderId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const next = { earned: "reversed", settled: "clawback" }[
+      commission?.status
+    ];
+    if (!next) {
+      await markCommissionStep(orderId, "commission_reversed_at");
+      return;
+    }
+
+    const { data: reversed, error: updateError } = await supabase
+      .from("agent_commissions")
+      .update({ status: next, reversed_at: new Date().toISOString() })
+      .eq("id", commission.id)
+      .eq("status", commission.status)
+      .select("id");
+
+    if (updateError) throw updateError;
+    if (reversed.length === 0) continue;
+
+    console.log(
+      `↩️ Agent commission on ${orderId}: ${commission.status} → ${next}`
+    );
+    await markCommissionStep(orderId, "commission_reversed_at");
+    return;
+  }
+
+  throw httpError(409, `Agent commission on ${orderId} kept changing`);
+}
+
+// Finishes the commission step for agent orders where fulfilment or a
+// refund stopped short of it. Returns one detail per order for the
+// reconciliation report.
+async function sweepAgentCommissions() {
+  const details = [];
+  const steps = [
+    {
+      status: "success",
+      marker: "commission_recorded_at",
+      outcome: "commission_recorded",
+      run: (payment) => recordAgentCommission(payment),
+    },
+    {
+      status: "refunded",
+      marker: "commission_reversed_at",
+      outcome: "commission_reversed",
+      run: (payment) => reverseAgentCommission(payment.order_id),
+    },
+  ];
+
+  for (const step of steps) {
+    const { data: payments, error } = await supabase
+      .from("payments")
+      .select("*")
+      .eq("status", step.status)
+      .not("agent_id", "is", null)
+      .is(step.marker, null)
+      .order("created_at", { ascending: true })
+      .limit(RECONCILE_BATCH_SIZE);
+
+    if (error) throw error;
+
+    for (const payment of payments) {
+      try {
+        await step.run(payment);
+        details.push({ order_id: payment.order_id, outcome: step.outcome });
+      } catch (err) {
+        details.push({
+          order_id: payment.order_id,
+          outcome: "error",
+          error: err.message,
+        });
+        console.error(
+          "❌ Commission sweep error:",
+          payment.order_id,
+          err.message
+        );
+      }
+    }
+  }
+
+  return details;
+}
+
+// Totals per agent over a set of commission rows. payable is what the next
+// settlement would pay: earned minus clawbacks not yet deducted.
+function summarizeCommissions(rows) {
+  const sum = (status) =>
+    roundMoney(
+      rows
+        .filter((r) => r.status === status)
+        .reduce((total, r) => total + Number(r.commission), 0)
+    );
+
+  const counted = rows.filter(
+    (r) => r.status === "earned" || r.status === "settled"
+  );
+
+  return {
+    orders: counted.length,
+    sales: counted.reduce((total, r) => total + Number(r.sale_amount), 0),
+    earned: sum("earned"),
+    settled: sum("settled"),
+    clawback: sum("clawback"),
+    reversed: sum("reversed"),
+    payable: Math.max(roundMoney(sum("earned") - sum("clawback")), 0),
+  };
+}
+
+async function getAgentCommissions(agentId, { from, to, round_id } = {}) {
+  const rows = [];
+  await forEachPage(
+    () => {
+      let query = supabase
+        .from("agent_commissions")
+        .select("*")
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true });
+      if (agentId) query = query.eq("agent_id", agentId);
+      if (from) query = query.gte("created_at", from);
+      if (to) query = query.lte("created_at", to);
+      if (round_id) query = query.eq("round_id", round_id);
+      return query;
+    },
+    async (page) => {
+      rows.push(...page);
+    }
+  );
+  return rows;
+}
+
+// ============ PRICING ============
+// An order's price is settled here before the gateway sees it. subtotal is
+// quantity * ticket price; the bundle_pricing setting takes off a bundle
+// discount, then a promo code takes off its own share of what is left. The
+// payments row keeps each part next to the amount actually charged.
+//
+// A promo use is held in promo_redemptions with the ticket reservation and
+// released with it, so abandoned checkouts give the use back; a refund gives
+// it back too. Usage caps count held and redeemed uses and are enforced by
+// promo_hold and promo_redeem with the promo row locked.
+
+const MIN_ORDER_AMOUNT = 1;
+const PROMO_IN_USE = ["reserved", "redeemed"];
+
+// Why a promo can't be used, as shown to the buyer. The keys are also the
+// reasons promo_hold gives.
+const PROMO_ERRORS = {
+  invalid: "Promo code is not valid",
+  not_started: "Promo code is not active yet",
+  expired: "Promo code has expired",
+  used_up: "Promo code has been fully used",
+  mobile_limit: "You have already used this promo code",
+};
+
+// bundle_pricing is a list of { quantity, pay_for } tiers: every full block
+// of quantity tickets is charged as pay_for tickets
+function normalizeBundlePricing(tiers) {
+  const seen = new Set();
+  for (const tier of tiers) {
+    if (tier.pay_for >= tier.quantity) {
+      throw httpError(400, "A bundle's pay_for must be below its quantity");
+    }
+    if (seen.has(tier.quantity)) {
+      throw httpError(400, `Bundle for ${tier.quantity} tickets is repeated`);
+    }
+    seen.add(tier.quantity);
+  }
+  return [...tiers].sort((a, b) => b.quantity - a.quantity);
+}
+
+// Largest bundles are filled first; leftover tickets are full price
+function getBundleDiscount(quantity, unitPrice, tiers) {
+  let remaining = quantity;
+  let free = 0;
+  for (const tier of tiers || []) {
+    const blocks = Math.floor(remaining / tier.quantity);
+    free += blocks * (tier.quantity - tier.pay_for);
+    remaining -= blocks * tier.quantity;
+  }
+  return roundMoney(free * unitPrice);
+}
+
+function normalizePromoCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+async function countPromoUses(promoId, mobile) {
+  let query = supabase
+    .from("promo_redemptions")
+    .select("id", { count: "exact", head: true })
+    .eq("promo_id", promoId)
+    .in("status", PROMO_IN_USE);
+  if (mobile) query = query.eq("mobile", mobile);
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+// The promo if this buyer can use it on this order; otherwise a 400 whose
+// message is shown to the buyer
+async function checkPromoCode(code, { quantity, mobile }) {
+  const { data: promo, error } = await supabase
+    .from("promo_codes")
+    .select("*")
+    .eq("code", normalizePromoCode(code))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!promo || !promo.is_active) {
+    throw httpError(400, PROMO_ERRORS.invalid);
+  }
+
+  const now = new Date();
+  if (promo.starts_at && new Date(promo.starts_at) > now) {
+    throw httpError(400, PROMO_ERRORS.not_started);
+  }
+  if (promo.expires_at && new Date(promo.expires_at) <= now) {
+    throw httpError(400, PROMO_ERRORS.expired);
+  }
+  if (promo.min_quantity && quantity < promo.min_quantity) {
+    throw httpError(
+      400,
+      `Promo code needs at least ${promo.min_quantity} tickets`
+    );
+  }
+  if (
+    promo.max_uses != null &&
+    (await countPromoUses(promo.id)) >= promo.max_uses
+  ) {
+    throw httpError(400, PROMO_ERRORS.used_up);
+  }
+  if (
+    promo.per_mobile_limit != null &&
+    mobile &&
+    (await countPromoUses(promo.id, mobile)) >= promo.per_mobile_limit
+  ) {
+    throw httpError(400, PROMO_ERRORS.mobile_limit);
+  }
+
+  return promo;
+}
+
+// Never discounts an order below MIN_ORDER_AMOUNT
+function getPromoDiscount(promo, amount) {
+  let discount =
+    promo.discount_type === "percent"
+      ? (amount * Number(promo.discount_value)) / 100
+      : Number(promo.discount_value);
+
+  if (promo.max_discount != null) {
+    discount = Math.min(discount, Number(promo.max_discount));
+  }
+
+  return roundMoney(Math.max(Math.min(discount, amount - MIN_ORDER_AMOUNT), 0));
+}
+
+async function priceOrder({ quantity, unitPrice, promoCode, mobile }) {
+  const settings = await getSettings();
+
+  const subtotal = roundMoney(quantity * unitPrice);
+  const bundleDiscount = getBundleDiscount(
+    quantity,
+    unitPrice,
+    settings.bundle_pricing
+  );
+
+  let promo = null;
+  let promoDiscount = 0;
+  if (promoCode) {
+    promo = await checkPromoCode(promoCode, { quantity, mobile });
+    promoDiscount = getPromoDiscount(promo, subtotal - bundleDiscount);
+  }
+
+  const discount = roundMoney(bundleDiscount + promoDiscount);
+
+  return {
+    promo,
+    quantity,
+    unit_price: unitPrice,
+    subtotal,
+    bundle_discount: bundleDiscount,
+    promo_code: promo?.code ?? null,
+    promo_discount: promoDiscount,
+    discount,
+    amount: roundMoney(subtotal - discount),
+  };
+}
+
+// Takes one use of the promo for this order. The caps are checked again in
+// the database so two buyers can't both take the last use.
+async function holdPromoCode(pricing, { orderId, mobile }) {
+  const { data, error } = await supabase.rpc("promo_hold", {
+    p_promo_id: pricing.promo.id,
+    p_order_id: orderId,
+    p_mobile: mobile,
+    p_discount: pricing.promo_discount,
+  });
+
+  if (error) throw error;
+  if (!data.held) {
+    throw httpError(400, PROMO_ERRORS[data.reason] || PROMO_ERRORS.invalid);
+  }
+}
+
+// statuses: which uses to give back. Failed and expired orders only ever
+// release a hold; a refund releases a redeemed use as well.
+async function releasePromoHolds(orderIds, statuses = ["reserved"]) {
+  if (orderIds.length === 0) return;
+
+  const { error } = await supabase
+    .from("promo_redemptions")
+    .update({ status: "released", released_at: new Date().toISOString() })
+    .in("order_id", orderIds)
+    .in("status", statuses);
+
+  if (error) console.error("❌ Promo release error:", error);
+}
+
+// Turns the order's hold into a use. A payment that lands after its hold
+// lapsed only gets the use back while the caps still have room; otherwise
+// the order can't be sold at the price it was quoted and is refunded.
+async function redeemPromoHold(orderId) {
+  const { data: redeemed, error } = await supabase.rpc("promo_redeem", {
+    p_order_id: orderId,
+  });
+
+  if (error) throw error;
+  if (!redeemed) {
+    const err = httpError(
+      409,
+      `Promo code on order ${orderId} was used up before it was paid, it needs a refund`
+    );
+    err.refundReason = "promo_unavailable";
+    throw err;
+  }
+}
+
+// ============ WALLET ============
+// Player wallets live in a double-entry ledger. Each wallet_transactions row
+// has wallet_entries legs that sum to zero, and an account's balance is the
+// sum of its legs, so money only ever moves between accounts. A player's
+// account is "wallet:<user id>"; the house side uses WALLET_ACCOUNTS.
+// idempotency_key is unique, so any posting can be retried safely. Postings
+// go through wallet_post, which keeps each account's running total in
+// wallet_balances and, with those rows locked, refuses to take a player
+// wallet below zero, so one balance can't be spent twice.
+//
+// Prizes reach the wallet through claims with payout_method "wallet".
+// Orders can take part or all of their amount from the wallet
+// (payments.wallet_amount); a failed or refunded order gets it back.
+// payments.wallet_refunded_at marks a refund's share as returned, and the
+// reconciliation run sweeps up refunds where that step never completed.
+// Withdrawals hold the amount in house:withdrawals_pending until an admin
+// pays it out or rejects it: requested → approved → paid, or rejected.
+
+const WALLET_ACCOUNTS = {
+  prizes: "house:prizes",
+  sales: "house:ticket_sales",
+  pendingWithdrawals: "house:withdrawals_pending",
+  paidOut: "house:paid_out",
+};
+
+// Wallet claims up to this amount are credited without review
+const WALLET_AUTO_CREDIT_LIMIT = Number(
+  process.env.WALLET_AUTO_CREDIT_LIMIT ?? 5000
+);
+const WALLET_MIN_WITHDRAWAL = Number(process.env.WALLET_MIN_WITHDRAWAL ?? 100);
+
+const WITHDRAWAL_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["paid", "rejected"],
+  rejected: [],
+  paid: [],
+};
+
+// How each order-related transaction moves the buyer's wallet
+const ORDER_WALLET_SIGNS = {
+  purchase: -1,
+  purchase_retry: -1,
+  purchase_reversal: 1,
+  refund: 1,
+};
+
+function walletAccount(userId) {
+  return `wallet:${userId}`;
+}
+
+async function getAccountBalance(account) {
+  const { data, error } = await supabase
+    .from("wallet_balances")
+    .select("balance")
+    .eq("account", account)
+    .maybeSingle();
+
+  if (error) throw error;
+  return roundMoney(Number(data?.balance || 0));
+}
+
+function getWalletBalance(userId) {
+  return getAccountBalance(walletAccount(userId));
+}
+
+// legs: [[account, amount], ...] summing to zero, positive adds to the
+// account. Returns the earlier transaction when the key was already used.
+// A player wallet can't go below zero unless allowOverdraft, for money
+// already spent that must still be recorded.
+async function postWalletTransaction({
+  key,
+  type,
+  userId,
+  reference,
+  memo,
+  legs,
+  allowOverdraft = false,
+}) {
+  const total = roundMoney(legs.reduce((sum, [, amount]) => sum + amount, 0));
+  if (total !== 0) throw new Error(`Wallet transaction ${key} is unbalanced`);
+
+  const { data, error } = await supabase.rpc("wallet_post", {
+    p_key: key,
+    p_type: type,
+    p_user_id: userId,
+    p_reference: reference ?? null,
+    p_memo: memo || null,
+    p_legs: legs.map(([account, amount]) => ({ account, amount })),
+    p_allow_overdraft: allowOverdraft,
+  });
+
+  if (error) throw error;
+  if (!data.posted) throw httpError(400, "Insufficient wallet balance");
+
+  if (!data.duplicate) {
+    console.log(
+      `👛 Wallet ${type} for user ${userId}:`,
+      data.transaction.amount
+    );
+  }
+  return data.transaction;
+}
+
+function creditWallet(userId, amount, { from, ...txn }) {
+  return postWalletTransaction({
+    ...txn,
+    userId,
+    legs: [
+      [from, -amount],
+      [walletAccount(userId), amount],
+    ],
+  });
+}
+
+function debitWallet(userId, amount, { to, ...txn }) {
+  return postWalletTransaction({
+    ...txn,
+    userId,
+    legs: [
+      [walletAccount(userId), -amount],
+      [to, amount],
+    ],
+  });
+}
+
+// Takes as much of maxAmount as the wallet holds and records it on the
+// order's payments row in the same transaction; 0 when the wallet is
+// empty. An order paid in full this way is marked as a wallet order.
+async function payOrderFromWallet(userId, orderId, maxAmount) {
+  const { data, error } = await supabase.rpc("wallet_pay_order", {
+    p_order_id: orderId,
+    p_user_id: userId,
+    p_account: walletAccount(userId),
+    p_sales_account: WALLET_ACCOUNTS.sales,
+    p_max_amount: maxAmount,
+  });
+
+  if (error) throw error;
+
+  const amount = roundMoney(Number(data || 0));
+  if (amount > 0) {
+    console.log(`👛 Wallet purchase for user ${userId}:`, amount);
+  }
+  return amount;
+}
+
+// What the buyer's wallet has paid towards an order right now
+async function getOrderWalletPaid(orderId, userId) {
+  const { data, error } = await supabase
+    .from("wallet_transactions")
+    .select("type, amount")
+    .eq("reference", orderId)
+    .eq("user_id", userId)
+    .in("type", Object.keys(ORDER_WALLET_SIGNS));
+
+  if (error) throw error;
+
+  return roundMoney(
+    -data.reduce(
+      (sum, t) => sum + ORDER_WALLET_SIGNS[t.type] * Number(t.amount),
+      0
+    )
+  );
+}
+
+// Gives back the wallet share of an order that failed (purchase_reversal)
+// or was refunded (refund)
+async function returnOrderWalletShare(payment, type) {
+  if (!Number(payment.wallet_amount)) return 0;
+
+  const paid = await getOrderWalletPaid(payment.order_id, payment.user_id);
+  if (paid <= 0) return 0;
+
+  await creditWallet(payment.user_id, paid, {
+    from: WALLET_ACCOUNTS.sales,
+    key: `${type}:${payment.order_id}`,
+    type,
+    reference: payment.order_id,
+  });
+  return paid;
+}
+
+// The wallet side of a refund. Stamped on the order once done, which is
+// what the sweep below looks for.
+async function refundOrderWalletShare(payment) {
+  if (!Number(payment.wallet_amount)) return 0;
+
+  const returned = await returnOrderWalletShare(payment, "refund");
+
+  const { error } = await supabase
+    .from("payments")
+    .update({ wallet_refunded_at: new Date().toISOString() })
+    .eq("order_id", payment.order_id);
+
+  if (error) throw error;
+  return returned;
+}
+
+// Returns the wallet share of refunded orders where the refund stopped
+// short of it. Returns one detail per order for the reconciliation report.
+async function sweepWalletRefunds() {
+  const { data: payments, error } = await supabase
+    .from("payments")
+    .select("*")
+    .eq("status", "refunded")
+    .gt("wallet_amount", 0)
+    .is("wallet_refunded_at", null)
+    .order("created_at", { ascending: true })
+    .limit(RECONCILE_BATCH_SIZE);
+
+  if (error) throw error;
+
+  const details = [];
+  for (const payment of payments) {
+    try {
+      await refundOrderWalletShare(payment);
+      details.push({ order_id: payment.order_id, outcome: "wallet_refunded" });
+    } catch (err) {
+      details.push({
+        order_id: payment.order_id,
+        outcome: "error",
+        error: err.message,
+      });
+      console.error(
+        "❌ Wallet refund sweep error:",
+        payment.order_id,
+        err.message
+      );
+    }
+  }
+
+  return details;
+}
+
+// A gateway payment that lands after its order failed still buys the
+// tickets, so the wallet share given back is taken again
+async function recollectOrderWalletShare(payment) {
+  const walletAmount = Number(payment.wallet_amount || 0);
+  if (!walletAmount) return;
+
+  const paid = await getOrderWalletPaid(payment.order_id, payment.user_id);
+  const owed = roundMoney(walletAmount - paid);
+  if (owed <= 0) return;
+
+  await debitWallet(payment.user_id, owed, {
+    to: WALLET_ACCOUNTS.sales,
+    key: `purchase_retry:${payment.order_id}`,
+    type: "purchase_retry",
+    reference: payment.order_id,
+    allowOverdraft: true,
+  });
+}
+
+// Credits an approved wallet claim's prize and marks the claim paid in one
+// transaction, with the claim row locked. The posting is keyed on the
+// ticket, so a prize is never credited twice.
+async function payClaimToWallet(claim, actor) {
+  if (claim.status !== "approved" || claim.payout_method !== "wallet") {
+    throw httpError(
+      409,
+      `Claim is ${claim.status} and cannot be credited to the wallet`
+    );
+  }
+
+  const { data, error } = await supabase.rpc("wallet_pay_claim", {
+    p_claim_id: claim.id,
+    p_account: walletAccount(claim.user_id),
+    p_from_account: WALLET_ACCOUNTS.prizes,
+  });
+
+  if (error) throw error;
+  if (!data.paid) {
+    throw httpError(
+      409,
+      `Claim is ${data.status} and cannot be credited to the wallet`
+    );
+  }
+
+  console.log(
+    `👛 Wallet prize_credit for user ${claim.user_id}:`,
+    data.transaction.amount
+  );
+
+  const { transaction_ref, paid_at } = data.claim;
+  return finishClaimTransition(
+    claim,
+    data.claim,
+    "paid",
+    actor,
+    { transaction_ref, paid_at },
+    "Credited to wallet"
+  );
+}
+
+async function getWithdrawalById(id) {
+  const { data, error } = await supabase
+    .from("wallet_withdrawals")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Withdrawal not found");
+  return data;
+}
+
+function assertWithdrawalTransition(withdrawal, toStatus) {
+  if (!WITHDRAWAL_TRANSITIONS[withdrawal.status]?.includes(toStatus)) {
+    throw httpError(
+      409,
+      `Withdrawal is ${withdrawal.status} and cannot be moved to ${toStatus}`
+    );
+  }
+}
+
+async function transitionWithdrawal(withdrawal, toStatus, extra = {}) {
+  assertWithdrawalTransition(withdrawal, toStatus);
+
+  const { data, error } = await supabase
+    .from("wallet_withdrawals")
+    .update({
+      status: toStatus,
+      updated_at: new Date().toISOString(),
+      ...extra,
+    })
+    .eq("id", withdrawal.id)
+    .eq("status", withdrawal.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(409, "Withdrawal was changed by someone else");
+
+  console.log(
+    `🏧 Withdrawal ${withdrawal.id}: ${withdrawal.status} → ${toStatus}`
+  );
+  return data;
+}
+
+// Rejects a withdrawal, giving the held amount back to the wallet, or
+// records it paid out. The status change and the posting happen in one
+// transaction with the withdrawal row locked, so neither lands without the
+// other.
+async function closeWithdrawal(
+  withdrawal,
+  toStatus,
+  { reason, transactionRef, adminId } = {}
+) {
+  assertWithdrawalTransition(withdrawal, toStatus);
+
+  const { data, error } = await supabase.rpc("wallet_close_withdrawal", {
+    p_withdrawal_id: withdrawal.id,
+    p_from_status: withdrawal.status,
+    p_status: toStatus,
+    p_held_account: WALLET_ACCOUNTS.pendingWithdrawals,
+    p_to_account:
+      toStatus === "rejected"
+        ? walletAccount(withdrawal.user_id)
+        : WALLET_ACCOUNTS.paidOut,
+    p_reason: reason ?? null,
+    p_transaction_ref: transactionRef ?? null,
+    p_reviewed_by: adminId ?? null,
+  });
+
+  if (error) throw error;
+  if (!data.closed) {
+    throw httpError(
+      409,
+      data.reason === "not_held"
+        ? "Withdrawal amount was never held from the wallet"
+        : "Withdrawal was changed by someone else"
+    );
+  }
+
+  console.log(
+    `🏧 Withdrawal ${withdrawal.id}: ${withdrawal.status} → ${toStatus}`
+  );
+  return data.withdrawal;
+}
+
+// ============ ADMIN AUTH ============
+
+const ADMIN_ROLES = ["viewer", "operator", "superadmin"];
+const ADMIN_TOKEN_TTL_SECONDS =
+  Number(process.env.ADMIN_TOKEN_TTL_SECONDS) || 8 * 60 * 60;
+
+const TOKEN_SECRET =
+  process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!process.env.AUTH_TOKEN_SECRET) {
+  console.warn(
+    "⚠️ AUTH_TOKEN_SECRET not set - using a random secret, tokens will not survive a restart"
+  );
+}
+
+const scryptAsync = (password, salt) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+
+// Stored as scrypt$<salt hex>$<hash hex>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scryptAsync(password, salt);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const key = await scryptAsync(String(password), salt);
+  const expected = Buffer.from(hash, "hex");
+  return (
+    expected.length === key.length && crypto.timingSafeEqual(expected, key)
+  );
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+// Compact HMAC-signed token: base64url(payload).base64url(signature)
+function signToken(payload, ttlSeconds) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = base64url(
+    JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds })
+  );
+  const signature = crypto
+    .createHmac("sha256", TOKEN_SECRET)
+    .update(body)
+    .digest("base64url");
+  return `${body}.${signature}`;
+}
+
+function verifyToken(token) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+
+  const expected = crypto
+    .createHmac("sha256", TOKEN_SECRET)
+    .update(body)
+    .digest("base64url");
+
+  if (
+    expected.length !== signature.length ||
+    !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+function getBearerToken(req) {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+function hasAdminRole(role, minRole) {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(minRole);
+}
+
+function toAdminProfile(admin) {
+  return {
+    id: admin.id,
+    username: admin.username,
+    role: admin.role,
+    is_active: admin.is_active,
+    last_login_at: admin.last_login_at,
+    created_at: admin.created_at,
+  };
+}
+
+// Protects an admin route. The account is re-read on every request so a
+// deactivated or demoted admin loses access before their token expires.
+function requireAdmin(minRole = "viewer") {
+  const middleware = async (req, res, next) => {
+    try {
+      const payload = verifyToken(getBearerToken(req));
+
+      if (!payload || payload.typ !== "admin") {
+        return res.status(401).json({ error: "Admin login required" });
+      }
+
+      const { data: admin, error } = await supabase
+        .from("admin_users")
+        .select("*")
+        .eq("id", payload.sub)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!admin || !admin.is_active) {
+        return res.status(401).json({ error: "Admin account is disabled" });
+      }
+
+      if (!hasAdminRole(admin.role, minRole)) {
+        return res
+          .status(403)
+          .json({ error: `This action requires the ${minRole} role` });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (err) {
+      console.error("❌ Admin auth error:", err);
+      res.status(500).json({ error: "Failed to authenticate admin" });
+    }
+  };
+
+  // Read by the OpenAPI generator
+  middleware.auth = { type: "admin", role: minRole };
+  return middleware;
+}
+
+// First start with an empty admin_users table: create a superadmin from
+// ADMIN_USERNAME / ADMIN_PASSWORD so the panel stays reachable
+async function bootstrapAdminAccount() {
+  try {
+    const { count, error } = await supabase
+      .from("admin_users")
+      .select("*", { count: "exact", head: true });
+
+    if (error) {
+      console.error("❌ Admin accounts check failed:", error);
+      return;
+    }
+
+    if (count > 0 || !process.env.ADMIN_PASSWORD) return;
+
+    const username = (process.env.ADMIN_USERNAME || "admin")
+      .trim()
+      .toLowerCase();
+    const { error: insertError } = await supabase.from("admin_users").insert({
+      username,
+      password_hash: await hashPassword(process.env.ADMIN_PASSWORD),
+      role: "superadmin",
+      is_active: true,
+    });
+
+    if (insertError) {
+      console.error("❌ Admin bootstrap failed:", insertError);
+    } else {
+      console.log(`✅ Bootstrapped superadmin account "${username}"`);
+    }
+  } catch (err) {
+    console.error("❌ Admin bootstrap error:", err);
+  }
+}
+
+bootstrapAdminAccount();
+
+// ============ PLAYER AUTH ============
+// Players log in with a one-time code sent to their mobile. Codes are stored
+// as HMACs, expire after OTP_TTL_MINUTES and allow OTP_MAX_ATTEMPTS guesses.
+// SMS_PROVIDER picks the sender; "console" just logs the message.
+
+const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = 30;
+const PLAYER_TOKEN_TTL_SECONDS =
+  Number(process.env.PLAYER_TOKEN_TTL_SECONDS) || 30 * 24 * 60 * 60;
+
+const smsSenders = {
+  console: {
+    async send(mobile, message) {
+      console.log(`📱 [sms → ${mobile}] ${message}`);
+    },
+  },
+
+  // Generic JSON-over-HTTP SMS API: POST SMS_API_URL { to, message }
+  http: {
+    async send(mobile, message) {
+      await axios.post(
+        process.env.SMS_API_URL,
+        { to: mobile, message },
+        {
+          headers: { Authorization: `Bearer ${process.env.SMS_API_KEY}` },
+          timeout: 15000,
+        }
+      );
+    },
+  },
+};
+
+function getSmsSender() {
+  const name = process.env.SMS_PROVIDER || "console";
+  const sender = smsSenders[name];
+  if (!sender) throw httpError(500, `Unknown SMS provider "${name}"`);
+  return sender;
+}
+
+function hashOtp(mobile, otp) {
+  return crypto
+    .createHmac("sha256", TOKEN_SECRET)
+    .update(`${mobile}:${otp}`)
+    .digest("hex");
+}
+
+// Uses up one guess before the code is compared. The increment only lands
+// if nobody else counted a guess since we read the row, so parallel guesses
+// can't share an attempt. False once the guesses are used up.
+async function takeOtpAttempt(record) {
+  let attempts = record.attempts;
+
+  while (attempts < OTP_MAX_ATTEMPTS) {
+    const { data, error } = await supabase
+      .from("player_otps")
+      .update({ attempts: attempts + 1 })
+      .eq("id", record.id)
+      .eq("attempts", attempts)
+      .select("id")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return true;
+
+    const { data: current, error: readError } = await supabase
+      .from("player_otps")
+      .select("attempts")
+      .eq("id", record.id)
+      .single();
+
+    if (readError) throw readError;
+    attempts = current.attempts;
+  }
+
+  return false;
+}
+
+// The account behind a mobile number. Older data can hold more than one row
+// for a number; the oldest is the account, so every lookup lands on it.
+async function findUserByMobile(mobile) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("*")
+    .eq("mobile", mobile)
+    .order("id", { ascending: true })
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+// Protects a player route; sets req.user
+function requirePlayer() {
+  const middleware = async (req, res, next) => {
+    try {
+      const payload = verifyToken(getBearerToken(req));
+
+      if (!payload || payload.typ !== "player") {
+        return res.status(401).json({ error: "Login required" });
+      }
+
+      const { data: user, error } = await supabase
+        .from("users")
+        .select("*")
+        .eq("id", payload.sub)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!user) {
+        return res.status(401).json({ error: "Account not found" });
+      }
+
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error("❌ Player auth error:", err);
+      res.status(500).json({ error: "Failed to authenticate" });
+    }
+  };
+
+  // Read by the OpenAPI generator
+  middleware.auth = { type: "player" };
+  return middleware;
+}
+
+// A player's tickets with their round and win status, in three queries
+async function getPlayerTickets(userId) {
+  const { data: tickets, error } = await supabase
+    .from("tickets")
+    .select("ticket_code, status, order_id, round_id, created_at")
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+  if (!tickets || tickets.length === 0) return [];
+
+  const roundIds = [...new Set(tickets.map((t) => t.round_id).filter(Boolean))];
+  const codes = tickets.map((t) => t.ticket_code);
+
+  const [{ data: rounds }, { data: winners }] = await Promise.all([
+    supabase
+      .from("lottery_rounds")
+      .select("id, round_number, status, lottery_date")
+      .in("id", roundIds),
+    supabase
+      .from("winners")
+      .select("ticket_code, prize_amount, rank")
+      .in("ticket_code", codes),
+  ]);
+
+  return tickets.map((t) => {
+    const round = (rounds || []).find((r) => r.id === t.round_id);
+    const winner = (winners || []).find((w) => w.ticket_code === t.ticket_code);
+    const drawn = round?.status === "drawn" || round?.status === "settled";
+
+    return {
+      ...t,
+      round,
+      result: winner ? "won" : drawn ? "lost" : "pending",
+      prize_amount: winner?.prize_amount || 0,
+    };
+  });
+}
+
+function groupByRound(tickets) {
+  const groups = new Map();
+
+  for (const ticket of tickets) {
+    const key = ticket.round?.round_number ?? null;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        round: key,
+        round_status: ticket.round?.status || null,
+        lottery_date: ticket.round?.lottery_date || null,
+        tickets: [],
+      });
+    }
+    const { round, round_id, ...rest } = ticket;
+    groups.get(key).tickets.push(rest);
+  }
+
+  return [...groups.values()].sort((a, b) => (b.round ?? 0) - (a.round ?? 0));
+}
+
+// ============ PRIZE CLAIMS ============
+// submitted → approved → paid, with rejected reachable from submitted or
+// approved. A rejected claim can be resubmitted with corrected details.
+// Every status change is written to prize_claim_events. Wallet claims are
+// paid by crediting the player's wallet as soon as they are approved.
+
+const CLAIM_TRANSITIONS = {
+  submitted: ["approved", "rejected"],
+  approved: ["paid", "rejected"],
+  rejected: [],
+  paid: [],
+};
+
+const UPI_ID_PATTERN = /^[\w.\-]{2,256}@[a-zA-Z]{2,64}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const BANK_ACCOUNT_PATTERN = /^\d{9,18}$/;
+
+// Returns { error } or { details } with only the fields for the method
+function parsePayoutDetails(body) {
+  const method = body.payout_method;
+
+  if (method === "upi") {
+    const upiId = String(body.upi_id || "").trim();
+    if (!UPI_ID_PATTERN.test(upiId)) return { error: "Invalid UPI ID" };
+    return { details: { payout_method: "upi", upi_id: upiId } };
+  }
+
+  if (method === "wallet") return { details: { payout_method: "wallet" } };
+
+  if (method === "bank") {
+    const account = String(body.bank_account_number || "").trim();
+    const ifsc = String(body.bank_ifsc || "")
+      .trim()
+      .toUpperCase();
+    const holder = String(body.account_holder_name || "").trim();
+
+    if (!BANK_ACCOUNT_PATTERN.test(account)) {
+      return { error: "Bank account number must be 9-18 digits" };
+    }
+    if (!IFSC_PATTERN.test(ifsc)) return { error: "Invalid IFSC code" };
+    if (!holder) return { error: "Account holder name is required" };
+
+    return {
+      details: {
+        payout_method: "bank",
+        bank_account_number: account,
+        bank_ifsc: ifsc,
+        account_holder_name: holder,
+      },
+    };
+  }
+
+  return { error: "payout_method must be upi, bank or wallet" };
+}
+
+async function recordClaimEvent(claimId, fromStatus, toStatus, actor, note) {
+  const { error } = await supabase.from("prize_claim_events").insert({
+    claim_id: claimId,
+    from_status: fromStatus,
+    to_status: toStatus,
+    actor_type: actor.type,
+    actor_id: actor.id,
+    note: note || null,
+  });
+
+  if (error) console.error("❌ Claim event insert error:", error);
+}
+
+async function getClaimById(claimId) {
+  const { data, error } = await supabase
+    .from("prize_claims")
+    .select("*")
+    .eq("id", claimId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(404, "Claim not found");
+  return data;
+}
+
+async function transitionClaim(claim, toStatus, actor, extra = {}, note) {
+  if (!CLAIM_TRANSITIONS[claim.status]?.includes(toStatus)) {
+    throw httpError(
+      409,
+      `Claim is ${claim.status} and cannot be moved to ${toStatus}`
+    );
+  }
+
+  const { data, error } = await supabase
+    .from("prize_claims")
+    .update({
+      status: toStatus,
+      updated_at: new Date().toISOString(),
+      ...extra,
+    })
+    .eq("id", claim.id)
+    .eq("status", claim.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw httpError(409, "Claim was changed by someone else");
+
+  return finishClaimTransition(claim, data, toStatus, actor, extra, note);
+}
+
+// Event, audit and notification for a claim that has moved from claim's
+// status to toStatus; updated is the claim as it is now
+async function finishClaimTransition(
+  claim,
+  updated,
+  toStatus,
+  actor,
+  extra,
+  note
+) {
+  await recordClaimEvent(claim.id, claim.status, toStatus, actor, note);
+
+  await recordAudit({
+    actor,
+    action: `claim.${toStatus}`,
+    entityType: "claim",
+    entityId: claim.id,
+    before: { status: claim.status },
+    after: { status: toStatus, note: note || null, ...extra },
+  });
+
+  notifyClaimStatus(updated, toStatus, extra).catch((err) =>
+    console.error("❌ Claim notification error:", err.message)
+  );
+
+  console.log(`💸 Claim ${claim.id}: ${claim.status} → ${toStatus}`);
+  return updated;
+}
+
+// ============ NOTIFICATIONS ============
+// Messages to players go through notification_queue: enqueueNotification
+// renders a template once per channel in NOTIFY_CHANNELS and the worker
+// sends due rows, retrying with backoff until NOTIFY_MAX_ATTEMPTS. Every
+// attempt is written to notification_deliveries. dedupe_key stops the same
+// event from being queued twice. The "console" and "file" channels are for
+// local testing.
+
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const NOTIFY_RETRY_BASE_SECONDS = 60;
+const NOTIFY_BATCH_SIZE = 50;
+const NOTIFY_REMINDER_HOURS = Number(process.env.NOTIFY_REMINDER_HOURS ?? 24);
+
+function formatRupees(amount) {
+  return `₹${Number(amount).toLocaleString("en-IN")}`;
+}
+
+function formatDrawDate(date) {
+  return date
+    ? new Date(date).toLocaleString("en-IN", { timeZone: "Asia/Kolkata" })
+    : "soon";
+}
+
+// Each template returns { subject, text }; subject is only used by email
+const notificationTemplates = {
+  ticket_confirmation: ({ name, round, tickets, amount }) => ({
+    subject: `Your tickets for round ${round}`,
+    text:
+      `Hi ${name || "there"}, your payment of ${formatRupees(amount)} is ` +
+      `confirmed. Round ${round} tickets: ${tickets.join(", ")}. Good luck!`,
+  }),
+
+  draw_reminder: ({ name, round, lottery_date, ticket_count }) => ({
+    subject: `Round ${round} draw reminder`,
+    text:
+      `Hi ${name || "there"}, the round ${round} draw is on ` +
+      `${formatDrawDate(lottery_date)}. You hold ${ticket_count} ` +
+      `ticket${ticket_count === 1 ? "" : "s"}.`,
+  }),
+
+  result: ({ name, round, tickets }) => ({
+    subject: `You won in round ${round}!`,
+    text:
+      `Congratulations${name ? ` ${name}` : ""}! Your winning ticket` +
+      `${tickets.length === 1 ? "" : "s"} in round ${round}: ` +
+      tickets
+        .map((t) => `${t.ticket_code} (${formatRupees(t.prize_amount)})`)
+        .join(", ") +
+      ". Submit your payout details in the app to claim.",
+  }),
+
+  payout_status: ({ ticket_code, status, prize_amount, reason, reference }) => {
+    const messages = {
+      submitted: `we received your claim for ticket ${ticket_code}`,
+      approved: `your claim for ticket ${ticket_code} is approved and will be paid soon`,
+      rejected: `your claim for ticket ${ticket_code} was rejected: ${reason}. You can resubmit corrected details`,
+      paid: `${formatRupees(prize_amount)} for ticket ${ticket_code} has been paid (ref ${reference})`,
+    };
+    return {
+      subject: `Prize claim ${status}`,
+      text: `Update: ${messages[status] || `claim is ${status}`}.`,
+    };
+  },
+};
+
+async function postJson(url, body, apiKey) {
+  const { data } = await axios.post(url, body, {
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    timeout: 15000,
+  });
+  return data?.id || data?.message_id || null;
+}
+
+// send() returns a provider reference when there is one and throws on
+// failure. address() picks the recipient field the channel needs.
+const notificationChannels = {
+  console: {
+    address: (r) => r.mobile || r.email,
+    async send(to, message) {
+      console.log(`🔔 [notify → ${to}] ${message.text}`);
+    },
+  },
+
+  file: {
+    address: (r) => r.mobile || r.email,
+    async send(to, message) {
+      await fs.appendFile(
+        process.env.NOTIFY_FILE_PATH || "notifications.log",
+        JSON.stringify({ at: new Date().toISOString(), to, ...message }) + "\n"
+      );
+    },
+  },
+
+  sms: {
+    address: (r) => r.mobile,
+    async send(to, message) {
+      await getSmsSender().send(to, message.text);
+    },
+  },
+
+  // Generic JSON API: POST WHATSAPP_API_URL { to, message }
+  whatsapp: {
+    address: (r) => r.mobile,
+    send: (to, message) =>
+      postJson(
+        process.env.WHATSAPP_API_URL,
+        { to, message: message.text },
+        process.env.WHATSAPP_API_KEY
+      ),
+  },
+
+  // Generic JSON API: POST EMAIL_API_URL { from, to, subject, text }
+  email: {
+    address: (r) => r.email,
+    send: (to, message) =>
+      postJson(
+        process.env.EMAIL_API_URL,
+        {
+          from: process.env.EMAIL_FROM,
+          to,
+          subject: message.subject,
+          text: message.text,
+        },
+        process.env.EMAIL_API_KEY
+      ),
+  },
+};
+
+function getNotificationChannels() {
+  return (process.env.NOTIFY_CHANNELS || "console")
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean)
+    .map((name) => {
+      if (!notificationChannels[name]) {
+        throw httpError(500, `Unknown notification channel "${name}"`);
+      }
+      return name;
+    });
+}
+
+// Never throws: a notification problem must not fail the action behind it.
+// recipient is { mobile, email, name, user_id }.
+async function enqueueNotification(template, recipient, data, dedupeKey) {
+  try {
+    const message = notificationTemplates[template](data);
+    const rows = getNotificationChannels()
+      .map((channel) => ({
+        channel,
+        recipient: notificationChannels[channel].address(recipient),
+      }))
+      .filter((r) => r.recipient)
+      .map((r) => ({
+        ...r,
+        user_id: recipient.user_id ?? null,
+        template,
+        subject: message.subject,
+        body: message.text,
+        payload: data,
+        status: "queued",
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        dedupe_key: dedupeKey ? `${dedupeKey}:${r.channel}` : null,
+      }));
+
+    if (rows.length === 0) return;
+
+    const { error } = await supabase
+      .from("notification_queue")
+      .upsert(rows, { onConflict: "dedupe_key", ignoreDuplicates: true });
+
+    if (error) throw error;
+
+    kickNotificationWorker();
+  } catch (err) {
+    console.error("❌ Notification enqueue error:", template, err.message);
+  }
+}
+
+async function recordDelivery(item, status, error, providerRef) {
+  const { error: logError } = await supabase
+    .from("notification_deliveries")
+    .insert({
+      notification_id: item.id,
+      channel: item.channel,
+      recipient: item.recipient,
+      attempt: item.attempts + 1,
+      status,
+      error: error || null,
+      provider_ref: providerRef || null,
+    });
+
+  if (logError) console.error("❌ Delivery log error:", logError);
+}
+
+async function deliverNotification(item) {
+  // Claim the row so a second worker skips it
+  const { data: claimed, error: claimError } = await supabase
+    .from("notification_queue")
+    .update({ status: "sending", updated_at: new Date().toISOString() })
+    .eq("id", item.id)
+    .eq("status", "queued")
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return "skipped";
+
+  try {
+    const providerRef = await notificationChannels[item.channel].send(
+      item.recipient,
+      { subject: item.subject, text: item.body }
+    );
+
+    await recordDelivery(item, "sent", null, providerRef);
+    const { error: sentError } = await supabase
+      .from("notification_queue")
+      .update({
+        status: "sent",
+        attempts: item.attempts + 1,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        last_error: null,
+      })
+      .eq("id", item.id);
+
+    // The row stays in "sending" and is requeued by the stale sweep
+    if (sentError) console.error("❌ Notification status error:", sentError);
+    return "sent";
+  } catch (err) {
+    const attempts = item.attempts + 1;
+    const giveUp = attempts >= NOTIFY_MAX_ATTEMPTS;
+    const message = err.response?.data?.message || err.message;
+
+    await recordDelivery(item, "failed", message);
+    const { error: retryError } = await supabase
+      .from("notification_queue")
+      .update({
+        status: giveUp ? "dead" : "queued",
+        attempts,
+        last_error: message,
+        next_attempt_at: new Date(
+          Date.now() + NOTIFY_RETRY_BASE_SECONDS * 2 ** (attempts - 1) * 1000
+        ).toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", item.id);
+
+    if (retryError) console.error("❌ Notification status error:", retryError);
+    console.error(
+      `❌ Notification ${item.id} via ${item.channel} failed (${attempts}/${NOTIFY_MAX_ATTEMPTS}):`,
+      message
+    );
+    return giveUp ? "dead" : "retry";
+  }
+}
+
+let notificationWorker = null;
+
+async function processNotificationQueue() {
+  // Rows left in "sending" by a crash go back in the queue
+  const { error: staleError } = await supabase
+    .from("notification_queue")
+    .update({ status: "queued" })
+    .eq("status", "sending")
+    .lt("updated_at", new Date(Date.now() - 10 * 60 * 1000).toISOString());
+
+  if (staleError) throw staleError;
+
+  for (;;) {
+    const { data: due, error } = await supabase
+      .from("notification_queue")
+      .select("*")
+      .eq("status", "queued")
+      .lte("next_attempt_at", new Date().toISOString())
+      .order("next_attempt_at", { ascending: true })
+      .limit(NOTIFY_BATCH_SIZE);
+
+    if (error) throw error;
+
+    let progressed = 0;
+    for (const item of due) {
+      if ((await deliverNotification(item)) !== "skipped") progressed++;
+    }
+
+    // A batch that moved nothing would come straight back; leave it to the
+    // next pass rather than spin on it
+    if (due.length < NOTIFY_BATCH_SIZE || progressed === 0) return;
+  }
+}
+
+// One worker pass at a time; calls during a pass just wait for it
+function kickNotificationWorker() {
+  if (!notificationWorker) {
+    notificationWorker = processNotificationQueue()
+      .catch((err) =>
+        console.error("❌ Notification worker error:", err.message)
+      )
+      .finally(() => {
+        notificationWorker = null;
+      });
+  }
+  return notificationWorker;
+}
+
+setInterval(kickNotificationWorker, 30 * 1000);
+
+async function getUsersForNotification(userIds) {
+  if (userIds.length === 0) return new Map();
+
+  const { data, error } = await supabase
+    .from("users")
+    .select("*")
+    .in("id", userIds);
+
+  if (error) throw error;
+  return new Map(data.map((u) => [u.id, u]));
+}
+
+function toRecipient(user) {
+  return {
+    user_id: user.id,
+    mobile: user.mobile,
+    email: user.email,
+    name: user.name,
+  };
+}
+
+async function notifyTicketsIssued(payment, codes) {
+  const round = payment.round_id
+    ? await getRoundById(payment.round_id)
+    : await getCurrentRound();
+  const users = await getUsersForNotification([payment.user_id]);
+  const user = users.get(payment.user_id) || { mobile: payment.mobile };
+
+  await enqueueNotification(
+    "ticket_confirmation",
+    toRecipient(user),
+    {
+      name: user.name,
+      round: round.round_number,
+      tickets: codes,
+      amount: payment.amount,
+    },
+    `ticket_confirmation:${payment.order_id}`
+  );
+}
+
+// One message per winning player, listing all of their prizes
+async function notifyWinners(round, winners) {
+  const { data: tickets, error } = await supabase
+    .from("tickets")
+    .select("ticket_code, user_id")
+    .in(
+      "ticket_code",
+      winners.map((w) => w.ticket_code)
+    );
+
+  if (error) throw error;
+
+  const byUser = new Map();
+  for (const w of winners) {
+    const userId = tickets.find(
+      (t) => t.ticket_code === w.ticket_code
+    )?.user_id;
+    if (!userId) continue;
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(w);
+  }
+
+  const users = await getUsersForNotification([...byUser.keys()]);
+  for (const [userId, prizes] of byUser) {
+    const user = users.get(userId);
+    if (!user) continue;
+
+    await enqueueNotification(
+      "result",
+      toRecipient(user),
+      {
+        name: user.name,
+        round: round.round_number,
+        tickets: prizes.map((p) => ({
+          ticket_code: p.ticket_code,
+          prize_amount: p.prize_amount,
+        })),
+      },
+      `result:${round.id}:${userId}`
+    );
+  }
+}
+
+async function notifyClaimStatus(claim, status, extra = {}) {
+  const users = await getUsersForNotification([claim.user_id]);
+  const user = users.get(claim.user_id);
+  if (!user) return;
+
+  await enqueueNotification(
+    "payout_status",
+    toRecipient(user),
+    {
+      ticket_code: claim.ticket_code,
+      status,
+      prize_amount: claim.prize_amount,
+      reason: extra.rejection_reason,
+      reference: extra.transaction_ref,
+    },
+    `payout_status:${claim.id}:${status}:${claim.updated_at || ""}`
+  );
+}
+
+// Reminds everyone holding tickets in an open round whose draw is within
+// NOTIFY_REMINDER_HOURS. The dedupe key keeps it to one reminder each.
+async function sendDrawReminders() {
+  if (!(NOTIFY_REMINDER_HOURS > 0)) return;
+
+  const round = await getLatestRound();
+  if (!round || !["open", "closed"].includes(round.status)) return;
+  if (!round.lottery_date) return;
+
+  const drawAt = new Date(round.lottery_date).getTime();
+  const now = Date.now();
+  if (drawAt < now || drawAt - now > NOTIFY_REMINDER_HOURS * 3600 * 1000) {
+    return;
+  }
+
+  const counts = new Map();
+  await forEachPage(
+    () =>
+      supabase
+        .from("tickets")
+        .select("user_id, ticket_code")
+        .eq("round_id", round.id)
+        .eq("status", "confirmed")
+        .order("ticket_code", { ascending: true }),
+    async (tickets) => {
+      for (const t of tickets) {
+        counts.set(t.user_id, (counts.get(t.user_id) || 0) + 1);
+      }
+    }
+  );
+
+  const userIds = [...counts.keys()];
+  for (let i = 0; i < userIds.length; i += NOTIFY_BATCH_SIZE) {
+    const users = await getUsersForNotification(
+      userIds.slice(i, i + NOTIFY_BATCH_SIZE)
+    );
+    for (const user of users.values()) {
+      await enqueueNotification(
+        "draw_reminder",
+        toRecipient(user),
+        {
+          name: user.name,
+          round: round.round_number,
+          lottery_date: round.lottery_date,
+          ticket_count: counts.get(user.id),
+        },
+        `draw_reminder:${round.id}:${user.id}`
+      );
+    }
+  }
+}
+
+setInterval(
+  () => {
+    sendDrawReminders().catch((err) =>
+      console.error("❌ Draw reminder error:", err.message)
+    );
+  },
+  10 * 60 * 1000
+);
+
+// ============ LIVE UPDATES ============
+// Server-Sent Events on /api/live. Every client gets "inventory" events
+// (the /api/tickets/remaining payload) whenever stock moves, and during a
+// draw the winners are revealed one at a time: "draw_started", one
+// "draw_winner" per prize from the lowest rank up, then "draw_finished".
+// The draw itself is already final when the reveal starts; the pacing is
+// only for the live page. Clients are held per process, so behind several
+// instances each one only hears about work done on its own instance.
+
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+const LIVE_INVENTORY_DEBOUNCE_MS = 500;
+const LIVE_DRAW_REVEAL_MS = Number(process.env.LIVE_DRAW_REVEAL_MS ?? 3000);
+const LIVE_MAX_CLIENTS_PER_IP = 5;
+
+const liveClients = new Set();
+let liveEventId = 0;
+let inventoryPublishTimer = null;
+// Winners revealed so far in the latest draw being shown, for late joiners.
+// Each reveal keeps its own state; this only points at the newest one.
+let liveDraw = null;
+
+function writeLiveEvent(res, event, data) {
+  res.write(
+    `id: ${liveEventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+  );
+}
+
+function broadcastLive(event, data) {
+  liveEventId++;
+  for (const client of liveClients) writeLiveEvent(client.res, event, data);
+}
+
+async function getRemainingSnapshot() {
+  const round = await closeRoundIfSalesOver(await getCurrentRound());
+  const { total, sold, reserved, available } = await getInventory(round);
+  return {
+    remaining: available,
+    available,
+    reserved,
+    sold,
+    total,
+    round: round.round_number,
+    round_status: round.status,
+    sales_open: round.status === "open",
+    lottery_date: round.lottery_date,
+    draw_commitment: round.server_seed_hash,
+    entropy_source: round.entropy_source || null,
+  };
+}
+
+// Coalesces bursts of stock changes into one event
+function publishInventory() {
+  if (liveClients.size === 0 || inventoryPublishTimer) return;
+
+  inventoryPublishTimer = setTimeout(async () => {
+    inventoryPublishTimer = null;
+    try {
+      broadcastLive("inventory", await getRemainingSnapshot());
+    } catch (err) {
+      console.error("❌ Live inventory error:", err.message);
+    }
+  }, LIVE_INVENTORY_DEBOUNCE_MS);
+}
+
+function startLiveDraw(round, winners) {
+  // Grand prize last
+  const queue = [...winners].sort((a, b) => b.rank - a.rank);
+
+  const state = {
+    round: round.round_number,
+    total: queue.length,
+    revealed: [],
+  };
+  liveDraw = state;
+  broadcastLive("draw_started", {
+    round: round.round_number,
+    winner_count: queue.length,
+    server_seed_hash: round.server_seed_hash,
+  });
+
+  const revealNext = () => {
+    const winner = queue.shift();
+    if (!winner) {
+      broadcastLive("draw_finished", {
+        round: round.round_number,
+        proof_url: `/api/draws/${round.round_number}/proof`,
+      });
+      // A draw started since then owns liveDraw now
+      if (liveDraw === state) liveDraw = null;
+      return;
+    }
+
+    const revealed = {
+      round: round.round_number,
+      rank: winner.rank,
+      ticket_code: winner.ticket_code,
+      prize_amount: winner.prize_amount,
+      prize_tier: winner.prize_tier,
+      index: state.revealed.length + 1,
+      total: state.total,
+    };
+    state.revealed.push(revealed);
+    broadcastLive("draw_winner", revealed);
+
+    setTimeout(revealNext, LIVE_DRAW_REVEAL_MS);
+  };
+
+  setTimeout(revealNext, LIVE_DRAW_REVEAL_MS);
+}
+
+setInterval(() => {
+  for (const client of liveClients) client.res.write(": ping\n\n");
+}, LIVE_HEARTBEAT_MS);
+
+// ============ REQUEST VALIDATION ============
+// Routes declare their inputs with validate({ params, query, body }), each a
+// JSON Schema object body ({ properties, required }). The same declarations
+// feed the OpenAPI document at /api/openapi.json. Every error response has
+// the shape { error, code, details? }: handlers keep sending { error } and
+// the code is filled in from the status here.
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, strict: false });
+addFormats(ajv);
+// Anything Date can parse: plain dates as well as full timestamps
+ajv.addFormat("timestamp", (value) => !isNaN(Date.parse(value)));
+// Same, but an empty string means "leave unchanged" in the settings form
+ajv.addFormat(
+  "optional-timestamp",
+  (value) => value === "" || !isNaN(Date.parse(value))
+);
+
+// Shared schema fragments
+const SCHEMA = {
+  id: { type: "string", pattern: "^[A-Za-z0-9_-]{1,64}$" },
+  mobile: { type: "string", pattern: "^\\d{10}$" },
+  ticketCode: { type: "string", minLength: 1, maxLength: 32 },
+  timestamp: { type: "string", format: "timestamp" },
+  optionalTimestamp: { type: "string", format: "optional-timestamp" },
+  amount: { type: "number", minimum: 0 },
+  positiveInt: { type: "integer", minimum: 1 },
+  text: (maxLength = 500) => ({ type: "string", minLength: 1, maxLength }),
+  paging: {
+    limit: { type: "integer", minimum: 1, maximum: 500 },
+    offset: { type: "integer", minimum: 0 },
+  },
+};
+
+const VALIDATED_LOCATIONS = ["params", "query", "body"];
+
+function toValidationDetail(location, error) {
+  const path = error.instancePath
+    .split("/")
+    .filter(Boolean)
+    .map((p) => (/^\d+$/.test(p) ? `[${p}]` : `.${p}`))
+    .join("");
+  const missing = error.params?.missingProperty;
+  return {
+    field: `${location}${path}${missing ? `.${missing}` : ""}`,
+    message: error.message,
+  };
+}
+
+// spec.messages maps a top-level field name to the error shown to users
+// when that field is the first one to fail
+function validate(spec) {
+  const checks = VALIDATED_LOCATIONS.filter((loc) => spec[loc]).map((loc) => ({
+    loc,
+    check: ajv.compile({ type: "object", ...spec[loc] }),
+  }));
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    for (const { loc, check } of checks) {
+      // Express re-parses req.query on every read, so only the body keeps
+      // the coerced values
+      const input = loc === "body" ? (req.body ??= {}) : { ...req[loc] };
+      if (!check(input)) {
+        details.push(...check.errors.map((e) => toValidationDetail(loc, e)));
+      }
+    }
+
+    if (details.length === 0) return next();
+
+    const field = details[0].field.split(/[.[]/)[1];
+    res.status(400).json({
+      error:
+        spec.messages?.[field] ||
+        `Invalid request: ${details[0].field} ${details[0].message}`,
+      code: "validation_error",
+      details,
+    });
+  };
+
+  middleware.spec = spec;
+  return middleware;
+}
+
+// ============ RATE LIMITING ============
+// Per-IP and per-mobile request limits for the public endpoints, plus the
+// admin login lockout. RATE_LIMIT_STORE picks where hits are counted:
+// "memory" (default) is per process, "supabase" is shared by every instance
+// through the rate_limit_hits table. Each limit can be tuned with
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS.
+
+if (process.env.TRUST_PROXY) {
+  // Behind a load balancer req.ip is otherwise the balancer's address
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || 1);
+}
+
+const rateLimitStores = {
+  memory: {
+    buckets: new Map(),
+
+    async hit(key, windowSeconds) {
+      const now = Date.now();
+      let bucket = this.buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowSeconds * 1000 };
+        this.buckets.set(key, bucket);
+      }
+      bucket.count++;
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+
+    async peek(key) {
+      const bucket = this.buckets.get(key);
+      if (!bucket || bucket.resetAt <= Date.now()) {
+        return { count: 0, resetAt: Date.now() };
+      }
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    },
+
+    async reset(key) {
+      this.buckets.delete(key);
+    },
+
+    async sweep() {
+      const now = Date.now();
+      for (const [key, bucket] of this.buckets) {
+        if (bucket.resetAt <= now) this.buckets.delete(key);
+      }
+    },
+  },
+
+  // One row per hit, counted over a sliding window. Rows are kept for the
+  // longest window in use and swept after that.
+  supabase: {
+    async count(key, windowSeconds) {
+      const since = new Date(Date.now() - windowSeconds * 1000);
+      const { data, count, error } = await supabase
+        .from("rate_limit_hits")
+        .select("created_at", { count: "exact" })
+        .eq("key", key)
+        .gte("created_at", since.toISOString())
+        .order("created_at", { ascending: true })
+        .limit(1);
+      if (error) throw error;
+
+      const oldest = data[0] ? new Date(data[0].created_at) : new Date();
+      return {
+        count: count || 0,
+        resetAt: oldest.getTime() + windowSeconds * 1000,
+      };
+    },
+
+    async hit(key, windowSeconds) {
+      const { error } = await supabase
+        .from("rate_limit_hits")
+        .insert({ key, created_at: new Date().toISOString() });
+      if (error) throw error;
+      return this.count(key, windowSeconds);
+    },
+
+    async peek(key, windowSeconds) {
+      return this.count(key, windowSeconds);
+    },
+
+    async reset(key) {
+      const { error } = await supabase
+        .from("rate_limit_hits")
+        .delete()
+        .eq("key", key);
+      if (error) throw error;
+    },
+
+    async sweep() {
+      const longest = Math.max(3600, ...RATE_LIMIT_WINDOWS);
+      const { error } = await supabase
+        .from("rate_limit_hits")
+        .delete()
+        .lt("created_at", new Date(Date.now() - longest * 1000).toISOString());
+      if (error) throw error;
+    },
+  },
+};
+
+function getRateLimitStore() {
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+  const store = rateLimitStores[name];
+  if (!store) throw new Error(`Unknown rate limit store: ${name}`);
+  return store;
+}
+
+const RATE_LIMIT_WINDOWS = [];
+
+function rateLimitConfig(name, max, windowSeconds) {
+  const env = name.toUpperCase();
+  const config = {
+    name,
+    max: Number(process.env[`RATE_LIMIT_${env}_MAX`]) || max,
+    windowSeconds:
+      Number(process.env[`RATE_LIMIT_${env}_WINDOW_SECONDS`]) || windowSeconds,
+  };
+  RATE_LIMIT_WINDOWS.push(config.windowSeconds);
+  return config;
+}
+
+const RATE_LIMITS = {
+  createOrderIp: rateLimitConfig("create_order_ip", 20, 10 * 60),
+  createOrderMobile: rateLimitConfig("create_order_mobile", 5, 10 * 60),
+  quoteIp: rateLimitConfig("quote_ip", 60, 10 * 60),
+  verifyIp: rateLimitConfig("verify_ip", 60, 10 * 60),
+  resultIp: rateLimitConfig("result_ip", 30, 10 * 60),
+  otpIp: rateLimitConfig("otp_ip", 20, 60 * 60),
+  otpVerifyIp: rateLimitConfig("otp_verify_ip", 30, 15 * 60),
+  otpVerifyMobile: rateLimitConfig("otp_verify_mobile", 10, 15 * 60),
+  adminLoginIp: rateLimitConfig("admin_login_ip", 20, 15 * 60),
+};
+
+const ADMIN_LOCKOUT = rateLimitConfig("admin_lockout", 5, 15 * 60);
+
+function normalizeMobileKey(mobile) {
+  return String(mobile || "")
+    .replace(/\D/g, "")
+    .slice(-10);
+}
+
+// key(req) returns the thing being limited, or nothing to skip the check.
+// A store outage lets requests through rather than taking the site down.
+function rateLimit(config, key = (req) => req.ip) {
+  return async (req, res, next) => {
+    const subject = key(req);
+    if (!subject) return next();
+
+    let result;
+    try {
+      result = await getRateLimitStore().hit(
+        `${config.name}:${subject}`,
+        config.windowSeconds
+      );
+    } catch (err) {
+      console.error("❌ Rate limit store error:", err.message);
+      return next();
+    }
+
+    if (result.count > config.max) {
+      const retryAfter = Math.max(
+        1,
+        Math.ceil((result.resetAt - Date.now()) / 1000)
+      );
+      console.log(`🚦 Rate limited ${config.name}:`, subject);
+      res.setHeader("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: "Too many requests, please try again later",
+        retry_after: retryAfter,
+      });
+    }
+
+    next();
+  };
+}
+
+setInterval(
+  () => {
+    getRateLimitStore()
+      .sweep()
+      .catch((err) => console.error("❌ Rate limit sweep error:", err.message));
+  },
+  5 * 60 * 1000
+);
+
+// ============ API ROUTES ============
+
+// Health check
+app.get("/", validate({ summary: "Health check" }), (req, res) => {
+  res.json({
+    status: "OK",
+    time: new Date().toISOString(),
+    service: "VK Lottery Backend",
+    version: "1.0.0",
+  });
+});
+
+// Get remaining tickets
+app.get(
+  "/api/tickets/remaining",
+  validate({ summary: "Tickets left in the current round" }),
+  async (req, res) => {
+    try {
+      res.json(await getRemainingSnapshot());
+    } catch (err) {
+      console.error("❌ Remaining tickets error:", err);
+      res.status(500).json({ error: "Failed to fetch remaining tickets" });
+    }
+  }
+);
+
+// Push channel for the ticket counter and the live draw
+app.get(
+  "/api/live",
+  validate({ summary: "Server-Sent Events: inventory and live draw" }),
+  async (req, res) => {
+    const fromIp = [...liveClients].filter((c) => c.ip === req.ip).length;
+    if (fromIp >= LIVE_MAX_CLIENTS_PER_IP) {
+      return res.status(429).json({ error: "Too many live connections" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stops nginx-style proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.write("retry: 5000\n\n");
+
+    const client = { res, ip: req.ip };
+    liveClients.add(client);
+    req.on("close", () => liveClients.delete(client));
+
+    try {
+      writeLiveEvent(res, "inventory", await getRemainingSnapshot());
+    } catch (err) {
+      console.error("❌ Live snapshot error:", err.message);
+    }
+
+    if (liveDraw) writeLiveEvent(res, "draw_state", liveDraw);
+  }
+);
+
+// Price an order, with bundle and promo discounts, before buying
+app.post(
+  "/api/pricing/quote",
+  rateLimit(RATE_LIMITS.quoteIp),
+  validate({
+    summary: "Quote the price of an order",
+    body: {
+      properties: {
+        quantity: { type: "integer", minimum: 1, maximum: 100 },
+        mobile: SCHEMA.mobile,
+        promo_code: SCHEMA.text(32),
+      },
+      required: ["quantity"],
+    },
+    messages: {
+      quantity: "Quantity must be between 1 and 100",
+      mobile: "Mobile number must be 10 digits",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { quantity, mobile, promo_code } = req.body;
+      const round = await getSalesRound();
+
+      const { promo, ...pricing } = await priceOrder({
+        quantity,
+        unitPrice: round.ticket_price,
+        promoCode: promo_code,
+        mobile,
+      });
+
+      res.json({ success: true, ...pricing });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ✅ UPDATED: Create order with better error handling
+app.post(
+  "/api/create-order",
+  rateLimit(RATE_LIMITS.createOrderIp),
+  rateLimit(RATE_LIMITS.createOrderMobile, (req) =>
+    normalizeMobileKey(req.body?.mobile)
+  ),
+  validate({
+    summary: "Reserve tickets and start a payment",
+    body: {
+      properties: {
+        name: SCHEMA.text(100),
+        mobile: SCHEMA.mobile,
+        quantity: { type: "integer", minimum: 1, maximum: 100 },
+        referral_code: SCHEMA.text(32),
+        promo_code: SCHEMA.text(32),
+        use_wallet: { type: "boolean" },
+      },
+      required: ["name", "mobile", "quantity"],
+    },
+    messages: {
+      name: "Name is required",
+      mobile: "Mobile number must be 10 digits",
+      quantity: "Quantity must be between 1 and 100",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { name, mobile, quantity, referral_code, promo_code, use_wallet } =
+        req.body;
+
+      console.log("📝 Create order request:", {
+        name,
+        mobile,
+        quantity,
+        referral_code,
+        promo_code,
+      });
+
+      let round;
+      try {
+        round = await getSalesRound();
+      } catch (err) {
+        if (err.status) {
+          return res.status(err.status).json({ error: err.message });
+        }
+        throw err;
+      }
+
+      const ticketPrice = round.ticket_price;
+
+      const pricing = await priceOrder({
+        quantity,
+        unitPrice: ticketPrice,
+        promoCode: promo_code,
+        mobile,
+      });
+
+      // Find or create user
+      let user;
+      try {
+        user = await findUserByMobile(mobile);
+      } catch (userQueryError) {
+        console.error("❌ User query error:", userQueryError);
+        return res
+          .status(500)
+          .json({ error: "Database error while checking user" });
+      }
+
+      if (user) {
+        console.log("✅ Existing user found:", user.id);
+      } else {
+        const { data: newUser, error: insertError } = await supabase
+          .from("users")
+          .insert({ name, mobile })
+          .select()
+          .single();
+
+        if (insertError) {
+          console.error("❌ User insert error:", insertError);
+          return res
+            .status(500)
+            .json({ error: "Failed to create user account" });
+        }
+
+        user = newUser;
+        console.log("✅ New user created:", user.id);
+      }
+
+      // Only the wallet's owner may spend it
+      if (use_wallet) {
+        const payload = verifyToken(getBearerToken(req));
+        if (
+          !payload ||
+          payload.typ !== "player" ||
+          String(payload.sub) !== String(user.id)
+        ) {
+          return res
+            .status(401)
+            .json({ error: "Log in with this mobile to pay from the wallet" });
+        }
+      }
+
+      const agent = await resolveOrderAgent(referral_code, user);
+
+      const { amount } = pricing;
+      const orderId =
+        "ORD_" +
+        Date.now() +
+        crypto.randomBytes(3).toString("hex").toUpperCase();
+
+      // Hold the stock before anything is charged
+      try {
+        await reserveTickets(round, orderId, quantity);
+      } catch (err) {
+        if (err.status === 400) {
+          return res
+            .status(400)
+            .json({ error: err.message, remaining: err.remaining });
+        }
+        throw err;
+      }
+
+      if (pricing.promo) {
+        try {
+          await holdPromoCode(pricing, { orderId, mobile });
+        } catch (err) {
+          await releaseReservation(orderId, "promo_unavailable");
+          throw err;
+        }
+      }
+
+      // Create payment record. The wallet share is taken afterwards so
+      // there is always an order to hand it back to.
+      const { data: payment, error: paymentError } = await supabase
+        .from("payments")
+        .insert({
+          order_id: orderId,
+          amount,
+          mobile: mobile,
+          status: "created",
+          user_id: user.id,
+          quantity,
+          unit_price: ticketPrice,
+          subtotal: pricing.subtotal,
+          bundle_discount: pricing.bundle_discount,
+          promo_code: pricing.promo_code,
+          promo_discount: pricing.promo_discount,
+          discount: pricing.discount,
+          wallet_amount: 0,
+          round_id: round.id,
+          gateway: getPaymentProvider().name,
+          agent_id: agent?.id ?? null,
+        })
+        .select()
+        .single();
+
+      if (paymentError) {
+        console.error("❌ Payment insert error:", paymentError);
+        await releaseReservation(orderId, "payment_record_failed");
+        return res
+          .status(500)
+          .json({ error: "Failed to create payment record" });
+      }
+
+      let walletAmount = 0;
+      if (use_wallet) {
+        try {
+          walletAmount = await payOrderFromWallet(user.id, orderId, amount);
+        } catch (err) {
+          // Nothing was taken; the posting and the order update are one
+          await supabase.from("payments").delete().eq("order_id", orderId);
+          await releaseReservation(orderId, "wallet_error");
+          throw err;
+        }
+      }
+      const walletOnly = walletAmount >= amount;
+      const walletPayment = {
+        order_id: orderId,
+        user_id: user.id,
+        wallet_amount: walletAmount,
+      };
+
+      console.log("✅ Payment record created:", payment);
+
+      const orderSummary = {
+        order_id: orderId,
+        userId: user.id,
+        quantity: quantity,
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        promo_code: pricing.promo_code,
+        amount: amount,
+        wallet_amount: walletAmount,
+      };
+
+      // Nothing left to charge, so the tickets are issued right away
+      if (walletOnly) {
+        const { tickets } = await fulfillPaidOrder(orderId);
+        return res.json({
+          ...orderSummary,
+          payment_url: null,
+          status: "success",
+          tickets,
+        });
+      }
+
+      // ✅ Create gateway order with error handling
+      let order;
+      try {
+        order = await getPaymentProvider(payment.gateway).createOrder({
+          orderId,
+          amount: roundMoney(amount - walletAmount),
+          mobile,
+          name,
+        });
+      } catch (gatewayError) {
+        console.error(
+          "❌ Gateway order creation failed:",
+          gatewayError.message
+        );
+
+        // Give the wallet share back while the order still exists, then
+        // clean up the failed payment record
+        await returnOrderWalletShare(walletPayment, "purchase_reversal");
+        await supabase.from("payments").delete().eq("order_id", orderId);
+        await releaseReservation(orderId, "gateway_error");
+
+        return res.status(500).json({
+          error:
+            gatewayError.message || "Payment gateway error. Please try again.",
+        });
+      }
+
+      res.json({
+        ...orderSummary,
+        payment_url: order.payment_url,
+        reserved_until: new Date(
+          Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000
+        ).toISOString(),
+      });
+    } catch (err) {
+      console.error("❌ Create order error:", err);
+      res
+        .status(err.status || 500)
+        .json({ error: err.message || "Failed to create order" });
+    }
+  }
+);
+
+// ✅ UPDATED: Verify payment through the order's gateway
+app.post(
+  "/api/verify-payment",
+  rateLimit(RATE_LIMITS.verifyIp),
+  validate({
+    summary: "Check an order with the gateway and issue its tickets",
+    body: {
+      properties: { order_id: SCHEMA.text(64) },
+      required: ["order_id"],
+    },
+    messages: { order_id: "Missing required fields" },
+  }),
+  async (req, res) => {
+    try {
+      const { order_id, userId } = req.body;
+
+      console.log("🔍 Verifying payment:", { order_id, userId });
+
+      // Quantity and owner come from the order itself; userId is only used as a
+      // sanity check that the browser is verifying its own order
+      const { data: payment, error: paymentError } = await supabase
+        .from("payments")
+        .select("*")
+        .eq("order_id", order_id)
+        .maybeSingle();
+
+      if (paymentError) throw paymentError;
+
+      if (!payment) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      if (userId && String(userId) !== String(payment.user_id)) {
+        return res.status(403).json({ error: "Order belongs to another user" });
+      }
+
+      const result = await syncPaymentWithGateway(payment);
+
+      if (result.status !== "success") {
+        return res.status(400).json({ error: "Payment not successful yet" });
+      }
+
+      res.json({ success: true, tickets: result.tickets });
+    } catch (err) {
+      console.error("❌ Verify payment error:", err);
+      res
+        .status(err.status || 500)
+        .json({ error: err.message || "Payment verification failed" });
+    }
+  }
+);
+
+// Server-to-server payment notification from the gateway. The provider
+// checks the signature, and the order is then settled on what the gateway
+// reports when asked, never on the callback alone: a success is confirmed
+// before any tickets are issued and a failure before the order is failed.
+app.post(
+  "/api/payment/webhook{/:provider}",
+  validate({
+    summary: "Gateway payment callback",
+    params: { properties: { provider: { type: "string" } } },
+  }),
+  async (req, res) => {
+    try {
+      let provider;
+      try {
+        provider = getPaymentProvider(req.params.provider);
+      } catch (err) {
+        return res.status(404).json({ error: "Unknown payment provider" });
+      }
+
+      const { valid, orderId, status } = provider.verifyCallback(req);
+
+      if (!valid) {
+        console.error("❌ Webhook signature mismatch");
+        return res.status(401).json({ error: "Invalid signature" });
+      }
+
+      console.log("🔔 Payment webhook:", provider.name, { orderId, status });
+
+      if (!orderId) {
+        return res.status(400).json({ error: "order_id is required" });
+      }
+
+      const { data: payment, error: paymentError } = await supabase
+        .from("payments")
+        .select("*")
+        .eq("order_id", orderId)
+        .maybeSingle();
+
+      if (paymentError) throw paymentError;
+
+      if (!payment) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+
+      // A gateway only gets to settle its own orders
+      if (payment.gateway !== provider.name) {
+        console.error(
+          "❌ Webhook from the wrong gateway:",
+          provider.name,
+          orderId,
+          payment.gateway
+        );
+        return res
+          .status(400)
+          .json({ error: "Order was not placed with this gateway" });
+      }
+
+      const result = await syncPaymentWithGateway(payment);
+
+      if (result.status === "success") {
+        return res.json({
+          received: true,
+          status: "success",
+          alreadyIssued: result.alreadyIssued,
+        });
+      }
+
+      if (result.status !== status) {
+        console.error(
+          `⚠️ Webhook says ${status} but gateway says ${result.status}:`,
+          orderId
+        );
+      }
+
+      if (status === "success") {
+        return res
+          .status(409)
+          .json({ error: "Payment not confirmed by gateway" });
+      }
+
+      res.json({ received: true, status: result.status });
+    } catch (err) {
+      if (err.status === 409) {
+        return res.json({ received: true, status: "processing" });
+      }
+
+      console.error("❌ Payment webhook error:", err);
+      res
+        .status(err.status || 500)
+        .json({ error: err.message || "Webhook processing failed" });
+    }
+  }
+);
+
+// ============ MOCK GATEWAY ============
+// Only mounted with PAYMENT_PROVIDER=mock. Stands in for the hosted payment
+// page: ?result=success|failed settles the order, posts a signed callback to
+// our own webhook exactly like a real gateway, then redirects the browser to
+// the frontend.
+if (MOCK_GATEWAY_ENABLED) {
+  app.get(
+    "/api/mock-gateway/pay/:orderId",
+    validate({
+      summary: "Mock gateway checkout page",
+      params: { properties: { orderId: SCHEMA.text(64) } },
+      query: { properties: { result: { enum: ["success", "failed"] } } },
+    }),
+    async (req, res) => {
+      const order = mockGatewayOrders.get(req.params.orderId);
+
+      if (!order) {
+        return res.status(404).json({ error: "Unknown mock order" });
+      }
+
+      const result = req.query.result;
+
+      if (result !== "success" && result !== "failed") {
+        return res.type("html").send(
+          `<h2>Mock payment</h2>
+<p>Order ${order.orderId} - ₹${order.amount}</p>
+<a href="?result=success">Pay</a> | <a href="?result=failed">Fail</a>`
+        );
+      }
+
+      order.status = result;
+
+      const body = JSON.stringify({
+        order_id: order.orderId,
+        status: result.toUpperCase(),
+      });
+
+      try {
+        await axios.post(
+          `http://localhost:${PORT}/api/payment/webhook/mock`,
+          body,
+          {
+            headers: {
+              "Content-Type": "application/json",
+              "x-webhook-signature": crypto
+                .createHmac("sha256", MOCK_WEBHOOK_SECRET)
+                .update(body)
+                .digest("hex"),
+            },
+            timeout: 30000,
+          }
+        );
+      } catch (err) {
+        console.error("❌ Mock gateway callback failed:", err.message);
+      }
+
+      if (!process.env.FRONTEND_SUCCESS_URL) {
+        return res.json({ order_id: order.orderId, status: result });
+      }
+
+      res.redirect(
+        `${process.env.FRONTEND_SUCCESS_URL}/?order_id=${order.orderId}&status=${result}`
+      );
+    }
+  );
+
+  console.log("🧪 Mock payment gateway enabled");
+}
+
+// Check result
+app.get(
+  "/api/result/:ticketCode",
+  rateLimit(RATE_LIMITS.resultIp),
+  validate({
+    summary: "Result of one ticket",
+    params: { properties: { ticketCode: SCHEMA.ticketCode } },
+  }),
+  async (req, res) => {
+    try {
+      const code = req.params.ticketCode.trim().toUpperCase();
+
+      // Mistyped codes never reach the database
+      if (!isValidTicketCode(code)) {
+        return res.status(400).json({ error: "Invalid ticket code" });
+      }
+
+      const { data, error } = await supabase
+        .from("winners")
+        .select("*")
+        .eq("ticket_code", code)
+        .maybeSingle();
+
+      if (error) {
+        console.error("Result check error:", error);
+        return res.status(500).json({ error: "Failed to check result" });
+      }
+
+      if (!data) {
+        return res.json({ won: false });
+      }
+
+      res.json({ won: true, prize: data.prize_amount });
+    } catch (err) {
+      res.status(500).json({ error: "Result check failed" });
+    }
+  }
+);
+
+// Get recent winners
+app.get(
+  "/api/recent-winners",
+  validate({ summary: "Biggest recent prizes" }),
+  async (req, res) => {
+    try {
+      const { data: winners } = await supabase
+        .from("winners")
+        .select("ticket_code, prize_amount")
+        .order("prize_amount", { ascending: false })
+        .limit(10);
+
+      if (!winners || winners.length === 0) {
+        return res.json({ success: true, winners: [] });
+      }
+
+      const ticketCodes = winners.map((w) => w.ticket_code);
+      const { data: tickets } = await supabase
+        .from("tickets")
+        .select("ticket_code, user_id")
+        .in("ticket_code", ticketCodes);
+
+      const userIds = [...new Set(tickets.map((t) => t.user_id))];
+      const { data: users } = await supabase
+        .from("users")
+        .select("id, name, mobile")
+        .in("id", userIds);
+
+      const winnersWithDetails = winners.map((winner) => {
+        const ticket = tickets.find(
+          (t) => t.ticket_code === winner.ticket_code
+        );
+        const user = ticket ? users.find((u) => u.id === ticket.user_id) : null;
+
+        return {
+          ticket_code: winner.ticket_code,
+          prize_amount: winner.prize_amount,
+          name: user?.name || "Anonymous",
+          mobile: user?.mobile
+            ? `${user.mobile.substring(0, 3)}xxxxx${user.mobile.substring(8)}`
+            : "Hidden",
+        };
+      });
+
+      res.json({ success: true, winners: winnersWithDetails });
+    } catch (err) {
+      console.error("Recent winners error:", err);
+      res.json({ success: true, winners: [] });
+    }
+  }
+);
+
+// Draw commitment before the draw, full re-runnable proof after it
+app.get(
+  "/api/draws/:round/proof",
+  validate({
+    summary: "Everything needed to re-run a round's draw",
+    params: { properties: { round: SCHEMA.positiveInt } },
+  }),
+  async (req, res) => {
+    try {
+      const round = await getRoundByNumber(Number(req.params.round));
+      const drawn = round.status === "drawn" || round.status === "settled";
+
+      if (!drawn) {
+        return res.json({
+          round: round.round_number,
+          status: round.status,
+          server_seed_hash: round.server_seed_hash,
+          algorithm: DRAW_ALGORITHM,
+          revealed: false,
+        });
+      }
+
+      const { data: tickets, error: ticketError } = await supabase
+        .from("tickets")
+        .select("ticket_code")
+        .eq("round_id", round.id)
+        .eq("status", "confirmed");
+
+      if (ticketError) throw ticketError;
+
+      const { data: winners, error: winnerError } = await supabase
+        .from("winners")
+        .select("ticket_code, prize_amount, rank")
+        .eq("round_id", round.id)
+        .order("rank", { ascending: true });
+
+      if (winnerError) throw winnerError;
+
+      // Re-run the draw from the published inputs and compare
+      const recomputed = computeDraw(
+        round.server_seed,
+        round.public_entropy,
+        tickets.map((t) => t.ticket_code),
+        round.winner_count || 0
+      );
+      // Every winner row counts: one the draw didn't pick, including those
+      // added by hand, fails the check
+      const verified =
+        sha256Hex(round.server_seed) === round.server_seed_hash &&
+        recomputed.ticketsHash === round.tickets_hash &&
+        recomputed.winners.join(",") ===
+          winners.map((w) => w.ticket_code).join(",");
+
+      res.json({
+        round: round.round_number,
+        status: round.status,
+        revealed: true,
+        algorithm: round.draw_algorithm || DRAW_ALGORITHM,
+        server_seed: round.server_seed,
+        server_seed_hash: round.server_seed_hash,
+        entropy_source: round.entropy_source,
+        entropy_source_at: round.entropy_source_at,
+        public_entropy: round.public_entropy,
+        tickets_hash: round.tickets_hash,
+        ticket_codes: recomputed.sortedCodes,
+        winner_count: round.winner_count,
+        winners,
+        verified,
+        how_to_verify: DRAW_VERIFICATION_STEPS,
+      });
+    } catch (err) {
+      console.error("❌ Draw proof error:", err);
+      res
+        .status(err.status || 500)
+        .json({ error: err.message || "Failed to build draw proof" });
+    }
+  }
+);
+
+// ============ PLAYER ENDPOINTS ============
+
+// Send a login code
+app.post(
+  "/api/auth/otp/request",
+  rateLimit(RATE_LIMITS.otpIp),
+  validate({
+    summary: "Send a login code to a mobile number",
+    body: { properties: { mobile: SCHEMA.mobile }, required: ["mobile"] },
+    messages: { mobile: "Mobile number must be 10 digits" },
+  }),
+  async (req, res) => {
+    try {
+      const { mobile } = req.body;
+
+      const { data: recent } = await supabase
+        .from("player_otps")
+        .select("created_at")
+        .eq("mobile", mobile)
+        .gt(
+          "created_at",
+          new Date(Date.now() - OTP_RESEND_SECONDS * 1000).toISOString()
+        )
+        .limit(1);
+
+      if (recent && recent.length > 0) {
+        return res.status(429).json({
+          error: `Please wait ${OTP_RESEND_SECONDS}s before retrying`,
+        });
+      }
+
+      const otp = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+      const { error } = await supabase.from("player_otps").insert({
+        mobile,
+        code_hash: hashOtp(mobile, otp),
+        attempts: 0,
+        expires_at: new Date(
+          Date.now() + OTP_TTL_MINUTES * 60 * 1000
+        ).toISOString(),
+      });
+
+      if (error) throw error;
+
+      await getSmsSender().send(
+        mobile,
+        `${otp} is your VK Lottery login code. It expires in ${OTP_TTL_MINUTES} minutes.`
+      );
+
+      res.json({ success: true, expires_in: OTP_TTL_MINUTES * 60 });
+    } catch (err) {
+      console.error("❌ OTP request error:", err);
+      res
+        .status(err.status || 500)
+        .json({ error: "Failed to send login code" });
+    }
+  }
+);
+
+// Exchange a login code for a player token
+app.post(
+  "/api/auth/otp/verify",
+  rateLimit(RATE_LIMITS.otpVerifyIp),
+  rateLimit(RATE_LIMITS.otpVerifyMobile, (req) =>
+    normalizeMobileKey(req.body?.mobile)
+  ),
+  validate({
+    summary: "Exchange a login code for a player token",
+    body: {
+      properties: {
+        mobile: SCHEMA.mobile,
+        otp: { type: "string", pattern: "^\\d{4,8}$" },
+        name: SCHEMA.text(100),
+      },
+      required: ["mobile", "otp"],
+    },
+    messages: {
+      mobile: "Mobile and OTP are required",
+      otp: "Mobile and OTP are required",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { mobile, otp, name } = req.body;
+
+      const { data: record, error } = await supabase
+        .from("player_otps")
+        .select("*")
+        .eq("mobile", mobile)
+        .is("consumed_at", null)
+        .order("created_at", { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!record || new Date(record.expires_at) < new Date()) {
+        return res
+          .status(401)
+          .json({ error: "Code expired, please request a new one" });
+      }
+
+      if (!(await takeOtpAttempt(record))) {
+        return res
+          .status(429)
+          .json({ error: "Too many attempts, please request a new code" });
+      }
+
+      const expected = Buffer.from(record.code_hash);
+      const received = Buffer.from(hashOtp(mobile, String(otp).trim()));
+
+      if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+      ) {
+        return res.status(401).json({ error: "Incorrect code" });
+      }
+
+      // Single use: losing this race means someone else used the code first
+      const { data: consumed } = await supabase
+        .from("player_otps")
+        .update({ consumed_at: new Date().toISOString() })
+        .eq("id", record.id)
+        .is("consumed_at", null)
+        .select("id");
+
+      if (!consumed || consumed.length === 0) {
+        return res.status(401).json({ error: "Code already used" });
+      }
+
+      let user = await findUserByMobile(mobile);
+
+      if (!user) {
+        const { data: newUser, error: insertError } = await supabase
+          .from("users")
+          .insert({ name: name || "Player", mobile })
+          .select()
+          .single();
+
+        if (insertError) throw insertError;
+        user = newUser;
+        console.log("✅ New user created:", user.id);
+      }
+
+      const token = signToken(
+        { typ: "player", sub: user.id },
+        PLAYER_TOKEN_TTL_SECONDS
+      );
+
+      res.json({
+        success: true,
+        token,
+        expires_at: new Date(
+          Date.now() + PLAYER_TOKEN_TTL_SECONDS * 1000
+        ).toISOString(),
+        user: { id: user.id, name: user.name, mobile: user.mobile },
+      });
+    } catch (err) {
+      console.error("❌ OTP verify error:", err);
+      res.status(500).json({ error: "Login failed" });
+    }
+  }
+);
+
+// Player profile
+app.get(
+  "/api/me",
+  requirePlayer(),
+  validate({ summary: "Logged-in player profile" }),
+  (req, res) => {
+    const { id, name, mobile, created_at } = req.user;
+    res.json({ success: true, user: { id, name, mobile, created_at } });
+  }
+);
+
+// All my tickets, grouped by round
+app.get(
+  "/api/me/tickets",
+  requirePlayer(),
+  validate({ summary: "My tickets grouped by round" }),
+  async (req, res) => {
+    try {
+      const tickets = await getPlayerTickets(req.user.id);
+      res.json({ success: true, rounds: groupByRound(tickets) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// My orders with the tickets each one issued
+app.get(
+  "/api/me/orders",
+  requirePlayer(),
+  validate({ summary: "My orders" }),
+  async (req, res) => {
+    try {
+      const { data: payments, error } = await supabase
+        .from("payments")
+        .select(
+          "order_id, amount, quantity, unit_price, status, round_id, created_at"
+        )
+        .eq("user_id", req.user.id)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+
+      const tickets = await getPlayerTickets(req.user.id);
+
+      const orders = (payments || []).map((p) => {
+        const orderTickets = tickets.filter((t) => t.order_id === p.order_id);
+        return {
+          ...p,
+          round: orderTickets[0]?.round?.round_number ?? null,
+          tickets: orderTickets.map((t) => ({
+            ticket_code: t.ticket_code,
+            result: t.result,
+            prize_amount: t.prize_amount,
+          })),
+        };
+      });
+
+      res.json({ success: true, orders });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Winning tickets, grouped by round
+app.get(
+  "/api/me/winnings",
+  requirePlayer(),
+  validate({ summary: "My winning tickets" }),
+  async (req, res) => {
+    try {
+      const won = (await getPlayerTickets(req.user.id)).filter(
+        (t) => t.result === "won"
+      );
+
+      const { data: claims } = await supabase
+        .from("prize_claims")
+        .select("ticket_code, status")
+        .eq("user_id", req.user.id)
+        .order("created_at", { ascending: true });
+
+      // Latest claim per ticket wins, so a resubmission replaces a rejection
+      for (const ticket of won) {
+        const claim = (claims || [])
+          .filter((c) => c.ticket_code === ticket.ticket_code)
+          .pop();
+        ticket.claim_status = claim?.status || "unclaimed";
+      }
+
+      res.json({
+        success: true,
+        total_won: won.reduce((sum, t) => sum + Number(t.prize_amount), 0),
+        rounds: groupByRound(won),
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Submit payout details for a winning ticket
+app.post(
+  "/api/me/claims",
+  requirePlayer(),
+  validate({
+    summary: "Submit payout details for a winning ticket",
+    body: {
+      properties: {
+        ticket_code: SCHEMA.ticketCode,
+        payout_method: { enum: ["upi", "bank", "wallet"] },
+        upi_id: { type: "string", maxLength: 320 },
+        bank_account_number: { type: "string", maxLength: 18 },
+        bank_ifsc: { type: "string", maxLength: 11 },
+        account_holder_name: { type: "string", maxLength: 100 },
+      },
+      required: ["ticket_code", "payout_method"],
+    },
+    messages: {
+      payout_method: "payout_method must be upi, bank or wallet",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const code = String(req.body.ticket_code || "")
+        .trim()
+        .toUpperCase();
+
+      const { data: ticket, error: ticketError } = await supabase
+        .from("tickets")
+        .select("ticket_code, user_id, round_id, status")
+        .eq("ticket_code", code)
+        .maybeSingle();
+
+      if (ticketError) throw ticketError;
+
+      if (!ticket || String(ticket.user_id) !== String(req.user.id)) {
+        return res.status(404).json({ error: "Ticket not found" });
+      }
+
+      // Its order was refunded, prize and all
+      if (ticket.status === "void") {
+        return res
+          .status(400)
+          .json({ error: "This ticket was refunded and cannot be claimed" });
+      }
+
+      const { data: winner, error: winnerError } = await supabase
+        .from("winners")
+        .select("ticket_code, prize_amount")
+        .eq("ticket_code", code)
+        .maybeSingle();
+
+      if (winnerError) throw winnerError;
+
+      if (!winner) {
+        return res
+          .status(400)
+          .json({ error: "This ticket did not win a prize" });
+      }
+
+      const { error: detailsError, details } = parsePayoutDetails(req.body);
+      if (detailsError) {
+        return res.status(400).json({ error: detailsError });
+      }
+
+      const { data: open, error: openError } = await supabase
+        .from("prize_claims")
+        .select("id, status")
+        .eq("ticket_code", code)
+        .neq("status", "rejected");
+
+      if (openError) throw openError;
+
+      if (open && open.length > 0) {
+        return res.status(409).json({
+          error: `A claim for this ticket is already ${open[0].status}`,
+        });
+      }
+
+      const { data: claim, error } = await supabase
+        .from("prize_claims")
+        .insert({
+          ticket_code: code,
+          user_id: req.user.id,
+          round_id: ticket.round_id,
+          prize_amount: winner.prize_amount,
+          status: "submitted",
+          ...details,
+        })
+        .select()
+        .single();
+
+      // Lost a race with another claim for the same ticket
+      if (error?.code === "23505") {
+        return res
+          .status(409)
+          .json({ error: "A claim for this ticket is already submitted" });
+      }
+      if (error) throw error;
+
+      await recordClaimEvent(claim.id, null, "submitted", {
+        type: "player",
+        id: req.user.id,
+      });
+
+      await auditFromRequest(req, {
+        action: "claim.submitted",
+        entityType: "claim",
+        entityId: claim.id,
+        after: { status: "submitted", ticket_code: claim.ticket_code },
+      });
+
+      notifyClaimStatus(claim, "submitted").catch((err) =>
+        console.error("❌ Claim notification error:", err.message)
+      );
+
+      // Small prizes go straight into the wallet
+      if (
+        claim.payout_method === "wallet" &&
+        Number(claim.prize_amount) <= WALLET_AUTO_CREDIT_LIMIT
+      ) {
+        const system = auditActor();
+        const approved = await transitionClaim(
+          claim,
+          "approved",
+          system,
+          { reviewed_at: new Date().toISOString() },
+          "Auto-approved wallet credit"
+        );
+        return res.json({
+          success: true,
+          claim: await payClaimToWallet(approved, system),
+        });
+      }
+
+      res.json({ success: true, claim });
+    } catch (err) {
+      console.error("❌ Claim submit error:", err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// My claims
+app.get(
+  "/api/me/claims",
+  requirePlayer(),
+  validate({ summary: "My prize claims" }),
+  async (req, res) => {
+    try {
+      const { data: claims, error } = await supabase
+        .from("prize_claims")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+
+      res.json({ success: true, claims });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ ADMIN ENDPOINTS ============
+
+// Admin login
+app.post(
+  "/api/admin/login",
+  rateLimit(RATE_LIMITS.adminLoginIp),
+  validate({
+    summary: "Admin login",
+    body: {
+      properties: {
+        username: SCHEMA.text(50),
+        password: SCHEMA.text(200),
+      },
+      required: ["password"],
+    },
+    messages: { password: "Password is required" },
+  }),
+  async (req, res) => {
+    try {
+      const { username = "admin", password } = req.body;
+
+      const normalizedUsername = String(username).trim().toLowerCase();
+      const lockoutKey = `${ADMIN_LOCKOUT.name}:${normalizedUsername}`;
+      const store = getRateLimitStore();
+
+      const failures = await store.peek(
+        lockoutKey,
+        ADMIN_LOCKOUT.windowSeconds
+      );
+      if (failures.count >= ADMIN_LOCKOUT.max) {
+        const minutes = Math.ceil((failures.resetAt - Date.now()) / 60000);
+        console.log("🔒 Locked admin login attempt:", normalizedUsername);
+        return res.status(429).json({
+          error: `Too many failed attempts, try again in ${Math.max(
+            minutes,
+            1
+          )} minutes`,
+        });
+      }
+
+      const { data: admin, error } = await supabase
+        .from("admin_users")
+        .select("*")
+        .eq("username", normalizedUsername)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (
+        !admin ||
+        !admin.is_active ||
+        !(await verifyPassword(password, admin.password_hash))
+      ) {
+        console.log("⚠️ Failed admin login:", username);
+        await store.hit(lockoutKey, ADMIN_LOCKOUT.windowSeconds);
+        return res.status(401).json({ error: "Invalid username or password" });
+      }
+
+      await store.reset(lockoutKey);
+
+      await supabase
+        .from("admin_users")
+        .update({ last_login_at: new Date().toISOString() })
+        .eq("id", admin.id);
+
+      const token = signToken(
+        { typ: "admin", sub: admin.id, role: admin.role },
+        ADMIN_TOKEN_TTL_SECONDS
+      );
+
+      res.json({
+        success: true,
+        token,
+        expires_at: new Date(
+          Date.now() + ADMIN_TOKEN_TTL_SECONDS * 1000
+        ).toISOString(),
+        admin: toAdminProfile(admin),
+      });
+    } catch (err) {
+      console.error("❌ Admin login error:", err);
+      res.status(500).json({ error: "Login failed" });
+    }
+  }
+);
+
+// Current admin
+app.get(
+  "/api/admin/me",
+  requireAdmin(),
+  validate({ summary: "Logged-in admin profile" }),
+  (req, res) => {
+    res.json({ success: true, admin: toAdminProfile(req.admin) });
+  }
+);
+
+// Change own password
+app.post(
+  "/api/admin/me/password",
+  requireAdmin(),
+  validate({
+    summary: "Change my password",
+    body: {
+      properties: {
+        current_password: { type: "string" },
+        new_password: { type: "string", minLength: 8, maxLength: 200 },
+      },
+      required: ["current_password", "new_password"],
+    },
+    messages: {
+      new_password: "New password must be at least 8 characters",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { current_password, new_password } = req.body;
+
+      if (!(await verifyPassword(current_password, req.admin.password_hash))) {
+        return res.status(401).json({ error: "Current password is incorrect" });
+      }
+
+      const { error } = await supabase
+        .from("admin_users")
+        .update({ password_hash: await hashPassword(new_password) })
+        .eq("id", req.admin.id);
+
+      if (error) throw error;
+
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// List admin accounts
+app.get(
+  "/api/admin/admins",
+  requireAdmin("superadmin"),
+  validate({ summary: "List admin accounts" }),
+  async (req, res) => {
+    try {
+      const { data: admins, error } = await supabase
+        .from("admin_users")
+        .select("*")
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+
+      res.json({ success: true, admins: admins.map(toAdminProfile) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Create admin account
+app.post(
+  "/api/admin/admins",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Create an admin account",
+    body: {
+      properties: {
+        username: SCHEMA.text(50),
+        password: { type: "string", minLength: 8, maxLength: 200 },
+        role: { enum: ADMIN_ROLES },
+      },
+      required: ["username", "password"],
+    },
+    messages: {
+      username: "Username and password are required",
+      password: "Password must be at least 8 characters",
+      role: `Role must be one of: ${ADMIN_ROLES.join(", ")}`,
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { username, password, role = "viewer" } = req.body;
+
+      const { data: admin, error } = await supabase
+        .from("admin_users")
+        .insert({
+          username: String(username).trim().toLowerCase(),
+          password_hash: await hashPassword(password),
+          role,
+          is_active: true,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === "23505") {
+          return res.status(409).json({ error: "Username already exists" });
+        }
+        throw error;
+      }
+
+      await auditFromRequest(req, {
+        action: "admin.create",
+        entityType: "admin",
+        entityId: admin.id,
+        after: toAdminProfile(admin),
+      });
+
+      res.json({ success: true, admin: toAdminProfile(admin) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Update admin role / status / password
+app.post(
+  "/api/admin/admins/:id",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Change an admin's role, status or password",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: {
+        role: { enum: ADMIN_ROLES },
+        is_active: { type: "boolean" },
+        password: { type: "string", minLength: 8, maxLength: 200 },
+      },
+    },
+    messages: {
+      role: `Role must be one of: ${ADMIN_ROLES.join(", ")}`,
+      password: "Password must be at least 8 characters",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { role, is_active, password } = req.body;
+      const updates = {};
+
+      if (role !== undefined) updates.role = role;
+      if (is_active !== undefined) updates.is_active = is_active;
+      if (password !== undefined) {
+        updates.password_hash = await hashPassword(password);
+      }
+
+      if (
+        String(req.params.id) === String(req.admin.id) &&
+        (updates.role || updates.is_active === false)
+      ) {
+        return res
+          .status(400)
+          .json({ error: "You cannot demote or disable your own account" });
+      }
+
+      const { data: previous } = await supabase
+        .from("admin_users")
+        .select("*")
+        .eq("id", req.params.id)
+        .maybeSingle();
+
+      const { data: admin, error } = await supabase
+        .from("admin_users")
+        .update(updates)
+        .eq("id", req.params.id)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!admin) {
+        return res.status(404).json({ error: "Admin not found" });
+      }
+
+      await auditFromRequest(req, {
+        action: "admin.update",
+        entityType: "admin",
+        entityId: admin.id,
+        before: previous && toAdminProfile(previous),
+        after: {
+          ...toAdminProfile(admin),
+          password_changed: password !== undefined,
+        },
+      });
+
+      res.json({ success: true, admin: toAdminProfile(admin) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Admin stats
+app.get(
+  "/api/admin/stats",
+  requireAdmin(),
+  validate({ summary: "Sales of the current round" }),
+  async (req, res) => {
+    try {
+      const round = await getCurrentRound();
+      const { total, sold, reserved, available } = await getInventory(round);
+      res.json({
+        total,
+        sold,
+        reserved,
+        remaining: available,
+        round: round.round_number,
+        round_status: round.status,
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to get stats" });
+    }
+  }
+);
+
+// Get settings
+app.get(
+  "/api/admin/settings",
+  requireAdmin(),
+  validate({ summary: "Active lottery settings" }),
+  async (req, res) => {
+    try {
+      const settings = await getSettings();
+      const round = await getCurrentRound();
+
+      // Round-level values come from the live round; the saved ones only
+      // apply from the next round on
+      res.json({
+        ...settings,
+        lottery_round: round.round_number,
+        ticket_price: round.ticket_price,
+        total_tickets: round.total_tickets,
+        lottery_date: round.lottery_date,
+        round_status: round.status,
+        next_round: {
+          ticket_price: settings.ticket_price,
+          total_tickets: settings.total_tickets,
+          lottery_date: settings.lottery_date,
+        },
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Failed to get settings" });
+    }
+  }
+);
+
+// Save a new settings version, effective now or at effective_at. Omitted
+// fields keep their current value; an empty lottery_date or banner_image
+// clears it, as does an empty bundle_pricing list. ticket_price,
+// total_tickets and lottery_date apply to the next round opened, never to
+// the one already selling.
+app.post(
+  "/api/admin/settings",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Save a new settings version",
+    body: {
+      properties: {
+        ticket_price: { type: "number", exclusiveMinimum: 0 },
+        total_tickets: SCHEMA.positiveInt,
+        lottery_date: SCHEMA.optionalTimestamp,
+        banner_image: {
+          type: "string",
+          maxLength: 2048,
+          pattern: "^(https?://\\S+)?$",
+        },
+        max_payout_share: {
+          type: "number",
+          exclusiveMinimum: 0,
+          maximum: 1,
+        },
+        bundle_pricing: {
+          type: "array",
+          maxItems: 10,
+          items: {
+            type: "object",
+            properties: {
+              quantity: { type: "integer", minimum: 2, maximum: 100 },
+              pay_for: SCHEMA.positiveInt,
+            },
+            required: ["quantity", "pay_for"],
+            additionalProperties: false,
+          },
+        },
+        effective_at: SCHEMA.timestamp,
+        note: SCHEMA.text(),
+      },
+    },
+    messages: {
+      lottery_date: "lottery_date must be a date",
+      banner_image: "banner_image must be an http(s) URL",
+      max_payout_share: "max_payout_share must be between 0 and 1",
+      bundle_pricing:
+        "bundle_pricing must be a list of { quantity, pay_for } tiers",
+      effective_at: "effective_at must be a date",
+    },
+  }),
+  async (req, res) => {
+    try {
+      if (req.body.lottery_round !== undefined) {
+        return res.status(400).json({
+          error:
+            "lottery_round can't be set, round numbers follow from the rounds opened",
+        });
+      }
+
+      if (req.body.bundle_pricing) {
+        req.body.bundle_pricing = normalizeBundlePricing(
+          req.body.bundle_pricing
+        );
+      }
+
+      invalidateSettingsCache();
+      const current = await getSettings();
+
+      const values = {};
+      for (const field of SETTINGS_FIELDS) {
+        const value = req.body[field] ?? current[field];
+        values[field] = value === "" ? null : value;
+      }
+
+      const effectiveAt = req.body.effective_at
+        ? new Date(req.body.effective_at).toISOString()
+        : null;
+      const scheduled = effectiveAt && new Date(effectiveAt) > new Date();
+
+      const version = await createSettingsVersion(values, {
+        effectiveAt,
+        note: req.body.note,
+        actor: req.admin,
+      });
+
+      await auditFromRequest(req, {
+        action: scheduled ? "settings.schedule" : "settings.update",
+        entityType: "settings",
+        entityId: version.version,
+        before: current,
+        after: version,
+      });
+
+      if (!scheduled) await applyDueSettings();
+
+      res.json({
+        success: true,
+        version: version.version,
+        effective_at: version.effective_at,
+        status: scheduled ? "scheduled" : "active",
+        changes: diffSettings(current, version),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+function settingsVersionStatus(row, activeId) {
+  if (row.cancelled_at) return "cancelled";
+  if (row.id === activeId) return "active";
+  if (row.effective_at && new Date(row.effective_at) > new Date()) {
+    return "scheduled";
+  }
+  return "superseded";
+}
+
+// Settings history, newest first
+app.get(
+  "/api/admin/settings/versions",
+  requireAdmin(),
+  validate({
+    summary: "Settings version history",
+    query: { properties: SCHEMA.paging },
+  }),
+  async (req, res) => {
+    try {
+      const { limit, offset } = parsePaging(req.query);
+      const active = await getSettings();
+
+      const { data, count, error } = await supabase
+        .from("lottery_settings")
+        .select("*", { count: "exact" })
+        .order("version", { ascending: false, nullsFirst: false })
+        .order("id", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        total: count,
+        versions: data.map((v) => ({
+          ...v,
+          status: settingsVersionStatus(v, active.id),
+        })),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Field-by-field changes between two versions; "to" defaults to the active
+// one
+app.get(
+  "/api/admin/settings/diff",
+  requireAdmin(),
+  validate({
+    summary: "Compare two settings versions",
+    query: {
+      properties: { from: SCHEMA.positiveInt, to: SCHEMA.positiveInt },
+      required: ["from"],
+    },
+  }),
+  async (req, res) => {
+    try {
+      const from = await getSettingsVersion(Number(req.query.from));
+      const to = req.query.to
+        ? await getSettingsVersion(Number(req.query.to))
+        : await getSettings();
+
+      res.json({
+        success: true,
+        from: from.version,
+        to: to.version ?? null,
+        changes: diffSettings(from, to),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Roll back by saving a copy of an earlier version as the newest one
+app.post(
+  "/api/admin/settings/versions/:version/rollback",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Restore an earlier settings version",
+    params: { properties: { version: SCHEMA.positiveInt } },
+    body: {
+      properties: { effective_at: SCHEMA.timestamp, note: SCHEMA.text() },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const target = await getSettingsVersion(Number(req.params.version));
+      const current = await getSettings();
+
+      const effectiveAt = req.body.effective_at
+        ? new Date(req.body.effective_at).toISOString()
+        : null;
+      const scheduled = effectiveAt && new Date(effectiveAt) > new Date();
+
+      const version = await createSettingsVersion(target, {
+        effectiveAt,
+        note: req.body.note ?? `Rollback to version ${target.version}`,
+        actor: req.admin,
+      });
+
+      await auditFromRequest(req, {
+        action: "settings.rollback",
+        entityType: "settings",
+        entityId: version.version,
+        before: current,
+        after: { ...version, restored_version: target.version },
+      });
+
+      if (!scheduled) await applyDueSettings();
+
+      res.json({
+        success: true,
+        version: version.version,
+        restored_version: target.version,
+        effective_at: version.effective_at,
+        status: scheduled ? "scheduled" : "active",
+        changes: diffSettings(current, version),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Withdraw a version that has not taken effect yet
+app.post(
+  "/api/admin/settings/versions/:version/cancel",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Cancel a scheduled settings version",
+    params: { properties: { version: SCHEMA.positiveInt } },
+  }),
+  async (req, res) => {
+    try {
+      const target = await getSettingsVersion(Number(req.params.version));
+
+      const { data: cancelled, error } = await supabase
+        .from("lottery_settings")
+        .update({ cancelled_at: new Date().toISOString() })
+        .eq("id", target.id)
+        .is("cancelled_at", null)
+        .gt("effective_at", new Date().toISOString())
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!cancelled) {
+        return res.status(409).json({
+          error: "Only versions that have not taken effect can be cancelled",
+        });
+      }
+
+      invalidateSettingsCache();
+
+      await auditFromRequest(req, {
+        action: "settings.cancel",
+        entityType: "settings",
+        entityId: target.version,
+        before: { effective_at: target.effective_at },
+        after: { cancelled_at: cancelled.cancelled_at },
+      });
+
+      res.json({ success: true, version: cancelled.version });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Auto-generate winners for the current round, closing sales first
+app.post(
+  "/api/admin/auto-generate-winners",
+  requireAdmin("operator"),
+  validate({
+    summary: "Close and draw the current round",
+    body: {
+      properties: { public_entropy: SCHEMA.text() },
+      required: ["public_entropy"],
+    },
+    messages: { public_entropy: "public_entropy is required to draw" },
+  }),
+  async (req, res) => {
+    try {
+      const { public_entropy } = req.body;
+
+      let round = await getCurrentRound();
+      if (round.status === "open") {
+        // The source has to have been named before this request, otherwise
+        // it could be one whose value is already known
+        if (!round.entropy_source) {
+          throw httpError(
+            409,
+            `Round ${round.round_number} has no entropy source, close it with one before drawing`
+          );
+        }
+        round = await transitionRound(round, "closed");
+      }
+
+      const { round: drawn, winners } = await drawRound(round, public_entropy);
+
+      await auditFromRequest(req, {
+        action: "round.draw",
+        entityType: "round",
+        entityId: drawn.id,
+        before: { status: round.status },
+        after: { status: drawn.status, public_entropy, winners },
+      });
+
+      res.json({ success: true, round: drawn.round_number, winners });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Manual winners: extra prizes on top of a drawn round's results. Only live
+// tickets of a drawn round qualify, and a ticket that already won keeps its
+// prize. These rows have no rank, so the round's proof reports them and no
+// longer verifies.
+app.post(
+  "/api/admin/winners",
+  requireAdmin("operator"),
+  validate({
+    summary: "Record winners by hand",
+    body: {
+      properties: {
+        winners: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            properties: {
+              ticket_code: SCHEMA.ticketCode,
+              prize_amount: { type: "number", exclusiveMinimum: 0 },
+            },
+            required: ["ticket_code", "prize_amount"],
+          },
+        },
+      },
+      required: ["winners"],
+    },
+    messages: {
+      winners:
+        "winners must list ticket_code and a prize_amount greater than 0",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { winners } = req.body;
+
+      const codes = winners.map((w) => w.ticket_code.toUpperCase());
+      if (new Set(codes).size !== codes.length) {
+        throw httpError(400, "Each ticket can only be listed once");
+      }
+
+      const { data: tickets, error: ticketError } = await supabase
+        .from("tickets")
+        .select("ticket_code, round_id, status")
+        .in("ticket_code", codes);
+
+      if (ticketError) throw ticketError;
+
+      const roundIds = [...new Set(tickets.map((t) => t.round_id))];
+      const { data: rounds, error: roundError } = await supabase
+        .from("lottery_rounds")
+        .select("id, round_number, status")
+        .in("id", roundIds);
+
+      if (roundError) throw roundError;
+
+      const rows = winners.map((w, i) => {
+        const ticket = tickets.find((t) => t.ticket_code === codes[i]);
+        if (!ticket || ticket.status === "void") {
+          throw httpError(400, `Ticket ${codes[i]} is not a valid ticket`);
+        }
+        const round = rounds.find((r) => r.id === ticket.round_id);
+        if (round?.status !== "drawn") {
+          throw httpError(
+            400,
+            `Ticket ${codes[i]} is not in a drawn round, winners can only be added once a round is drawn`
+          );
+        }
+        return {
+          ticket_code: codes[i],
+          prize_amount: roundMoney(w.prize_amount),
+          round_id: round.id,
+        };
+      });
+
+      const { data: existing, error: existingError } = await supabase
+        .from("winners")
+        .select("ticket_code")
+        .in("ticket_code", codes);
+
+      if (existingError) throw existingError;
+      if (existing.length > 0) {
+        throw httpError(
+          409,
+          `Already winners: ${existing.map((w) => w.ticket_code).join(", ")}`
+        );
+      }
+
+      // ticket_code is unique, so a winner added meanwhile fails the insert
+      const { data: inserted, error: insertError } = await supabase
+        .from("winners")
+        .insert(rows)
+        .select();
+
+      if (insertError) {
+        if (insertError.code === "23505") {
+          throw httpError(409, "One of these tickets was just made a winner");
+        }
+        throw insertError;
+      }
+
+      await auditFromRequest(req, {
+        action: "winners.manual",
+        entityType: "winners",
+        entityId: codes.join(","),
+        after: rows,
+      });
+
+      res.json({ success: true, winners: inserted });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ ROUND ENDPOINTS ============
+
+// List rounds with sales
+app.get(
+  "/api/admin/rounds",
+  requireAdmin(),
+  validate({ summary: "All rounds with sales" }),
+  async (req, res) => {
+    try {
+      const { data: rounds, error } = await supabase
+        .from("lottery_rounds")
+        .select("*")
+        .order("round_number", { ascending: false });
+
+      if (error) throw error;
+
+      const roundsWithSales = await Promise.all(
+        rounds.map(async (round) => ({
+          ...toPublicRound(round),
+          sold: await getSoldTicketsCount(round.id),
+        }))
+      );
+
+      res.json({ success: true, rounds: roundsWithSales });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Open the next round with fresh settings
+app.post(
+  "/api/admin/rounds",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Open the next round",
+    body: {
+      properties: {
+        ticket_price: { type: "number", exclusiveMinimum: 0 },
+        total_tickets: SCHEMA.positiveInt,
+        lottery_date: SCHEMA.timestamp,
+        entropy_source: SCHEMA.text(),
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { ticket_price, total_tickets, lottery_date, entropy_source } =
+        req.body;
+
+      const latest = await getLatestRound();
+      if (latest && (latest.status === "open" || latest.status === "closed")) {
+        return res.status(409).json({
+          error: `Round ${latest.round_number} must be drawn before opening the next one`,
+        });
+      }
+
+      const round = await openRound({
+        ticket_price,
+        total_tickets,
+        lottery_date,
+        entropy_source: entropy_source?.trim(),
+      });
+
+      await auditFromRequest(req, {
+        action: "round.open",
+        entityType: "round",
+        entityId: round.id,
+        after: {
+          round_number: round.round_number,
+          ticket_price: round.ticket_price,
+          total_tickets: round.total_tickets,
+          lottery_date: round.lottery_date,
+          entropy_source: round.entropy_source,
+        },
+      });
+
+      res.json({ success: true, round: toPublicRound(round) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Stop sales
+app.post(
+  "/api/admin/rounds/:id/close",
+  requireAdmin("operator"),
+  validate({
+    summary: "Stop sales for a round",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: { entropy_source: SCHEMA.text() },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const before = await getRoundById(req.params.id);
+      if (before.status !== "open") {
+        throw httpError(
+          409,
+          `Round ${before.round_number} is ${before.status} and cannot be closed`
+        );
+      }
+
+      // Sales only stop once the draw's entropy source is fixed
+      const fixed =
+        req.body.entropy_source || !before.entropy_source
+          ? await fixEntropySource(before, req.body.entropy_source)
+          : before;
+
+      const round = await transitionRound(fixed, "closed");
+      await auditFromRequest(req, {
+        action: "round.close",
+        entityType: "round",
+        entityId: round.id,
+        before: { status: before.status },
+        after: { status: round.status, entropy_source: round.entropy_source },
+      });
+      res.json({ success: true, round: toPublicRound(round) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Name the draw's entropy source for a round that closed by itself
+app.post(
+  "/api/admin/rounds/:id/entropy-source",
+  requireAdmin("operator"),
+  validate({
+    summary: "Fix the public entropy source of a round",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: { entropy_source: SCHEMA.text() },
+      required: ["entropy_source"],
+    },
+    messages: { entropy_source: "entropy_source is required" },
+  }),
+  async (req, res) => {
+    try {
+      const before = await getRoundById(req.params.id);
+      const round = await fixEntropySource(before, req.body.entropy_source);
+      await auditFromRequest(req, {
+        action: "round.entropy_source",
+        entityType: "round",
+        entityId: round.id,
+        before: { entropy_source: before.entropy_source },
+        after: {
+          entropy_source: round.entropy_source,
+          entropy_source_at: round.entropy_source_at,
+        },
+      });
+      res.json({ success: true, round: toPublicRound(round) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Draw winners for a closed round
+app.post(
+  "/api/admin/rounds/:id/draw",
+  requireAdmin("operator"),
+  validate({
+    summary: "Draw a closed round",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: { public_entropy: SCHEMA.text() },
+      required: ["public_entropy"],
+    },
+    messages: { public_entropy: "public_entropy is required to draw" },
+  }),
+  async (req, res) => {
+    try {
+      const { public_entropy } = req.body;
+      const before = await getRoundById(req.params.id);
+      const result = await drawRound(before, public_entropy);
+      await auditFromRequest(req, {
+        action: "round.draw",
+        entityType: "round",
+        entityId: before.id,
+        before: { status: before.status },
+        after: {
+          status: result.round.status,
+          public_entropy,
+          winners: result.winners,
+        },
+      });
+      res.json({ success: true, ...result });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Prize structure for a round, with the payout it implies on a full sell-out
+app.get(
+  "/api/admin/rounds/:id/prize-tiers",
+  requireAdmin(),
+  validate({
+    summary: "Prize structure of a round",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const round = await getRoundById(req.params.id);
+      const tiers = await getPrizeTiers(round.id);
+      const projectedRevenue = round.total_tickets * round.ticket_price;
+      const share = await getMaxPayoutShare();
+
+      res.json({
+        success: true,
+        tiers,
+        is_default: tiers === DEFAULT_PRIZE_TIERS,
+        projected_revenue: projectedRevenue,
+        projected_payout: getTotalPayout(tiers, projectedRevenue),
+        max_payout: Math.floor(projectedRevenue * share),
+        max_payout_share: share,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Replace the prize structure of a round that has not been drawn yet
+app.post(
+  "/api/admin/rounds/:id/prize-tiers",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Replace the prize structure of a round",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: {
+        tiers: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            properties: {
+              rank: SCHEMA.positiveInt,
+              winner_count: SCHEMA.positiveInt,
+              amount: { type: ["number", "null"], minimum: 0 },
+              pool_percentage: {
+                type: ["number", "null"],
+                exclusiveMinimum: 0,
+                maximum: 100,
+              },
+              label: { type: ["string", "null"], maxLength: 100 },
+            },
+            required: ["rank", "winner_count"],
+          },
+        },
+      },
+      required: ["tiers"],
+    },
+  }),
+  async (req, res) => {
+    try {
+      const round = await getRoundById(req.params.id);
+
+      if (round.status !== "open" && round.status !== "closed") {
+        return res
+          .status(409)
+          .json({ error: "Prize tiers are locked once a round is drawn" });
+      }
+
+      const tiers = (req.body.tiers || []).map((t) => ({
+        rank: Number(t.rank),
+        winner_count: Number(t.winner_count),
+        amount: t.amount ?? null,
+        pool_percentage: t.pool_percentage ?? null,
+        label: t.label || null,
+      }));
+
+      const validationError = validatePrizeTiers(tiers);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      // Validated against a full sell-out here; the draw re-checks against
+      // actual sales
+      const payout = await assertPayoutWithinLimit(
+        tiers,
+        round.total_tickets * round.ticket_price
+      );
+
+      const previous = await getPrizeTiers(round.id);
+
+      const { error: deleteError } = await supabase
+        .from("prize_tiers")
+        .delete()
+        .eq("round_id", round.id);
+
+      if (deleteError) throw deleteError;
+
+      const { data: saved, error } = await supabase
+        .from("prize_tiers")
+        .insert(tiers.map((t) => ({ ...t, round_id: round.id })))
+        .select();
+
+      if (error) throw error;
+
+      await auditFromRequest(req, {
+        action: "prize_tiers.update",
+        entityType: "round",
+        entityId: round.id,
+        before: previous,
+        after: tiers,
+      });
+
+      res.json({
+        success: true,
+        tiers: saved.sort((a, b) => a.rank - b.rank),
+        projected_payout: payout.totalPayout,
+        max_payout: payout.limit,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Mark a drawn round as settled
+app.post(
+  "/api/admin/rounds/:id/settle",
+  requireAdmin("operator"),
+  validate({
+    summary: "Mark a drawn round as settled",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const before = await getRoundById(req.params.id);
+      const round = await transitionRound(before, "settled");
+      await auditFromRequest(req, {
+        action: "round.settle",
+        entityType: "round",
+        entityId: round.id,
+        before: { status: before.status },
+        after: { status: round.status },
+      });
+      res.json({ success: true, round: toPublicRound(round) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ REFUND ENDPOINTS ============
+
+// Refund one order. manual_ref records a refund made outside the gateway.
+app.post(
+  "/api/admin/payments/:orderId/refund",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Refund one order",
+    params: { properties: { orderId: SCHEMA.text(64) } },
+    body: {
+      properties: {
+        reason: SCHEMA.text(),
+        manual_ref: SCHEMA.text(100),
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { reason, manual_ref } = req.body;
+
+      const result = await refundOrder(req.params.orderId, {
+        reason,
+        manualRef: manual_ref,
+        actor: auditActor(req),
+      });
+
+      res.json({ success: result.refund_status === "refunded", ...result });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Cancel a round that has not been drawn and refund every paid order in it.
+// Unpaid orders are expired, and orders whose refund needs a person or is
+// already under way are listed with their refund_status.
+app.post(
+  "/api/admin/rounds/:id/refund-all",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Cancel a round and refund every order in it",
+    params: { properties: { id: SCHEMA.id } },
+    body: { properties: { reason: SCHEMA.text() } },
+  }),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      if (!reason) {
+        return res
+          .status(400)
+          .json({ error: "A reason is required to cancel a round" });
+      }
+
+      let round = await getRoundById(req.params.id);
+      if (round.status !== "cancelled") {
+        const before = round;
+        round = await transitionRound(round, "cancelled", {
+          cancel_reason: reason,
+        });
+        await auditFromRequest(req, {
+          action: "round.cancel",
+          entityType: "round",
+          entityId: round.id,
+          before: { status: before.status },
+          after: { status: "cancelled", reason },
+        });
+      }
+
+      const { data: payments, error } = await supabase
+        .from("payments")
+        .select("*")
+        .eq("round_id", round.id)
+        .in("status", ["created", "pending", "success"])
+        .or("refund_status.is.null,refund_status.neq.refunded");
+
+      if (error) throw error;
+
+      const results = [];
+      for (const p of payments) {
+        if (p.status !== "success") {
+          try {
+            const expired = await expirePayment(
+              p,
+              "round_cancelled",
+              auditActor(req)
+            );
+            results.push({
+              order_id: p.order_id,
+              refund_status: expired ? "expired" : "skipped",
+            });
+          } catch (err) {
+            results.push({
+              order_id: p.order_id,
+              refund_status: "error",
+              error: err.message,
+            });
+          }
+          continue;
+        }
+
+        // manual_required needs the transfer reference, pending is being
+        // refunded right now
+        if (p.refund_status && p.refund_status !== "failed") {
+          results.push({
+            order_id: p.order_id,
+            refund_status: p.refund_status,
+            amount: p.amount,
+          });
+          continue;
+        }
+
+        try {
+          results.push(
+            await refundOrder(p.order_id, {
+              reason,
+              allowWinners: true,
+              actor: auditActor(req),
+            })
+          );
+        } catch (err) {
+          results.push({
+            order_id: p.order_id,
+            refund_status: "error",
+            error: err.message,
+          });
+        }
+      }
+
+      const summary = results.reduce((acc, r) => {
+        acc[r.refund_status] = (acc[r.refund_status] || 0) + 1;
+        return acc;
+      }, {});
+
+      res.json({
+        success: true,
+        round: toPublicRound(round),
+        summary,
+        results,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ RECONCILIATION ENDPOINTS ============
+
+// Recent reconciliation reports
+app.get(
+  "/api/admin/reconciliation/runs",
+  requireAdmin(),
+  validate({
+    summary: "Recent reconciliation runs",
+    query: { properties: { limit: SCHEMA.paging.limit } },
+  }),
+  async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+      const { data: runs, error } = await supabase
+        .from("reconciliation_runs")
+        .select("*")
+        .order("started_at", { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+
+      res.json({ success: true, runs });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Single report with per-order outcomes
+app.get(
+  "/api/admin/reconciliation/runs/:id",
+  requireAdmin(),
+  validate({
+    summary: "One reconciliation run report",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const { data: run, error } = await supabase
+        .from("reconciliation_runs")
+        .select("*")
+        .eq("id", req.params.id)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!run) {
+        return res.status(404).json({ error: "Run not found" });
+      }
+
+      res.json({ success: true, run });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Run reconciliation now
+app.post(
+  "/api/admin/reconciliation/run",
+  requireAdmin("operator"),
+  validate({ summary: "Reconcile stuck payments now" }),
+  async (req, res) => {
+    try {
+      const run = await runReconciliation("manual");
+      res.json({ success: true, run });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ ADMIN LISTINGS ============
+// Users and tickets are listed a page at a time. The filters run inside
+// Postgres (admin_list_users / admin_list_tickets), which hand back the
+// total and the keys of one page, so no request ever carries a list whose
+// size depends on the data. Every related row for the page is then fetched
+// in one batched query per table.
+
+const LISTING_MAX_LIMIT = 200;
+
+function parsePaging(query) {
+  return {
+    limit: Math.min(Math.max(Number(query.limit) || 50, 1), LISTING_MAX_LIMIT),
+    offset: Math.max(Number(query.offset) || 0, 0),
+  };
+}
+
+// PostgREST treats these as syntax inside or()/ilike filters
+function sanitizeSearch(value) {
+  return String(value || "")
+    .replace(/[,()*%\\]/g, "")
+    .trim();
+}
+
+function uniq(values) {
+  return [...new Set(values.filter((v) => v !== null && v !== undefined))];
+}
+
+// Runs one of the admin_list_* functions; "winner" arrives as "true"/"false"
+async function listPage(fn, query, filters) {
+  const { limit, offset } = parsePaging(query);
+  const { winner, round_id, payment_status } = query;
+
+  const { data, error } = await supabase.rpc(fn, {
+    p_search: sanitizeSearch(query.search) || null,
+    p_round_id: round_id ? Number(round_id) : null,
+    p_winner: winner === "true" ? true : winner === "false" ? false : null,
+    p_payment_status: payment_status || null,
+    p_limit: limit,
+    p_offset: offset,
+    ...filters,
+  });
+
+  if (error) throw error;
+  return { keys: data.keys || [], total: data.total, limit, offset };
+}
+
+// Rows fetched by key, back in the order the keys came in
+function inKeyOrder(rows, keys, field) {
+  const byKey = new Map(rows.map((r) => [String(r[field]), r]));
+  return keys.map((k) => byKey.get(String(k))).filter(Boolean);
+}
+
+// Loads the tickets, winners, payments and rounds behind a page of rows
+async function loadTicketRelations(tickets) {
+  const codes = uniq(tickets.map((t) => t.ticket_code));
+  const orderIds = uniq(tickets.map((t) => t.order_id));
+  const roundIds = uniq(tickets.map((t) => t.round_id));
+
+  const [winners, payments, rounds] = await Promise.all([
+    codes.length
+      ? supabase
+          .from("winners")
+          .select("ticket_code, prize_amount, rank")
+          .in("ticket_code", codes)
+      : { data: [] },
+    orderIds.length
+      ? supabase
+          .from("payments")
+          .select("order_id, status, amount, quantity, created_at")
+          .in("order_id", orderIds)
+      : { data: [] },
+    roundIds.length
+      ? supabase
+          .from("lottery_rounds")
+          .select("id, round_number, status")
+          .in("id", roundIds)
+      : { data: [] },
+  ]);
+
+  for (const r of [winners, payments, rounds]) {
+    if (r.error) throw r.error;
+  }
+
+  const winnerByCode = new Map(winners.data.map((w) => [w.ticket_code, w]));
+  const paymentByOrder = new Map(payments.data.map((p) => [p.order_id, p]));
+  const roundById = new Map(rounds.data.map((r) => [r.id, r]));
+
+  return tickets.map((t) => {
+    const winner = winnerByCode.get(t.ticket_code);
+    const payment = paymentByOrder.get(t.order_id);
+    return {
+      ...t,
+      round_number: roundById.get(t.round_id)?.round_number ?? null,
+      is_winner: !!winner,
+      prize_amount: winner?.prize_amount || 0,
+      prize_rank: winner?.rank ?? null,
+      payment_status: payment?.status ?? null,
+    };
+  });
+}
+
+// Users, newest first. Filters: search (mobile, name or ticket code),
+// round_id, winner=true|false, payment_status
+app.get(
+  "/api/admin/users",
+  requireAdmin(),
+  validate({
+    summary: "Buyers with their tickets",
+    query: {
+      properties: {
+        ...SCHEMA.paging,
+        search: { type: "string", maxLength: 100 },
+        round_id: SCHEMA.id,
+        winner: { enum: ["true", "false"] },
+        payment_status: SCHEMA.text(20),
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { round_id } = req.query;
+      const { keys, total, limit, offset } = await listPage(
+        "admin_list_users",
+        req.query
+      );
+
+      let users = [];
+      if (keys.length) {
+        const { data, error } = await supabase
+          .from("users")
+          .select("*")
+          .in("id", keys);
+        if (error) throw error;
+        users = inKeyOrder(data, keys, "id");
+      }
+
+      let tickets = [];
+      if (users.length) {
+        let ticketQuery = supabase
+          .from("tickets")
+          .select(
+            "ticket_code, user_id, order_id, round_id, status, created_at"
+          )
+          .in(
+            "user_id",
+            users.map((u) => u.id)
+          )
+          .order("created_at", { ascending: false });
+        if (round_id) ticketQuery = ticketQuery.eq("round_id", round_id);
+
+        const { data, error: ticketError } = await ticketQuery;
+        if (ticketError) throw ticketError;
+        tickets = await loadTicketRelations(data);
+      }
+
+      const usersWithTickets = users.map((user) => {
+        const own = tickets.filter((t) => t.user_id === user.id);
+        return {
+          ...user,
+          ticket_count: own.length,
+          total_won: own.reduce((sum, t) => sum + Number(t.prize_amount), 0),
+          tickets: own,
+        };
+      });
+
+      res.json({
+        success: true,
+        users: usersWithTickets,
+        total,
+        limit,
+        offset,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Tickets, newest first. Filters: search (ticket code, buyer mobile or
+// name), round_id, winner=true|false, payment_status, status
+app.get(
+  "/api/admin/tickets",
+  requireAdmin(),
+  validate({
+    summary: "Issued tickets",
+    query: {
+      properties: {
+        ...SCHEMA.paging,
+        search: { type: "string", maxLength: 100 },
+        round_id: SCHEMA.id,
+        winner: { enum: ["true", "false"] },
+        payment_status: SCHEMA.text(20),
+        status: { enum: ["confirmed", "void"] },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { keys, total, limit, offset } = await listPage(
+        "admin_list_tickets",
+        req.query,
+        { p_status: req.query.status || null }
+      );
+
+      let tickets = [];
+      if (keys.length) {
+        const { data, error } = await supabase
+          .from("tickets")
+          .select(
+            "ticket_code, user_id, order_id, round_id, status, created_at"
+          )
+          .in("ticket_code", keys);
+        if (error) throw error;
+        tickets = inKeyOrder(data, keys, "ticket_code");
+      }
+
+      const userIds = uniq(tickets.map((t) => t.user_id));
+      const [withRelations, { data: users, error: userError }] =
+        await Promise.all([
+          loadTicketRelations(tickets),
+          userIds.length
+            ? supabase
+                .from("users")
+                .select("id, name, mobile")
+                .in("id", userIds)
+            : { data: [] },
+        ]);
+      if (userError) throw userError;
+
+      const userById = new Map(users.map((u) => [u.id, u]));
+
+      res.json({
+        success: true,
+        tickets: withRelations.map((t) => ({
+          ...t,
+          name: userById.get(t.user_id)?.name ?? null,
+          mobile: userById.get(t.user_id)?.mobile ?? null,
+        })),
+        total,
+        limit,
+        offset,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ EXPORTS ============
+// CSV / XLSX downloads for the accounts team. Rows are read in pages and
+// written to the response as they arrive, so a large round never sits in
+// memory as a whole. Buyer contact details are masked unless the caller is
+// a superadmin.
+
+const EXPORT_PAGE_SIZE = 1000;
+
+function maskMobile(mobile) {
+  const m = String(mobile || "");
+  if (m.length <= 4) return "*".repeat(m.length);
+  return m.slice(0, 2) + "*".repeat(m.length - 4) + m.slice(-2);
+}
+
+function maskName(name) {
+  const n = String(name || "").trim();
+  return n ? n[0] + "***" : "";
+}
+
+function contactFormatter(req) {
+  if (req.admin.role === "superadmin") {
+    return (user) => ({ name: user?.name ?? "", mobile: user?.mobile ?? "" });
+  }
+  return (user) => ({
+    name: maskName(user?.name),
+    mobile: maskMobile(user?.mobile),
+  });
+}
+
+// Text starting with = + - @ (or a tab/CR) would be run as a formula by
+// spreadsheet apps, so it gets a leading quote. Numbers are left alone.
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = String(value);
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Resolves once res can take more data, or the client has gone away
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+
+// Same interface for both formats: await addRow(object) then end(). addRow
+// waits while the client is slower than the database so a large export
+// never piles up in memory.
+function createExportWriter(res, format, filename, columns) {
+  if (format === "xlsx") {
+    res.setHeader(
+      "Content-Type",
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${filename}.xlsx"`
+    );
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet("Export");
+    sheet.columns = columns.map((c) => ({
+      header: c.header,
+      key: c.key,
+      width: c.width || 18,
+    }));
+
+    return {
+      addRow: async (row) => {
+        sheet.addRow(row).commit();
+        if (res.writableNeedDrain) await waitForDrain(res);
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.csv"`
+  );
+  res.write(columns.map((c) => csvCell(c.header)).join(",") + "\r\n");
+
+  return {
+    addRow: async (row) => {
+      const line = columns.map((c) => csvCell(row[c.key])).join(",") + "\r\n";
+      if (!res.write(line)) await waitForDrain(res);
+    },
+    end: async () => res.end(),
+  };
+}
+
+// Calls onPage with each page of rows; buildQuery must return a fresh,
+// ordered query every time it is called
+async function forEachPage(buildQuery, onPage) {
+  for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      offset,
+      offset + EXPORT_PAGE_SIZE - 1
+    );
+    if (error) throw error;
+    if (data.length) await onPage(data);
+    if (data.length < EXPORT_PAGE_SIZE) return;
+  }
+}
+
+async function getUsersById(userIds) {
+  if (!userIds.length) return new Map();
+
+  const { data, error } = await supabase
+    .from("users")
+    .select("id, name, mobile")
+    .in("id", userIds);
+  if (error) throw error;
+
+  return new Map(data.map((u) => [u.id, u]));
+}
+
+function getExportFormat(req) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (format !== "csv" && format !== "xlsx") {
+    throw httpError(400, "format must be csv or xlsx");
+  }
+  return format;
+}
+
+// Errors after the first byte can only cut the download short
+async function runExport(req, res, label, produce) {
+  try {
+    const format = getExportFormat(req);
+
+    // Recorded up front: once rows are streaming there's no failing the
+    // request any more
+    await auditFromRequest(req, {
+      action: "export.download",
+      entityType: "export",
+      entityId: label,
+      after: { format, query: req.query, role: req.admin.role },
+    });
+
+    await produce(format);
+  } catch (err) {
+    console.error("❌ Export error:", label, err.message);
+    if (!res.headersSent) {
+      return res.status(err.status || 500).json({ error: err.message });
+    }
+    res.destroy(err);
+  }
+}
+
+// Payments with their gateway and refund state. Filters: round_id, status,
+// from, to
+app.get(
+  "/api/admin/export/payments",
+  requireAdmin(),
+  validate({
+    summary: "Export payments",
+    query: {
+      properties: {
+        format: { enum: ["csv", "xlsx"] },
+        round_id: SCHEMA.id,
+        status: SCHEMA.text(20),
+        from: SCHEMA.timestamp,
+        to: SCHEMA.timestamp,
+      },
+    },
+  }),
+  (req, res) =>
+    runExport(req, res, "payments", async (format) => {
+      const { round_id, status } = req.query;
+      // A date-only `to` takes in the whole day
+      const { from, to } = parseAnalyticsRange(req.query);
+      const contact = contactFormatter(req);
+      const { data: allRounds, error } = await supabase
+        .from("lottery_rounds")
+        .select("id, round_number");
+      if (error) throw error;
+      const rounds = new Map(allRounds.map((r) => [r.id, r.round_number]));
+
+      const writer = createExportWriter(res, format, "payments", [
+        { header: "Order ID", key: "order_id", width: 28 },
+        { header: "Created At", key: "created_at", width: 24 },
+        { header: "Round", key: "round_number", width: 8 },
+        { header: "Name", key: "name" },
+        { header: "Mobile", key: "mobile", width: 14 },
+        { header: "Quantity", key: "quantity", width: 10 },
+        { header: "Unit Price", key: "unit_price", width: 10 },
+        { header: "Subtotal", key: "subtotal", width: 10 },
+        { header: "Bundle Discount", key: "bundle_discount", width: 14 },
+        { header: "Promo Code", key: "promo_code", width: 14 },
+        { header: "Promo Discount", key: "promo_discount", width: 14 },
+        { header: "Amount", key: "amount", width: 10 },
+        { header: "Gateway", key: "gateway", width: 12 },
+        { header: "Payment Status", key: "status", width: 14 },
+        { header: "Refund Status", key: "refund_status", width: 14 },
+        { header: "Refund Ref", key: "refund_ref", width: 24 },
+        { header: "Refunded Amount", key: "refunded_amount", width: 14 },
+      ]);
+
+      await forEachPage(
+        () => {
+          let query = supabase
+            .from("payments")
+            .select("*")
+            .order("created_at", { ascending: true })
+            .order("order_id", { ascending: true });
+          if (round_id) query = query.eq("round_id", round_id);
+          if (status) query = query.eq("status", status);
+          if (from) query = query.gte("created_at", from);
+          if (to) query = query.lte("created_at", to);
+          return query;
+        },
+        async (payments) => {
+          const users = await getUsersById(
+            uniq(payments.map((p) => p.user_id))
+          );
+          for (const p of payments) {
+            await writer.addRow({
+              ...p,
+              round_number: rounds.get(p.round_id) ?? "",
+              ...contact(users.get(p.user_id) || { mobile: p.mobile }),
+            });
+          }
+        }
+      );
+
+      await writer.end();
+    })
+);
+
+// Every ticket of one round with its buyer, order and result
+app.get(
+  "/api/admin/export/rounds/:id/tickets",
+  requireAdmin(),
+  validate({
+    summary: "Export the tickets of a round",
+    params: { properties: { id: SCHEMA.id } },
+    query: { properties: { format: { enum: ["csv", "xlsx"] } } },
+  }),
+  (req, res) =>
+    runExport(req, res, `round-${req.params.id}-tickets`, async (format) => {
+      const round = await getRoundById(req.params.id);
+      const contact = contactFormatter(req);
+
+      const writer = createExportWriter(
+        res,
+        format,
+        `round-${round.round_number}-tickets`,
+        [
+          { header: "Ticket Code", key: "ticket_code", width: 16 },
+          { header: "Status", key: "status", width: 10 },
+          { header: "Issued At", key: "created_at", width: 24 },
+          { header: "Order ID", key: "order_id", width: 28 },
+          { header: "Payment Status", key: "payment_status", width: 14 },
+          { header: "Name", key: "name" },
+          { header: "Mobile", key: "mobile", width: 14 },
+          { header: "Winner", key: "winner", width: 8 },
+          { header: "Prize Rank", key: "prize_rank", width: 10 },
+          { header: "Prize Amount", key: "prize_amount", width: 12 },
+        ]
+      );
+
+      await forEachPage(
+        () =>
+          supabase
+            .from("tickets")
+            .select(
+              "ticket_code, user_id, order_id, round_id, status, created_at"
+            )
+            .eq("round_id", round.id)
+            .order("created_at", { ascending: true })
+            .order("ticket_code", { ascending: true }),
+        async (tickets) => {
+          const [rows, users] = await Promise.all([
+            loadTicketRelations(tickets),
+            getUsersById(uniq(tickets.map((t) => t.user_id))),
+          ]);
+          for (const t of rows) {
+            await writer.addRow({
+              ...t,
+              winner: t.is_winner ? "yes" : "no",
+              ...contact(users.get(t.user_id)),
+            });
+          }
+        }
+      );
+
+      await writer.end();
+    })
+);
+
+// Winners with the claim state of each prize. Filter: round_id
+app.get(
+  "/api/admin/export/winners",
+  requireAdmin(),
+  validate({
+    summary: "Export winners",
+    query: {
+      properties: {
+        format: { enum: ["csv", "xlsx"] },
+        round_id: SCHEMA.id,
+      },
+    },
+  }),
+  (req, res) =>
+    runExport(req, res, "winners", async (format) => {
+      const { round_id } = req.query;
+      const contact = contactFormatter(req);
+
+      const writer = createExportWriter(res, format, "winners", [
+        { header: "Round", key: "round_number", width: 8 },
+        { header: "Rank", key: "rank", width: 8 },
+        { header: "Tier", key: "prize_tier", width: 12 },
+        { header: "Ticket Code", key: "ticket_code", width: 16 },
+        { header: "Prize Amount", key: "prize_amount", width: 12 },
+        { header: "Name", key: "name" },
+        { header: "Mobile", key: "mobile", width: 14 },
+        { header: "Order ID", key: "order_id", width: 28 },
+        { header: "Claim Status", key: "claim_status", width: 14 },
+      ]);
+
+      await forEachPage(
+        () => {
+          let query = supabase
+            .from("winners")
+            .select("*")
+            .order("round_id", { ascending: true })
+            .order("rank", { ascending: true })
+            .order("ticket_code", { ascending: true });
+          if (round_id) query = query.eq("round_id", round_id);
+          return query;
+        },
+        async (winners) => {
+          const codes = winners.map((w) => w.ticket_code);
+          const roundIds = uniq(winners.map((w) => w.round_id));
+
+          const [tickets, claims, rounds] = await Promise.all([
+            supabase
+              .from("tickets")
+              .select("ticket_code, user_id, order_id")
+              .in("ticket_code", codes),
+            supabase
+              .from("prize_claims")
+              .select("ticket_code, status")
+              .in("ticket_code", codes)
+              .order("created_at", { ascending: true }),
+            roundIds.length
+              ? supabase
+                  .from("lottery_rounds")
+                  .select("id, round_number")
+                  .in("id", roundIds)
+              : { data: [] },
+          ]);
+          for (const r of [tickets, claims, rounds]) {
+            if (r.error) throw r.error;
+          }
+
+          const ticketByCode = new Map(
+            tickets.data.map((t) => [t.ticket_code, t])
+          );
+          // Oldest first, so a resubmission overwrites the rejection before it
+          const claimByCode = new Map(
+            claims.data.map((c) => [c.ticket_code, c.status])
+          );
+          const roundNumbers = new Map(
+            rounds.data.map((r) => [r.id, r.round_number])
+          );
+          const users = await getUsersById(
+            uniq(tickets.data.map((t) => t.user_id))
+          );
+
+          for (const w of winners) {
+            const ticket = ticketByCode.get(w.ticket_code);
+            await writer.addRow({
+              ...w,
+              round_number: roundNumbers.get(w.round_id) ?? "",
+              order_id: ticket?.order_id ?? "",
+              claim_status: claimByCode.get(w.ticket_code) ?? "unclaimed",
+              ...contact(users.get(ticket?.user_id)),
+            });
+          }
+        }
+      );
+
+      await writer.end();
+    })
+);
+
+// ============ ANALYTICS ============
+// Sales figures aggregated in Postgres by sales_analytics(). Every endpoint
+// takes the same filters: from / to (ISO timestamps, or plain dates in the
+// operator's timezone, matched against payment creation time) and round_id.
+// A plain `to` date covers the whole of that day. Days and hours are
+// bucketed in the operator's timezone, IST unless ANALYTICS_TZ_OFFSET_MINUTES
+// says otherwise.
+
+const ANALYTICS_TZ_OFFSET_MINUTES = Number(
+  process.env.ANALYTICS_TZ_OFFSET_MINUTES ?? 330
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight at the start of a YYYY-MM-DD day in the reporting timezone
+function localMidnight(day) {
+  const [year, month, date] = day.split("-").map(Number);
+  const utc = Date.UTC(year, month - 1, date);
+  // Date.UTC rolls 2026-02-31 over into March, which is not what was asked
+  if (new Date(utc).toISOString().slice(0, 10) !== day) return new Date(NaN);
+  return new Date(utc - ANALYTICS_TZ_OFFSET_MINUTES * 60 * 1000);
+}
+
+function parseAnalyticsRange(query) {
+  const range = {};
+  for (const key of ["from", "to"]) {
+    const value = query[key];
+    if (!value) continue;
+
+    let date;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date = localMidnight(value);
+      // The last millisecond of the day, so `to` includes it
+      if (key === "to") date = new Date(date.getTime() + DAY_MS - 1);
+    } else {
+      date = new Date(value);
+    }
+
+    if (isNaN(date.getTime())) {
+      throw httpError(400, `${key} must be a date`);
+    }
+    range[key] = date.toISOString();
+  }
+  if (range.from && range.to && range.from > range.to) {
+    throw httpError(400, "from must be before to");
+  }
+  return { ...range, round_id: query.round_id || null };
+}
+
+function ratio(part, whole, digits = 4) {
+  return whole ? Number((part / whole).toFixed(digits)) : 0;
+}
+
+// Sales totals per bucket: "none" gives a single row, "round", "day" and
+// "hour" group by round id, local date and local hour of day
+async function loadSalesData({ from, to, round_id }, group = "none") {
+  const { data, error } = await supabase.rpc("sales_analytics", {
+    p_from: from || null,
+    p_to: to || null,
+    p_round_id: round_id || null,
+    p_group: group,
+    p_tz_offset_minutes: ANALYTICS_TZ_OFFSET_MINUTES,
+  });
+  if (error) throw error;
+  return new Map((data || []).map((row) => [row.key, row]));
+}
+
+// Adds the derived rates to one bucket of totals. Refunded orders were paid
+// once, so they count towards conversion but not towards revenue.
+function summarizeSales(totals = {}) {
+  const revenue = Number(totals.revenue || 0);
+  const prizes = Number(totals.prizes || 0);
+  const ticketsSold = Number(totals.tickets_sold || 0);
+  const ordersCreated = Number(totals.orders_created || 0);
+  const ordersPaid = Number(totals.orders_paid || 0);
+  const ordersSuccessful = Number(totals.orders_successful || 0);
+  const buyers = Number(totals.buyers || 0);
+  const repeatBuyers = Number(totals.repeat_buyers || 0);
+
+  return {
+    revenue,
+    discounts: Number(totals.discounts || 0),
+    refunded: Number(totals.refunded || 0),
+    orders_created: ordersCreated,
+    orders_paid: ordersPaid,
+    orders_successful: ordersSuccessful,
+    conversion_rate: ratio(ordersPaid, ordersCreated),
+    tickets_sold: ticketsSold,
+    avg_tickets_per_order: ratio(ticketsSold, ordersSuccessful, 2),
+    avg_order_value: ratio(revenue, ordersSuccessful, 2),
+    buyers,
+    repeat_buyers: repeatBuyers,
+    repeat_buyer_rate: ratio(repeatBuyers, buyers),
+    prizes,
+    gross_margin: revenue - prizes,
+    gross_margin_rate: ratio(revenue - prizes, revenue),
+  };
+}
+
+const ANALYTICS_QUERY = {
+  properties: {
+    from: SCHEMA.timestamp,
+    to: SCHEMA.timestamp,
+    round_id: SCHEMA.id,
+  },
+};
+
+function analyticsRoute(path, summary, group, build) {
+  app.get(
+    path,
+    requireAdmin(),
+    validate({ summary, query: ANALYTICS_QUERY }),
+    async (req, res) => {
+      try {
+        const range = parseAnalyticsRange(req.query);
+        const buckets = await loadSalesData(range, group);
+        res.json({
+          success: true,
+          range,
+          ...(await build(buckets, range)),
+        });
+      } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+      }
+    }
+  );
+}
+
+analyticsRoute(
+  "/api/admin/analytics/summary",
+  "Sales summary",
+  "none",
+  (buckets) => ({
+    summary: summarizeSales(buckets.get("all")),
+  })
+);
+
+analyticsRoute(
+  "/api/admin/analytics/rounds",
+  "Sales per round",
+  "round",
+  async (buckets) => {
+    const roundIds = [...buckets.keys()].map(Number);
+    if (!roundIds.length) return { rounds: [] };
+
+    const { data: rounds, error } = await supabase
+      .from("lottery_rounds")
+      .select("id, round_number, status, ticket_price, total_tickets")
+      .in("id", roundIds);
+    if (error) throw error;
+
+    return {
+      rounds: rounds
+        .sort((a, b) => a.round_number - b.round_number)
+        .map((r) => {
+          const s = summarizeSales(buckets.get(String(r.id)));
+          return {
+            round_id: r.id,
+            round_number: r.round_number,
+            status: r.status,
+            ...s,
+            sell_through: ratio(s.tickets_sold, r.total_tickets),
+          };
+        }),
+    };
+  }
+);
+
+analyticsRoute(
+  "/api/admin/analytics/daily",
+  "Sales per day",
+  "day",
+  (buckets) => ({
+    days: [...buckets.keys()].sort().map((day) => {
+      const s = summarizeSales(buckets.get(day));
+      return {
+        date: day,
+        revenue: s.revenue,
+        orders_created: s.orders_created,
+        orders_successful: s.orders_successful,
+        tickets_sold: s.tickets_sold,
+        conversion_rate: s.conversion_rate,
+      };
+    }),
+  })
+);
+
+// Sales by hour of day, summed over the whole range
+analyticsRoute(
+  "/api/admin/analytics/hourly",
+  "Sales by hour of day",
+  "hour",
+  (buckets) => ({
+    hours: Array.from({ length: 24 }, (_, hour) => {
+      const s = summarizeSales(buckets.get(String(hour)));
+      return {
+        hour,
+        revenue: s.revenue,
+        orders_successful: s.orders_successful,
+        tickets_sold: s.tickets_sold,
+      };
+    }),
+  })
+);
+
+// ============ CLAIM ENDPOINTS ============
+
+// Payout queue, oldest first
+app.get(
+  "/api/admin/claims",
+  requireAdmin(),
+  validate({
+    summary: "Prize claims queue",
+    query: {
+      properties: {
+        status: { enum: [...Object.keys(CLAIM_TRANSITIONS), "all"] },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const status = req.query.status || "submitted";
+
+      let query = supabase
+        .from("prize_claims")
+        .select("*")
+        .order("created_at", { ascending: true });
+
+      if (status !== "all") query = query.eq("status", status);
+
+      const { data: claims, error } = await query;
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        claims,
+        count: claims.length,
+        total_amount: claims.reduce(
+          (sum, c) => sum + Number(c.prize_amount),
+          0
+        ),
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Claim with its audit trail
+app.get(
+  "/api/admin/claims/:id",
+  requireAdmin(),
+  validate({
+    summary: "One claim with its history",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const claim = await getClaimById(req.params.id);
+
+      const { data: events, error } = await supabase
+        .from("prize_claim_events")
+        .select("*")
+        .eq("claim_id", claim.id)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+
+      res.json({ success: true, claim, events });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/claims/:id/approve",
+  requireAdmin("operator"),
+  validate({
+    summary: "Approve a claim for payout",
+    params: { properties: { id: SCHEMA.id } },
+    body: { properties: { note: SCHEMA.text() } },
+  }),
+  async (req, res) => {
+    try {
+      const actor = { type: "admin", id: req.admin.id };
+      let claim = await transitionClaim(
+        await getClaimById(req.params.id),
+        "approved",
+        actor,
+        { reviewed_by: req.admin.id, reviewed_at: new Date().toISOString() },
+        req.body.note
+      );
+      if (claim.payout_method === "wallet") {
+        claim = await payClaimToWallet(claim, actor);
+      }
+      res.json({ success: true, claim });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/claims/:id/reject",
+  requireAdmin("operator"),
+  validate({
+    summary: "Reject a claim",
+    params: { properties: { id: SCHEMA.id } },
+    body: { properties: { reason: SCHEMA.text() }, required: ["reason"] },
+    messages: { reason: "A rejection reason is required" },
+  }),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      const claim = await transitionClaim(
+        await getClaimById(req.params.id),
+        "rejected",
+        { type: "admin", id: req.admin.id },
+        {
+          rejection_reason: reason,
+          reviewed_by: req.admin.id,
+          reviewed_at: new Date().toISOString(),
+        },
+        reason
+      );
+      res.json({ success: true, claim });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/claims/:id/mark-paid",
+  requireAdmin("operator"),
+  validate({
+    summary: "Record that a claim was paid out",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: { transaction_ref: SCHEMA.text(100) },
+      required: ["transaction_ref"],
+    },
+    messages: {
+      transaction_ref: "transaction_ref is required to mark a claim paid",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { transaction_ref } = req.body;
+      const existing = await getClaimById(req.params.id);
+
+      if (existing.payout_method === "wallet") {
+        return res.status(400).json({
+          error: "Wallet claims are paid with credit-wallet, not mark-paid",
+        });
+      }
+
+      const claim = await transitionClaim(
+        existing,
+        "paid",
+        { type: "admin", id: req.admin.id },
+        { transaction_ref, paid_at: new Date().toISOString() },
+        `Paid, ref ${transaction_ref}`
+      );
+      res.json({ success: true, claim });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Credits an approved wallet claim whose credit didn't go through on
+// approval
+app.post(
+  "/api/admin/claims/:id/credit-wallet",
+  requireAdmin("operator"),
+  validate({
+    summary: "Credit an approved wallet claim",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const existing = await getClaimById(req.params.id);
+
+      if (existing.payout_method !== "wallet") {
+        return res
+          .status(400)
+          .json({ error: "Only wallet claims can be credited to the wallet" });
+      }
+
+      const claim = await payClaimToWallet(existing, {
+        type: "admin",
+        id: req.admin.id,
+      });
+      res.json({ success: true, claim });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ NOTIFICATION ENDPOINTS ============
+
+app.get(
+  "/api/admin/notifications",
+  requireAdmin(),
+  validate({
+    summary: "Notification queue",
+    query: {
+      properties: {
+        ...SCHEMA.paging,
+        status: { enum: ["queued", "sending", "sent", "dead"] },
+        template: { enum: Object.keys(notificationTemplates) },
+        channel: { enum: Object.keys(notificationChannels) },
+        recipient: SCHEMA.text(320),
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { limit, offset } = parsePaging(req.query);
+      const { status, template, channel, recipient } = req.query;
+
+      let query = supabase
+        .from("notification_queue")
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) query = query.eq("status", status);
+      if (template) query = query.eq("template", template);
+      if (channel) query = query.eq("channel", channel);
+      if (recipient) query = query.eq("recipient", recipient);
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+
+      res.json({ success: true, total: count, notifications: data });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// One notification with every delivery attempt
+app.get(
+  "/api/admin/notifications/:id",
+  requireAdmin(),
+  validate({
+    summary: "One notification with its delivery log",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const { data: notification, error } = await supabase
+        .from("notification_queue")
+        .select("*")
+        .eq("id", req.params.id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!notification) {
+        return res.status(404).json({ error: "Notification not found" });
+      }
+
+      const { data: deliveries, error: logError } = await supabase
+        .from("notification_deliveries")
+        .select("*")
+        .eq("notification_id", notification.id)
+        .order("created_at", { ascending: true });
+
+      if (logError) throw logError;
+
+      res.json({ success: true, notification, deliveries });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Give a notification that ran out of attempts another round of retries
+app.post(
+  "/api/admin/notifications/:id/retry",
+  requireAdmin("operator"),
+  validate({
+    summary: "Retry a failed notification",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const { data: requeued, error } = await supabase
+        .from("notification_queue")
+        .update({
+          status: "queued",
+          attempts: 0,
+          next_attempt_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        })
+        .eq("id", req.params.id)
+        .eq("status", "dead")
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!requeued) {
+        return res
+          .status(409)
+          .json({ error: "Only notifications that gave up can be retried" });
+      }
+
+      await auditFromRequest(req, {
+        action: "notification.retry",
+        entityType: "notification",
+        entityId: requeued.id,
+        before: { status: "dead" },
+        after: { status: "queued" },
+      });
+
+      await kickNotificationWorker();
+
+      res.json({ success: true, notification: requeued });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ PROMO CODE ENDPOINTS ============
+
+const PROMO_FIELDS = {
+  description: { type: ["string", "null"], maxLength: 500 },
+  discount_type: { enum: ["percent", "flat"] },
+  discount_value: { type: "number", exclusiveMinimum: 0 },
+  max_discount: { type: ["number", "null"], exclusiveMinimum: 0 },
+  min_quantity: { type: ["integer", "null"], minimum: 1 },
+  max_uses: { type: ["integer", "null"], minimum: 1 },
+  per_mobile_limit: { type: ["integer", "null"], minimum: 1 },
+  starts_at: { type: ["string", "null"], format: "timestamp" },
+  expires_at: { type: ["string", "null"], format: "timestamp" },
+  is_active: { type: "boolean" },
+};
+
+const PROMO_MESSAGES = {
+  code: "Code must be 3-32 letters, digits, - or _",
+  discount_type: "discount_type must be percent or flat",
+  discount_value: "discount_value must be above 0",
+  starts_at: "starts_at must be a date",
+  expires_at: "expires_at must be a date",
+};
+
+function assertPromoValid(promo) {
+  if (promo.discount_type === "percent" && promo.discount_value > 100) {
+    throw httpError(400, "A percent discount cannot exceed 100");
+  }
+  if (
+    promo.starts_at &&
+    promo.expires_at &&
+    new Date(promo.starts_at) >= new Date(promo.expires_at)
+  ) {
+    throw httpError(400, "starts_at must be before expires_at");
+  }
+}
+
+function pickPromoFields(body) {
+  const fields = {};
+  for (const field of Object.keys(PROMO_FIELDS)) {
+    if (body[field] === undefined) continue;
+    fields[field] =
+      (field === "starts_at" || field === "expires_at") && body[field]
+        ? new Date(body[field]).toISOString()
+        : body[field];
+  }
+  return fields;
+}
+
+// Held, redeemed and released uses with the discount given, per promo
+async function getPromoStats(promoIds) {
+  const stats = new Map(
+    promoIds.map((id) => [
+      id,
+      { reserved: 0, redeemed: 0, released: 0, discount_given: 0 },
+    ])
+  );
+  if (promoIds.length === 0) return stats;
+
+  await forEachPage(
+    () =>
+      supabase
+        .from("promo_redemptions")
+        .select("id, promo_id, status, discount")
+        .in("promo_id", promoIds)
+        .order("id", { ascending: true }),
+    async (rows) => {
+      for (const r of rows) {
+        const s = stats.get(r.promo_id);
+        s[r.status] += 1;
+        if (r.status === "redeemed") {
+          s.discount_given = roundMoney(s.discount_given + Number(r.discount));
+        }
+      }
+    }
+  );
+
+  return stats;
+}
+
+app.get(
+  "/api/admin/promo-codes",
+  requireAdmin(),
+  validate({
+    summary: "List promo codes",
+    query: {
+      properties: {
+        ...SCHEMA.paging,
+        search: SCHEMA.text(100),
+        is_active: { enum: ["true", "false"] },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { limit, offset } = parsePaging(req.query);
+      const search = sanitizeSearch(req.query.search);
+
+      let query = supabase
+        .from("promo_codes")
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (search) {
+        query = query.or(
+          `code.ilike.*${search}*,description.ilike.*${search}*`
+        );
+      }
+      if (req.query.is_active) {
+        query = query.eq("is_active", req.query.is_active === "true");
+      }
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+
+      const stats = await getPromoStats(data.map((p) => p.id));
+
+      res.json({
+        success: true,
+        total: count,
+        promo_codes: data.map((p) => ({ ...p, usage: stats.get(p.id) })),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// One promo code with its latest redemptions
+app.get(
+  "/api/admin/promo-codes/:id",
+  requireAdmin(),
+  validate({
+    summary: "One promo code with its redemptions",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const { data: promo, error } = await supabase
+        .from("promo_codes")
+        .select("*")
+        .eq("id", req.params.id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!promo)
+        return res.status(404).json({ error: "Promo code not found" });
+
+      const { data: redemptions, error: listError } = await supabase
+        .from("promo_redemptions")
+        .select("*")
+        .eq("promo_id", promo.id)
+        .order("created_at", { ascending: false })
+        .limit(100);
+
+      if (listError) throw listError;
+
+      const stats = await getPromoStats([promo.id]);
+
+      res.json({
+        success: true,
+        promo_code: { ...promo, usage: stats.get(promo.id) },
+        redemptions,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/promo-codes",
+  requireAdmin("operator"),
+  validate({
+    summary: "Create a promo code",
+    body: {
+      properties: {
+        code: { type: "string", pattern: "^[A-Za-z0-9_-]{3,32}$" },
+        ...PROMO_FIELDS,
+      },
+      required: ["code", "discount_type", "discount_value"],
+    },
+    messages: PROMO_MESSAGES,
+  }),
+  async (req, res) => {
+    try {
+      const promo = {
+        code: normalizePromoCode(req.body.code),
+        is_active: true,
+        ...pickPromoFields(req.body),
+      };
+      assertPromoValid(promo);
+
+      const { data: created, error } = await supabase
+        .from("promo_codes")
+        .insert(promo)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === "23505") {
+          return res.status(409).json({ error: "Promo code already exists" });
+        }
+        throw error;
+      }
+
+      await auditFromRequest(req, {
+        action: "promo.create",
+        entityType: "promo_code",
+        entityId: created.id,
+        after: created,
+      });
+
+      res.json({ success: true, promo_code: created });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Change a promo's terms or switch it off. null clears an optional limit.
+// Orders already placed keep the discount they were given.
+app.post(
+  "/api/admin/promo-codes/:id",
+  requireAdmin("operator"),
+  validate({
+    summary: "Update a promo code",
+    params: { properties: { id: SCHEMA.id } },
+    body: { properties: PROMO_FIELDS },
+    messages: PROMO_MESSAGES,
+  }),
+  async (req, res) => {
+    try {
+      const { data: previous, error: readError } = await supabase
+        .from("promo_codes")
+        .select("*")
+        .eq("id", req.params.id)
+        .maybeSingle();
+
+      if (readError) throw readError;
+      if (!previous) {
+        return res.status(404).json({ error: "Promo code not found" });
+      }
+
+      const updates = pickPromoFields(req.body);
+      assertPromoValid({ ...previous, ...updates });
+
+      const { data: promo, error } = await supabase
+        .from("promo_codes")
+        .update(updates)
+        .eq("id", previous.id)
+        .select()
+        .single();
 
-    if (ticketError) {
-      console.error("❌ Ticket insertion error:", ticketError);
-      return res.status(500).json({
-        error: "Failed to generate tickets",
-        details: ticketError.message,
+      if (error) throw error;
+
+      await auditFromRequest(req, {
+        action: "promo.update",
+        entityType: "promo_code",
+        entityId: promo.id,
+        before: previous,
+        after: promo,
       });
+
+      res.json({ success: true, promo_code: promo });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    console.log("✅ Tickets inserted successfully:", insertedTickets.length);
+// ============ AGENT ENDPOINTS ============
 
-    // Update payment status
-    const { error: updateError } = await supabase
-      .from("payments")
-      .update({ status: "success" })
-      .eq("order_id", order_id);
+function toAgentProfile(agent) {
+  const base = process.env.FRONTEND_SUCCESS_URL;
+  return {
+    id: agent.id,
+    name: agent.name,
+    mobile: agent.mobile,
+    referral_code: agent.referral_code,
+    referral_link: base ? `${base}/?ref=${agent.referral_code}` : null,
+    commission_rate: getAgentRate(agent),
+    is_active: agent.is_active,
+    created_at: agent.created_at,
+  };
+}
 
-    if (updateError) {
-      console.error("⚠️ Payment status update failed:", updateError);
-    }
+// The logged-in player's own agent dashboard
+app.get(
+  "/api/agent/dashboard",
+  requirePlayer(),
+  validate({ summary: "My agent sales and commission" }),
+  async (req, res) => {
+    try {
+      const agent = await getAgentBy("mobile", req.user.mobile);
+      if (!agent) {
+        return res
+          .status(404)
+          .json({ error: "No agent account for this mobile" });
+      }
 
-    res.json({ success: true, tickets: codes });
-  } catch (err) {
-    console.error("❌ Verify payment error:", err);
-    res
-      .status(500)
-      .json({ error: err.message || "Payment verification failed" });
-  }
-});
+      const commissions = await getAgentCommissions(agent.id);
 
-// Check result
-app.get("/api/result/:ticketCode", async (req, res) => {
-  try {
-    const code = req.params.ticketCode.toUpperCase();
+      const byRound = new Map();
+      for (const row of commissions) {
+        if (!byRound.has(row.round_id)) byRound.set(row.round_id, []);
+        byRound.get(row.round_id).push(row);
+      }
 
-    const { data, error } = await supabase
-      .from("winners")
-      .select("*")
-      .eq("ticket_code", code)
-      .maybeSingle();
+      const recent = commissions.slice(-20).reverse();
+      const buyers = await getUsersById(uniq(recent.map((r) => r.user_id)));
 
-    if (error) {
-      console.error("Result check error:", error);
-      return res.status(500).json({ error: "Failed to check result" });
-    }
+      const { data: settlements, error } = await supabase
+        .from("agent_settlements")
+        .select("*")
+        .eq("agent_id", agent.id)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
 
-    if (!data) {
-      return res.json({ won: false });
+      res.json({
+        success: true,
+        agent: toAgentProfile(agent),
+        totals: summarizeCommissions(commissions),
+        rounds: [...byRound].map(([round_id, rows]) => ({
+          round_id,
+          ...summarizeCommissions(rows),
+        })),
+        recent_orders: recent.map((r) => {
+          const buyer = buyers.get(r.user_id);
+          return {
+            order_id: r.order_id,
+            round_id: r.round_id,
+            buyer: maskName(buyer?.name),
+            mobile: maskMobile(buyer?.mobile),
+            sale_amount: r.sale_amount,
+            commission: r.commission,
+            status: r.status,
+            created_at: r.created_at,
+          };
+        }),
+        settlements,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    res.json({ won: true, prize: data.prize_amount });
-  } catch (err) {
-    res.status(500).json({ error: "Result check failed" });
+app.get(
+  "/api/admin/agents",
+  requireAdmin(),
+  validate({
+    summary: "List agents",
+    query: {
+      properties: {
+        ...SCHEMA.paging,
+        search: SCHEMA.text(100),
+        is_active: { enum: ["true", "false"] },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { limit, offset } = parsePaging(req.query);
+      const search = sanitizeSearch(req.query.search);
+
+      let query = supabase
+        .from("agents")
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (search) {
+        query = query.or(
+          `name.ilike.*${search}*,mobile.ilike.*${search}*,referral_code.ilike.*${search}*`
+        );
+      }
+      if (req.query.is_active) {
+        query = query.eq("is_active", req.query.is_active === "true");
+      }
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        total: count,
+        agents: data.map(toAgentProfile),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Get recent winners
-app.get("/api/recent-winners", async (req, res) => {
-  try {
-    const { data: winners } = await supabase
-      .from("winners")
-      .select("ticket_code, prize_amount")
-      .order("prize_amount", { ascending: false })
-      .limit(10);
+const AGENT_RATE = { type: ["number", "null"], minimum: 0, maximum: 1 };
+
+app.post(
+  "/api/admin/agents",
+  requireAdmin("operator"),
+  validate({
+    summary: "Create an agent",
+    body: {
+      properties: {
+        name: SCHEMA.text(100),
+        mobile: SCHEMA.mobile,
+        referral_code: {
+          type: "string",
+          pattern: "^[A-Za-z0-9]{4,16}$",
+        },
+        commission_rate: AGENT_RATE,
+      },
+      required: ["name", "mobile"],
+    },
+    messages: {
+      name: "Name is required",
+      mobile: "Mobile number must be 10 digits",
+      referral_code: "Referral code must be 4-16 letters or digits",
+      commission_rate: "Commission rate must be between 0 and 1",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { name, mobile, referral_code, commission_rate } = req.body;
+
+      let agent;
+      for (let attempt = 0; attempt < 5 && !agent; attempt++) {
+        const { data, error } = await supabase
+          .from("agents")
+          .insert({
+            name: name.trim(),
+            mobile,
+            referral_code: referral_code
+              ? normalizeReferralCode(referral_code)
+              : generateReferralCode(),
+            commission_rate: commission_rate ?? null,
+            is_active: true,
+          })
+          .select()
+          .single();
+
+        if (!error) {
+          agent = data;
+        } else if (error.code !== "23505") {
+          throw error;
+        } else if (referral_code || /mobile/.test(error.message)) {
+          return res
+            .status(409)
+            .json({ error: "Mobile or referral code is already in use" });
+        }
+      }
+
+      if (!agent) throw new Error("Could not generate a unique referral code");
+
+      await auditFromRequest(req, {
+        action: "agent.create",
+        entityType: "agent",
+        entityId: agent.id,
+        after: toAgentProfile(agent),
+      });
 
-    if (!winners || winners.length === 0) {
-      return res.json({ success: true, winners: [] });
+      res.json({ success: true, agent: toAgentProfile(agent) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    const ticketCodes = winners.map((w) => w.ticket_code);
-    const { data: tickets } = await supabase
-      .from("tickets")
-      .select("ticket_code, user_id")
-      .in("ticket_code", ticketCodes);
+// Change an agent's name, rate or status. A null rate falls back to
+// AGENT_COMMISSION_RATE; orders already paid keep the rate they earned at.
+app.post(
+  "/api/admin/agents/:id",
+  requireAdmin("operator"),
+  validate({
+    summary: "Update an agent",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: {
+        name: SCHEMA.text(100),
+        commission_rate: AGENT_RATE,
+        is_active: { type: "boolean" },
+      },
+    },
+    messages: {
+      commission_rate: "Commission rate must be between 0 and 1",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const previous = await getAgentById(req.params.id);
+      const { name, commission_rate, is_active } = req.body;
+      const updates = {};
 
-    const userIds = [...new Set(tickets.map((t) => t.user_id))];
-    const { data: users } = await supabase
-      .from("users")
-      .select("id, name, mobile")
-      .in("id", userIds);
+      if (name !== undefined) updates.name = name.trim();
+      if (commission_rate !== undefined) {
+        updates.commission_rate = commission_rate;
+      }
+      if (is_active !== undefined) updates.is_active = is_active;
+
+      const { data: agent, error } = await supabase
+        .from("agents")
+        .update(updates)
+        .eq("id", previous.id)
+        .select()
+        .single();
 
-    const winnersWithDetails = winners.map((winner) => {
-      const ticket = tickets.find((t) => t.ticket_code === winner.ticket_code);
-      const user = ticket ? users.find((u) => u.id === ticket.user_id) : null;
+      if (error) throw error;
 
-      return {
-        ticket_code: winner.ticket_code,
-        prize_amount: winner.prize_amount,
-        name: user?.name || "Anonymous",
-        mobile: user?.mobile
-          ? `${user.mobile.substring(0, 3)}xxxxx${user.mobile.substring(8)}`
-          : "Hidden",
-      };
-    });
+      await auditFromRequest(req, {
+        action: "agent.update",
+        entityType: "agent",
+        entityId: agent.id,
+        before: toAgentProfile(previous),
+        after: toAgentProfile(agent),
+      });
 
-    res.json({ success: true, winners: winnersWithDetails });
-  } catch (err) {
-    console.error("Recent winners error:", err);
-    res.json({ success: true, winners: [] });
+      res.json({ success: true, agent: toAgentProfile(agent) });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
-// ============ ADMIN ENDPOINTS ============
+// Commission per agent over a period, with what each is owed right now
+app.get(
+  "/api/admin/agents/settlement-report",
+  requireAdmin(),
+  validate({ summary: "Agent commission report", query: ANALYTICS_QUERY }),
+  async (req, res) => {
+    try {
+      const range = parseAnalyticsRange(req.query);
+      const commissions = await getAgentCommissions(null, range);
 
-// Admin login
-app.post("/api/admin/login", (req, res) => {
-  if (req.body.password === process.env.ADMIN_PASSWORD) {
-    return res.json({ success: true });
+      const byAgent = new Map();
+      for (const row of commissions) {
+        if (!byAgent.has(row.agent_id)) byAgent.set(row.agent_id, []);
+        byAgent.get(row.agent_id).push(row);
+      }
+
+      const { data: agents, error } = byAgent.size
+        ? await supabase
+            .from("agents")
+            .select("*")
+            .in("id", [...byAgent.keys()])
+        : { data: [] };
+
+      if (error) throw error;
+
+      res.json({
+        success: true,
+        range,
+        totals: summarizeCommissions(commissions),
+        agents: agents.map((agent) => ({
+          ...toAgentProfile(agent),
+          ...summarizeCommissions(byAgent.get(agent.id)),
+        })),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-  res.status(401).json({ error: "Invalid password" });
-});
+);
 
-// Admin stats
-app.get("/api/admin/stats", async (req, res) => {
-  try {
-    const sold = await getSoldTicketsCount();
-    const total = await getTotalTickets();
-    res.json({ total, sold, remaining: total - sold });
-  } catch (err) {
-    res.status(500).json({ error: "Failed to get stats" });
+// Pay out everything an agent has earned, net of clawbacks from refunded
+// orders that were already settled
+app.post(
+  "/api/admin/agents/:id/settle",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Settle an agent's earned commission",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: {
+        reference: SCHEMA.text(100),
+        note: SCHEMA.text(500),
+      },
+      required: ["reference"],
+    },
+    messages: { reference: "Payout reference is required" },
+  }),
+  async (req, res) => {
+    try {
+      const agent = await getAgentById(req.params.id);
+      const { reference, note } = req.body;
+
+      // Totals, the settlement row and the status changes are written in one
+      // transaction with the agent locked, so a concurrent settlement or
+      // refund can't be counted twice
+      const { data: settlement, error } = await supabase.rpc(
+        "settle_agent_commissions",
+        {
+          p_agent_id: agent.id,
+          p_reference: reference,
+          p_note: note || null,
+          p_created_by: req.admin.id,
+        }
+      );
+
+      if (error) throw error;
+      if (!settlement) {
+        return res
+          .status(409)
+          .json({ error: "Agent has no commission to settle" });
+      }
+
+      await auditFromRequest(req, {
+        action: "agent.settle",
+        entityType: "agent",
+        entityId: agent.id,
+        after: settlement,
+      });
+
+      console.log(`💸 Agent ${agent.referral_code} settled:`, settlement.total);
+
+      res.json({ success: true, settlement });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Get settings
-app.get("/api/admin/settings", async (req, res) => {
-  try {
-    const settings = await getSettings();
-    res.json(settings);
-  } catch (err) {
-    res.status(500).json({ error: "Failed to get settings" });
+// ============ WALLET ENDPOINTS ============
+
+async function getWalletSummary(userId) {
+  const [balance, { data: pending, error }] = await Promise.all([
+    getWalletBalance(userId),
+    supabase
+      .from("wallet_withdrawals")
+      .select("amount")
+      .eq("user_id", userId)
+      .in("status", ["requested", "approved"]),
+  ]);
+
+  if (error) throw error;
+
+  return {
+    balance,
+    pending_withdrawals: roundMoney(
+      pending.reduce((sum, w) => sum + Number(w.amount), 0)
+    ),
+  };
+}
+
+async function listWalletTransactions(userId, { limit, offset }) {
+  const { data, count, error } = await supabase
+    .from("wallet_transactions")
+    .select("*", { count: "exact" })
+    .eq("user_id", userId)
+    .order("created_at", { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { total: count, transactions: data };
+}
+
+// My balance and wallet history
+app.get(
+  "/api/me/wallet",
+  requirePlayer(),
+  validate({
+    summary: "My wallet balance and transactions",
+    query: { properties: SCHEMA.paging },
+  }),
+  async (req, res) => {
+    try {
+      const paging = parsePaging(req.query);
+      res.json({
+        success: true,
+        ...(await getWalletSummary(req.user.id)),
+        ...(await listWalletTransactions(req.user.id, paging)),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Update settings
-app.post("/api/admin/settings", async (req, res) => {
-  try {
-    const {
-      lottery_round,
-      ticket_price,
-      total_tickets,
-      lottery_date,
-      banner_image,
-    } = req.body;
-
-    const { data: current } = await supabase
-      .from("lottery_settings")
-      .select("*")
-      .eq("is_active", true)
-      .single();
+// Ask for wallet money to be paid out; the amount is held until an admin
+// pays or rejects it
+app.post(
+  "/api/me/wallet/withdrawals",
+  requirePlayer(),
+  validate({
+    summary: "Request a wallet withdrawal",
+    body: {
+      properties: {
+        amount: { type: "number", minimum: WALLET_MIN_WITHDRAWAL },
+        payout_method: { enum: ["upi", "bank"] },
+        upi_id: { type: "string", maxLength: 320 },
+        bank_account_number: { type: "string", maxLength: 18 },
+        bank_ifsc: { type: "string", maxLength: 11 },
+        account_holder_name: { type: "string", maxLength: 100 },
+      },
+      required: ["amount", "payout_method"],
+    },
+    messages: {
+      amount: `Minimum withdrawal is ₹${WALLET_MIN_WITHDRAWAL}`,
+      payout_method: "payout_method must be upi or bank",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const amount = roundMoney(req.body.amount);
 
-    if (current) {
-      await supabase
-        .from("lottery_settings")
-        .update({
-          lottery_round: lottery_round || current.lottery_round,
-          ticket_price: ticket_price || current.ticket_price,
-          total_tickets: total_tickets || current.total_tickets,
-          lottery_date: lottery_date || current.lottery_date,
-          banner_image: banner_image || current.banner_image,
+      const { error: detailsError, details } = parsePayoutDetails(req.body);
+      if (detailsError) {
+        return res.status(400).json({ error: detailsError });
+      }
+
+      const { data: withdrawal, error } = await supabase
+        .from("wallet_withdrawals")
+        .insert({
+          user_id: req.user.id,
+          amount,
+          status: "requested",
+          ...details,
         })
-        .eq("id", current.id);
-    } else {
-      await supabase.from("lottery_settings").insert({
-        lottery_round: lottery_round || 1,
-        ticket_price: ticket_price || 101,
-        total_tickets: total_tickets || 1000,
-        lottery_date,
-        banner_image,
-        is_active: true,
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      try {
+        await debitWallet(req.user.id, amount, {
+          to: WALLET_ACCOUNTS.pendingWithdrawals,
+          key: `withdrawal:${withdrawal.id}`,
+          type: "withdrawal_hold",
+          reference: String(withdrawal.id),
+        });
+      } catch (err) {
+        // A request left behind can't be paid or rejected, its amount was
+        // never held
+        const { error: cleanupError } = await supabase
+          .from("wallet_withdrawals")
+          .delete()
+          .eq("id", withdrawal.id);
+        if (cleanupError) {
+          console.error(
+            "❌ Withdrawal cleanup error:",
+            withdrawal.id,
+            cleanupError.message
+          );
+        }
+        throw err;
+      }
+
+      await auditFromRequest(req, {
+        action: "wallet.withdrawal_requested",
+        entityType: "withdrawal",
+        entityId: withdrawal.id,
+        after: { status: "requested", amount },
       });
+
+      res.json({ success: true, withdrawal });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+app.get(
+  "/api/me/wallet/withdrawals",
+  requirePlayer(),
+  validate({ summary: "My withdrawal requests" }),
+  async (req, res) => {
+    try {
+      const { data: withdrawals, error } = await supabase
+        .from("wallet_withdrawals")
+        .select("*")
+        .eq("user_id", req.user.id)
+        .order("created_at", { ascending: false });
+
+      if (error) throw error;
+
+      res.json({ success: true, withdrawals });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Auto-generate winners
-app.post("/api/admin/auto-generate-winners", async (req, res) => {
-  try {
-    const { count } = req.body;
+// Withdrawal queue, oldest first
+app.get(
+  "/api/admin/wallet/withdrawals",
+  requireAdmin(),
+  validate({
+    summary: "Withdrawal requests queue",
+    query: {
+      properties: {
+        ...SCHEMA.paging,
+        status: { enum: [...Object.keys(WITHDRAWAL_TRANSITIONS), "all"] },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { limit, offset } = parsePaging(req.query);
+      const status = req.query.status || "requested";
 
-    const { data: tickets } = await supabase
-      .from("tickets")
-      .select("ticket_code")
-      .eq("status", "confirmed");
+      let query = supabase
+        .from("wallet_withdrawals")
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (status !== "all") query = query.eq("status", status);
 
-    if (!tickets || count > tickets.length) {
-      return res.status(400).json({ error: "Not enough tickets" });
+      const { data: withdrawals, count, error } = await query;
+      if (error) throw error;
+
+      res.json({ success: true, total: count, withdrawals });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    const shuffled = tickets.sort(() => 0.5 - Math.random());
-    const selected = shuffled.slice(0, count);
-    const prizes = [25000, 10000, 5000, 2000, 1000, 500];
+app.post(
+  "/api/admin/wallet/withdrawals/:id/approve",
+  requireAdmin("operator"),
+  validate({
+    summary: "Approve a withdrawal for payout",
+    params: { properties: { id: SCHEMA.id } },
+  }),
+  async (req, res) => {
+    try {
+      const previous = await getWithdrawalById(req.params.id);
+      const withdrawal = await transitionWithdrawal(previous, "approved", {
+        reviewed_by: req.admin.id,
+        reviewed_at: new Date().toISOString(),
+      });
 
-    const winners = selected.map((t, i) => ({
-      ticket_code: t.ticket_code,
-      prize_amount: i < prizes.length ? prizes[i] : 500,
-    }));
+      await auditFromRequest(req, {
+        action: "wallet.withdrawal_approved",
+        entityType: "withdrawal",
+        entityId: withdrawal.id,
+        before: { status: previous.status },
+        after: { status: "approved", amount: withdrawal.amount },
+      });
 
-    for (const w of winners) {
-      await supabase.from("winners").upsert(w);
+      res.json({ success: true, withdrawal });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    res.json({ success: true, winners });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Rejecting puts the held amount back in the wallet
+app.post(
+  "/api/admin/wallet/withdrawals/:id/reject",
+  requireAdmin("operator"),
+  validate({
+    summary: "Reject a withdrawal",
+    params: { properties: { id: SCHEMA.id } },
+    body: { properties: { reason: SCHEMA.text() }, required: ["reason"] },
+    messages: { reason: "A rejection reason is required" },
+  }),
+  async (req, res) => {
+    try {
+      const previous = await getWithdrawalById(req.params.id);
+      const withdrawal = await closeWithdrawal(previous, "rejected", {
+        reason: req.body.reason,
+        adminId: req.admin.id,
+      });
+
+      await auditFromRequest(req, {
+        action: "wallet.withdrawal_rejected",
+        entityType: "withdrawal",
+        entityId: withdrawal.id,
+        before: { status: previous.status },
+        after: { status: "rejected", reason: req.body.reason },
+      });
+
+      res.json({ success: true, withdrawal });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Manual winners
-app.post("/api/admin/winners", async (req, res) => {
-  try {
-    const { winners } = req.body;
+app.post(
+  "/api/admin/wallet/withdrawals/:id/mark-paid",
+  requireAdmin("operator"),
+  validate({
+    summary: "Record that a withdrawal was paid out",
+    params: { properties: { id: SCHEMA.id } },
+    body: {
+      properties: { transaction_ref: SCHEMA.text(100) },
+      required: ["transaction_ref"],
+    },
+    messages: {
+      transaction_ref: "transaction_ref is required to mark a withdrawal paid",
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { transaction_ref } = req.body;
+      const previous = await getWithdrawalById(req.params.id);
+      const withdrawal = await closeWithdrawal(previous, "paid", {
+        transactionRef: transaction_ref,
+      });
 
-    for (const w of winners) {
-      await supabase.from("winners").upsert({
-        ticket_code: w.ticket_code.toUpperCase(),
-        prize_amount: w.prize_amount,
+      await auditFromRequest(req, {
+        action: "wallet.withdrawal_paid",
+        entityType: "withdrawal",
+        entityId: withdrawal.id,
+        before: { status: previous.status },
+        after: { status: "paid", amount: withdrawal.amount, transaction_ref },
       });
+
+      res.json({ success: true, withdrawal });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
     }
+  }
+);
 
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// One player's wallet
+app.get(
+  "/api/admin/users/:id/wallet",
+  requireAdmin(),
+  validate({
+    summary: "A player's wallet balance and transactions",
+    params: { properties: { id: SCHEMA.id } },
+    query: { properties: SCHEMA.paging },
+  }),
+  async (req, res) => {
+    try {
+      const paging = parsePaging(req.query);
+      res.json({
+        success: true,
+        ...(await getWalletSummary(req.params.id)),
+        ...(await listWalletTransactions(req.params.id, paging)),
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
   }
-});
+);
 
-// Get users with tickets
-app.get("/api/admin/users", async (req, res) => {
-  try {
-    const { data: users } = await supabase
-      .from("users")
-      .select("*")
-      .order("created_at", { ascending: false });
+// Trial balance: every house account plus all player wallets together.
+// The ledger is consistent when the accounts sum to zero.
+app.get(
+  "/api/admin/wallet/balances",
+  requireAdmin("superadmin"),
+  validate({ summary: "Wallet ledger trial balance" }),
+  async (req, res) => {
+    try {
+      const balances = Object.fromEntries(
+        Object.values(WALLET_ACCOUNTS).map((account) => [account, 0])
+      );
+      balances.player_wallets = 0;
 
-    const usersWithTickets = await Promise.all(
-      users.map(async (user) => {
-        const { data: tickets } = await supabase
-          .from("tickets")
-          .select("ticket_code")
-          .eq("user_id", user.id);
-
-        const ticketsWithWinner = await Promise.all(
-          (tickets || []).map(async (ticket) => {
-            const { data: winner } = await supabase
-              .from("winners")
-              .select("prize_amount")
-              .eq("ticket_code", ticket.ticket_code)
-              .single();
-
-            return {
-              ticket_code: ticket.ticket_code,
-              is_winner: !!winner,
-              prize_amount: winner?.prize_amount || 0,
-            };
+      await forEachPage(
+        () =>
+          supabase
+            .from("wallet_balances")
+            .select("account, balance")
+            .order("account", { ascending: true }),
+        async (rows) => {
+          for (const row of rows) {
+            const key = row.account.startsWith("wallet:")
+              ? "player_wallets"
+              : row.account;
+            balances[key] = (balances[key] || 0) + Number(row.balance);
+          }
+        }
+      );
+
+      for (const key of Object.keys(balances)) {
+        balances[key] = roundMoney(balances[key]);
+      }
+      const total = roundMoney(
+        Object.values(balances).reduce((sum, v) => sum + v, 0)
+      );
+
+      res.json({ success: true, balances, total, balanced: total === 0 });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ AUDIT ENDPOINTS ============
+
+app.get(
+  "/api/admin/audit",
+  requireAdmin("superadmin"),
+  validate({
+    summary: "Search the audit log",
+    query: {
+      properties: {
+        ...SCHEMA.paging,
+        action: SCHEMA.text(100),
+        entity_type: SCHEMA.text(50),
+        entity_id: SCHEMA.text(100),
+        actor_type: { enum: ["admin", "player", "system"] },
+        actor_id: SCHEMA.text(64),
+        from: SCHEMA.timestamp,
+        to: SCHEMA.timestamp,
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { action, entity_type, entity_id, actor_type, actor_id } =
+        req.query;
+      const { from, to } = parseAnalyticsRange(req.query);
+      const limit = Math.min(Number(req.query.limit) || 50, 500);
+      const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+      let query = supabase
+        .from("audit_log")
+        .select("*", { count: "exact" })
+        .order("id", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (action) query = query.eq("action", action);
+      if (entity_type) query = query.eq("entity_type", entity_type);
+      if (entity_id) query = query.eq("entity_id", String(entity_id));
+      if (actor_type) query = query.eq("actor_type", actor_type);
+      if (actor_id) query = query.eq("actor_id", actor_id);
+      if (from) query = query.gte("created_at", from);
+      if (to) query = query.lte("created_at", to);
+
+      const { data, count, error } = await query;
+      if (error) throw error;
+
+      res.json({ success: true, total: count, limit, offset, entries: data });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Walk the whole chain and report the first entry that no longer matches
+app.get(
+  "/api/admin/audit/verify",
+  requireAdmin("superadmin"),
+  validate({ summary: "Check the audit hash chain" }),
+  async (req, res) => {
+    try {
+      const BATCH = 500;
+      let prevHash = "GENESIS";
+      let lastId = 0;
+      let checked = 0;
+
+      for (;;) {
+        const { data: rows, error } = await supabase
+          .from("audit_log")
+          .select("*")
+          .gt("id", lastId)
+          .order("id", { ascending: true })
+          .limit(BATCH);
+
+        if (error) throw error;
+
+        for (const row of rows) {
+          let problem = null;
+          if (row.prev_hash !== prevHash) problem = "prev_hash mismatch";
+          else if (hashAuditEntry(row) !== row.hash) problem = "hash mismatch";
+
+          if (problem) {
+            return res.json({
+              success: true,
+              valid: false,
+              checked,
+              broken_at: row.id,
+              reason: problem,
+            });
+          }
+
+          prevHash = row.hash;
+          lastId = row.id;
+          checked++;
+        }
+
+        if (rows.length < BATCH) break;
+      }
+
+      res.json({ success: true, valid: true, checked, head: prevHash });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// ============ API DOCUMENT & ERRORS ============
+
+// Express paths to OpenAPI ones; an optional "{/:x}" segment becomes two
+function toOpenApiPaths(path) {
+  const optional = path.match(/\{\/:(\w+)\}/);
+  const paths = optional
+    ? [
+        path.replace(optional[0], ""),
+        path.replace(optional[0], `/:${optional[1]}`),
+      ]
+    : [path];
+  return paths.map((p) => p.replace(/:(\w+)/g, "{$1}"));
+}
+
+function routeTag(path) {
+  if (path.startsWith("/api/admin")) return "admin";
+  if (path.startsWith("/api/me") || path.startsWith("/api/auth"))
+    return "player";
+  return "public";
+}
+
+function buildOpenApiDocument() {
+  const paths = {};
+
+  for (const layer of app.router.stack) {
+    const route = layer.route;
+    if (!route) continue;
+
+    const handles = route.stack.map((l) => l.handle);
+    const spec = handles.find((h) => h.spec)?.spec || {};
+    const auth = handles.find((h) => h.auth)?.auth;
+
+    for (const path of toOpenApiPaths(route.path)) {
+      const pathParams = [...path.matchAll(/\{(\w+)\}/g)].map((m) => m[1]);
+      const parameters = [
+        ...pathParams.map((name) => ({
+          name,
+          in: "path",
+          required: true,
+          schema: spec.params?.properties?.[name] || { type: "string" },
+        })),
+        ...Object.entries(spec.query?.properties || {}).map(
+          ([name, schema]) => ({
+            name,
+            in: "query",
+            required: !!spec.query.required?.includes(name),
+            schema,
           })
-        );
+        ),
+      ];
 
-        return { ...user, tickets: ticketsWithWinner };
-      })
-    );
+      const operation = {
+        summary: spec.summary,
+        tags: [routeTag(path)],
+        ...(parameters.length && { parameters }),
+        ...(spec.body && {
+          requestBody: {
+            required: !!spec.body.required?.length,
+            content: {
+              "application/json": {
+                schema: { type: "object", ...spec.body },
+              },
+            },
+          },
+        }),
+        ...(auth && {
+          security: [{ bearerAuth: [] }],
+          "x-auth": auth,
+        }),
+        responses: {
+          200: { description: "Success" },
+          default: {
+            description: "Error",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/Error" },
+              },
+            },
+          },
+        },
+      };
 
-    res.json({ success: true, users: usersWithTickets });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+      paths[path] = paths[path] || {};
+      for (const method of Object.keys(route.methods)) {
+        paths[path][method] = operation;
+      }
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title: "VK Lottery Backend", version: "1.0.0" },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer" },
+      },
+      schemas: {
+        Error: {
+          type: "object",
+          required: ["error", "code"],
+          properties: {
+            error: { type: "string" },
+            code: {
+              type: "string",
+              enum: [
+                ...new Set([
+                  ...Object.values(ERROR_CODES),
+                  "validation_error",
+                  "invalid_json",
+                ]),
+              ],
+            },
+            details: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+app.get(
+  "/api/openapi.json",
+  validate({ summary: "This document" }),
+  (req, res) => {
+    res.json(buildOpenApiDocument());
+  }
+);
+
+app.use("/api", (req, res) => {
+  res
+    .status(404)
+    .json({ error: `No route for ${req.method} ${req.originalUrl}` });
+});
+
+// Anything a handler threw or a body parser rejected
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ error: "Request body is not valid JSON", code: "invalid_json" });
   }
+
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) console.error("❌ Unhandled error:", err);
+
+  res.status(status).json({
+    error: status >= 500 ? "Internal server error" : err.message,
+  });
 });
 
 // ============ SERVER START ============
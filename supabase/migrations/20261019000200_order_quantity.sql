@@ -0,0 +1,11 @@
+-- Orders carry their own quantity and price, and tickets point back at the
+-- order that issued them so fulfilment can be retried safely.
+
+alter table payments
+  add column if not exists quantity integer,
+  add column if not exists unit_price numeric(12, 2);
+
+alter table tickets
+  add column if not exists order_id text;
+
+create index if not exists tickets_order_id_idx on tickets (order_id);
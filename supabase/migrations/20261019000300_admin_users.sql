@@ -0,0 +1,12 @@
+-- Named admin accounts with hashed passwords and roles
+
+create table if not exists admin_users (
+  id bigint generated by default as identity primary key,
+  username text not null unique,
+  password_hash text not null,
+  role text not null default 'viewer'
+    check (role in ('viewer', 'operator', 'superadmin')),
+  is_active boolean not null default true,
+  last_login_at timestamptz,
+  created_at timestamptz not null default now()
+);
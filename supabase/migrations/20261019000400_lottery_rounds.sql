@@ -0,0 +1,44 @@
+-- Rounds with an open -> closed -> drawn -> settled lifecycle. Tickets,
+-- winners and orders all belong to a round.
+
+create table if not exists lottery_rounds (
+  id bigint generated by default as identity primary key,
+  round_number integer not null,
+  status text not null default 'open'
+    check (status in ('open', 'closed', 'drawn', 'settled', 'cancelled')),
+  ticket_price numeric(12, 2) not null,
+  total_tickets integer not null check (total_tickets > 0),
+  lottery_date timestamptz,
+  opened_at timestamptz,
+  closed_at timestamptz,
+  drawn_at timestamptz,
+  settled_at timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- Round numbers are never reused, and at most one round is selling or
+-- waiting for its draw at any time. Both guard openRound() against two
+-- requests creating a round at the same moment.
+create unique index if not exists lottery_rounds_round_number_key
+  on lottery_rounds (round_number);
+
+create unique index if not exists lottery_rounds_single_active_key
+  on lottery_rounds ((true))
+  where status in ('open', 'closed');
+
+alter table tickets
+  add column if not exists round_id bigint references lottery_rounds (id);
+
+alter table winners
+  add column if not exists round_id bigint references lottery_rounds (id);
+
+alter table payments
+  add column if not exists round_id bigint references lottery_rounds (id);
+
+create index if not exists tickets_round_id_status_idx
+  on tickets (round_id, status);
+
+create index if not exists winners_round_id_idx on winners (round_id);
+
+create index if not exists payments_round_id_idx on payments (round_id);
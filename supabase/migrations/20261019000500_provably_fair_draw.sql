@@ -0,0 +1,21 @@
+-- Commit-reveal draw. server_seed stays private until the round is drawn;
+-- entropy_source names the public value the draw will use and is fixed
+-- before sales close; public_entropy is written once, on the first draw
+-- attempt, and never changes.
+
+alter table lottery_rounds
+  add column if not exists server_seed text,
+  add column if not exists server_seed_hash text,
+  add column if not exists entropy_source text,
+  add column if not exists entropy_source_at timestamptz,
+  add column if not exists public_entropy text,
+  add column if not exists tickets_hash text,
+  add column if not exists winner_count integer,
+  add column if not exists draw_algorithm text;
+
+alter table winners
+  add column if not exists rank integer;
+
+create unique index if not exists winners_round_rank_key
+  on winners (round_id, rank)
+  where rank is not null;
@@ -0,0 +1,22 @@
+-- Per-round prize structure. A tier pays each of its winners either a fixed
+-- amount or a share of the round's ticket revenue.
+
+create table if not exists prize_tiers (
+  id bigint generated by default as identity primary key,
+  round_id bigint not null references lottery_rounds (id) on delete cascade,
+  rank integer not null check (rank > 0),
+  winner_count integer not null check (winner_count > 0),
+  amount numeric(12, 2),
+  pool_percentage numeric(5, 2),
+  label text,
+  created_at timestamptz not null default now(),
+  unique (round_id, rank),
+  check ((amount is null) <> (pool_percentage is null))
+);
+
+alter table winners
+  add column if not exists prize_tier integer;
+
+alter table lottery_settings
+  add column if not exists max_payout_share numeric(4, 3)
+    check (max_payout_share > 0 and max_payout_share <= 1);
@@ -0,0 +1,130 @@
+-- Stock held for an order between create-order and payment. Everything that
+-- changes how many tickets a round has left goes through the functions
+-- below, which lock the round row first, so the availability check and the
+-- write that depends on it can't interleave across server instances.
+
+create table if not exists ticket_reservations (
+  id bigint generated by default as identity primary key,
+  order_id text not null unique,
+  round_id bigint not null references lottery_rounds (id),
+  quantity integer not null check (quantity > 0),
+  status text not null default 'held'
+    check (status in ('held', 'confirmed', 'released')),
+  expires_at timestamptz not null,
+  confirmed_at timestamptz,
+  released_at timestamptz,
+  release_reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_reservations_round_status_idx
+  on ticket_reservations (round_id, status, expires_at);
+
+-- Tickets issued, plus live holds, plus paid orders whose tickets are still
+-- being written
+create or replace function round_tickets_taken(
+  p_round_id bigint,
+  p_except_order text default null
+) returns integer
+language sql stable as $$
+  select
+    (select count(*)
+       from tickets
+      where round_id = p_round_id and status <> 'void')::integer
+    + (select coalesce(sum(r.quantity), 0)
+         from ticket_reservations r
+        where r.round_id = p_round_id
+          and r.order_id is distinct from p_except_order
+          and ((r.status = 'held' and r.expires_at > now())
+            or (r.status = 'confirmed'
+                and not exists (
+                  select 1 from tickets t where t.order_id = r.order_id
+                ))))::integer
+$$;
+
+create or replace function reserve_tickets(
+  p_round_id bigint,
+  p_order_id text,
+  p_quantity integer,
+  p_expires_at timestamptz
+) returns jsonb
+language plpgsql as $$
+declare
+  v_total integer;
+  v_available integer;
+  v_reservation ticket_reservations;
+begin
+  select total_tickets into v_total
+    from lottery_rounds
+   where id = p_round_id
+     for update;
+
+  if not found then
+    raise exception 'Round % not found', p_round_id;
+  end if;
+
+  v_available := greatest(v_total - round_tickets_taken(p_round_id), 0);
+
+  if v_available < p_quantity then
+    return jsonb_build_object('reserved', false, 'available', v_available);
+  end if;
+
+  insert into ticket_reservations (order_id, round_id, quantity, status, expires_at)
+  values (p_order_id, p_round_id, p_quantity, 'held', p_expires_at)
+  returning * into v_reservation;
+
+  return jsonb_build_object(
+    'reserved', true,
+    'available', v_available - p_quantity,
+    'reservation', to_jsonb(v_reservation)
+  );
+end;
+$$;
+
+-- Called when an order is paid. A live hold is simply confirmed; a hold that
+-- lapsed (or an order that never had one) is only confirmed if the round
+-- still has the stock. Returns false when it doesn't.
+create or replace function claim_reserved_stock(
+  p_round_id bigint,
+  p_order_id text,
+  p_quantity integer
+) returns boolean
+language plpgsql as $$
+declare
+  v_total integer;
+  v_reservation ticket_reservations;
+begin
+  select total_tickets into v_total
+    from lottery_rounds
+   where id = p_round_id
+     for update;
+
+  select * into v_reservation
+    from ticket_reservations
+   where order_id = p_order_id
+     for update;
+
+  if found and (v_reservation.status = 'confirmed'
+      or (v_reservation.status = 'held' and v_reservation.expires_at > now())) then
+    update ticket_reservations
+       set status = 'confirmed', confirmed_at = coalesce(confirmed_at, now())
+     where order_id = p_order_id;
+    return true;
+  end if;
+
+  if v_total - round_tickets_taken(p_round_id, p_order_id) < p_quantity then
+    return false;
+  end if;
+
+  insert into ticket_reservations
+    (order_id, round_id, quantity, status, expires_at, confirmed_at)
+  values (p_order_id, p_round_id, p_quantity, 'confirmed', now(), now())
+  on conflict (order_id) do update
+    set status = 'confirmed',
+        confirmed_at = now(),
+        released_at = null,
+        release_reason = null;
+
+  return true;
+end;
+$$;
@@ -0,0 +1,10 @@
+-- Ticket codes are a keyed permutation of a per-round sequence number. The
+-- key never leaves the server; ticket_seq is advanced with a conditional
+-- update so two orders can't be given the same range.
+
+alter table lottery_rounds
+  add column if not exists ticket_seq integer not null default 0,
+  add column if not exists ticket_code_key text;
+
+create unique index if not exists tickets_ticket_code_key
+  on tickets (ticket_code);
@@ -0,0 +1,5 @@
+-- The gateway an order was placed with. Webhooks and refunds go back to the
+-- same gateway; orders from before the adapter were all upifastpe.
+
+alter table payments
+  add column if not exists gateway text not null default 'upifastpe';
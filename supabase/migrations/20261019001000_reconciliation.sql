@@ -0,0 +1,28 @@
+-- Reports of the scheduled payment reconciliation, and the per-order
+-- cursor it uses to rotate through unsettled orders.
+
+create table if not exists reconciliation_runs (
+  id bigint generated by default as identity primary key,
+  trigger text not null,
+  status text not null check (status in ('completed', 'failed')),
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  checked integer not null default 0,
+  settled integer not null default 0,
+  failed integer not null default 0,
+  expired integer not null default 0,
+  pending integer not null default 0,
+  errors integer not null default 0,
+  stuck_processing integer not null default 0,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reconciliation_runs_started_at_idx
+  on reconciliation_runs (started_at desc);
+
+alter table payments
+  add column if not exists reconciled_at timestamptz;
+
+create index if not exists payments_reconcile_idx
+  on payments (status, reconciled_at nulls first, created_at);
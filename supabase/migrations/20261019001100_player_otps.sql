@@ -0,0 +1,15 @@
+-- One-time login codes, stored as HMACs. attempts is only ever advanced with
+-- a compare-and-set on its previous value.
+
+create table if not exists player_otps (
+  id bigint generated by default as identity primary key,
+  mobile text not null,
+  code_hash text not null,
+  attempts integer not null default 0 check (attempts >= 0),
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists player_otps_mobile_created_idx
+  on player_otps (mobile, created_at desc);
@@ -0,0 +1,48 @@
+-- Winners claim their prize with payout details; admins approve, reject or
+-- mark it paid. Every status change is kept in prize_claim_events.
+
+create table if not exists prize_claims (
+  id bigint generated by default as identity primary key,
+  ticket_code text not null,
+  user_id bigint not null references users (id),
+  round_id bigint references lottery_rounds (id),
+  prize_amount numeric(12, 2) not null,
+  status text not null default 'submitted'
+    check (status in ('submitted', 'approved', 'rejected', 'paid')),
+  payout_method text not null check (payout_method in ('upi', 'bank')),
+  upi_id text,
+  bank_account_number text,
+  bank_ifsc text,
+  account_holder_name text,
+  rejection_reason text,
+  transaction_ref text,
+  reviewed_by bigint references admin_users (id),
+  reviewed_at timestamptz,
+  paid_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One live claim per ticket; a rejected claim can be submitted again
+create unique index if not exists prize_claims_open_ticket_key
+  on prize_claims (ticket_code)
+  where status <> 'rejected';
+
+create index if not exists prize_claims_user_idx on prize_claims (user_id);
+
+create index if not exists prize_claims_status_idx
+  on prize_claims (status, created_at);
+
+create table if not exists prize_claim_events (
+  id bigint generated by default as identity primary key,
+  claim_id bigint not null references prize_claims (id),
+  from_status text,
+  to_status text not null,
+  actor_type text not null,
+  actor_id bigint,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists prize_claim_events_claim_idx
+  on prize_claim_events (claim_id, created_at);
@@ -0,0 +1,13 @@
+-- Refund tracking on orders, and the reason a round was cancelled
+
+alter table payments
+  add column if not exists refund_status text
+    check (refund_status in ('pending', 'refunded', 'manual_required', 'failed')),
+  add column if not exists refund_reason text,
+  add column if not exists refund_ref text,
+  add column if not exists refund_error text,
+  add column if not exists refunded_amount numeric(12, 2),
+  add column if not exists refunded_at timestamptz;
+
+alter table lottery_rounds
+  add column if not exists cancel_reason text;
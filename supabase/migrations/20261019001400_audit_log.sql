@@ -0,0 +1,40 @@
+-- Hash-chained, append-only audit log. Each row's prev_hash is the hash of
+-- the row before it; the unique index means only one writer can extend a
+-- given head, which keeps the chain linear across server instances.
+
+create table if not exists audit_log (
+  id bigint generated by default as identity primary key,
+  actor_type text not null,
+  actor_id bigint,
+  actor_name text,
+  action text not null,
+  entity_type text,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  ip text,
+  prev_hash text not null,
+  hash text not null unique,
+  created_at timestamptz not null
+);
+
+create unique index if not exists audit_log_prev_hash_key
+  on audit_log (prev_hash);
+
+create index if not exists audit_log_entity_idx
+  on audit_log (entity_type, entity_id, id);
+
+create index if not exists audit_log_action_idx on audit_log (action, id);
+
+-- Rows are never changed or removed
+create or replace function audit_log_append_only() returns trigger
+language plpgsql as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on audit_log;
+create trigger audit_log_append_only
+  before update or delete on audit_log
+  for each row execute function audit_log_append_only();
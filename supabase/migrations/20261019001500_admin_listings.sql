@@ -0,0 +1,101 @@
+-- Filtered, paginated admin listings. Each returns
+-- { "total": <matching rows>, "keys": [<ids of the requested page>] }
+-- so the filters never have to be shipped to the server as id lists.
+-- Null arguments mean "don't filter on this".
+
+create index if not exists tickets_user_id_idx on tickets (user_id);
+create index if not exists tickets_created_at_idx on tickets (created_at desc);
+create index if not exists payments_user_status_idx on payments (user_id, status);
+create index if not exists users_created_at_idx on users (created_at desc);
+
+create or replace function admin_list_users(
+  p_search text default null,
+  p_round_id bigint default null,
+  p_winner boolean default null,
+  p_payment_status text default null,
+  p_limit integer default 50,
+  p_offset integer default 0
+) returns jsonb
+language sql stable as $$
+  with matches as (
+    select u.id, u.created_at
+      from users u
+     where (p_search is null
+            or u.mobile ilike '%' || p_search || '%'
+            or u.name ilike '%' || p_search || '%'
+            or exists (
+              select 1 from tickets t
+               where t.user_id = u.id
+                 and t.ticket_code ilike '%' || p_search || '%'))
+       and (p_round_id is null
+            or exists (
+              select 1 from tickets t
+               where t.user_id = u.id and t.round_id = p_round_id))
+       and (p_payment_status is null
+            or exists (
+              select 1 from payments p
+               where p.user_id = u.id
+                 and p.status = p_payment_status
+                 and (p_round_id is null or p.round_id = p_round_id)))
+       and (p_winner is null
+            or p_winner = exists (
+              select 1 from tickets t
+                join winners w on w.ticket_code = t.ticket_code
+               where t.user_id = u.id
+                 and (p_round_id is null or w.round_id = p_round_id)))
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from matches),
+    'keys', coalesce(
+      (select jsonb_agg(page.id order by page.created_at desc, page.id desc)
+         from (select id, created_at from matches
+                order by created_at desc, id desc
+                limit p_limit offset p_offset) page),
+      '[]'::jsonb)
+  )
+$$;
+
+create or replace function admin_list_tickets(
+  p_search text default null,
+  p_round_id bigint default null,
+  p_winner boolean default null,
+  p_payment_status text default null,
+  p_status text default null,
+  p_limit integer default 50,
+  p_offset integer default 0
+) returns jsonb
+language sql stable as $$
+  with matches as (
+    select t.ticket_code, t.created_at
+      from tickets t
+     where (p_round_id is null or t.round_id = p_round_id)
+       and (p_status is null or t.status = p_status)
+       and (p_search is null
+            or t.ticket_code ilike '%' || p_search || '%'
+            or exists (
+              select 1 from users u
+               where u.id = t.user_id
+                 and (u.mobile ilike '%' || p_search || '%'
+                      or u.name ilike '%' || p_search || '%')))
+       and (p_winner is null
+            or p_winner = exists (
+              select 1 from winners w
+               where w.ticket_code = t.ticket_code
+                 and (p_round_id is null or w.round_id = p_round_id)))
+       and (p_payment_status is null
+            or exists (
+              select 1 from payments p
+               where p.order_id = t.order_id
+                 and p.status = p_payment_status
+                 and (p_round_id is null or p.round_id = p_round_id)))
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from matches),
+    'keys', coalesce(
+      (select jsonb_agg(page.ticket_code order by page.created_at desc, page.ticket_code)
+         from (select ticket_code, created_at from matches
+                order by created_at desc, ticket_code
+                limit p_limit offset p_offset) page),
+      '[]'::jsonb)
+  )
+$$;
@@ -0,0 +1,92 @@
+-- Sales totals for the admin analytics endpoints, aggregated here rather
+-- than by paging every payment into the server. Returns a jsonb array with
+-- one object per bucket:
+--   p_group 'none'  -> a single bucket keyed 'all'
+--   p_group 'round' -> keyed by round id
+--   p_group 'day'   -> keyed by YYYY-MM-DD in the reporting timezone
+--   p_group 'hour'  -> keyed by hour of day (0-23) in the reporting timezone
+-- Null range / round arguments mean "don't filter on this".
+
+create index if not exists payments_created_at_idx on payments (created_at);
+create index if not exists tickets_order_id_ticket_code_idx on tickets (order_id, ticket_code);
+
+create or replace function sales_analytics(
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_round_id bigint default null,
+  p_group text default 'none',
+  p_tz_offset_minutes integer default 330
+) returns jsonb
+language sql stable as $$
+  with orders as (
+    select p.order_id,
+           p.amount,
+           p.quantity,
+           p.status,
+           coalesce(p.user_id::text, p.mobile) as buyer,
+           case p_group
+             when 'round' then p.round_id::text
+             when 'day' then to_char(
+               (p.created_at at time zone 'UTC')
+                 + make_interval(mins => p_tz_offset_minutes),
+               'YYYY-MM-DD')
+             when 'hour' then extract(hour from
+               (p.created_at at time zone 'UTC')
+                 + make_interval(mins => p_tz_offset_minutes))::int::text
+             else 'all'
+           end as bucket
+      from payments p
+     where (p_from is null or p.created_at >= p_from)
+       and (p_to is null or p.created_at <= p_to)
+       and (p_round_id is null or p.round_id = p_round_id)
+  ),
+  prizes as (
+    select t.order_id, sum(w.prize_amount) as amount
+      from winners w
+      join tickets t on t.ticket_code = w.ticket_code
+     where t.order_id in (select order_id from orders where status = 'success')
+     group by t.order_id
+  ),
+  totals as (
+    select o.bucket,
+           count(*) as orders_created,
+           -- Refunded orders were paid once: they count towards conversion
+           count(*) filter (where o.status in ('success', 'refunded')) as orders_paid,
+           count(*) filter (where o.status = 'success') as orders_successful,
+           coalesce(sum(o.amount) filter (where o.status = 'success'), 0) as revenue,
+           coalesce(sum(o.amount) filter (where o.status = 'refunded'), 0) as refunded,
+           coalesce(sum(o.quantity) filter (where o.status = 'success'), 0) as tickets_sold,
+           coalesce(sum(pr.amount) filter (where o.status = 'success'), 0) as prizes
+      from orders o
+      left join prizes pr on pr.order_id = o.order_id
+     group by o.bucket
+  ),
+  buyers as (
+    select bucket,
+           count(*) as buyers,
+           count(*) filter (where orders > 1) as repeat_buyers
+      from (select bucket, buyer, count(*) as orders
+              from orders
+             where status = 'success'
+             group by bucket, buyer) per_buyer
+     group by bucket
+  )
+  select coalesce(
+    jsonb_agg(
+      jsonb_build_object(
+        'key', t.bucket,
+        'orders_created', t.orders_created,
+        'orders_paid', t.orders_paid,
+        'orders_successful', t.orders_successful,
+        'revenue', t.revenue,
+        'refunded', t.refunded,
+        'tickets_sold', t.tickets_sold,
+        'prizes', t.prizes,
+        'buyers', coalesce(b.buyers, 0),
+        'repeat_buyers', coalesce(b.repeat_buyers, 0)
+      )
+      order by t.bucket),
+    '[]'::jsonb)
+    from totals t
+    left join buyers b on b.bucket = t.bucket
+$$;
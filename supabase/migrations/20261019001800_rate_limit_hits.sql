@@ -0,0 +1,15 @@
+-- Shared rate limit counters for RATE_LIMIT_STORE=supabase: one row per hit,
+-- counted over a sliding window per key and swept once past the longest
+-- window in use.
+
+create table if not exists rate_limit_hits (
+  id bigint generated by default as identity primary key,
+  key text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_key_created_idx
+  on rate_limit_hits (key, created_at);
+
+create index if not exists rate_limit_hits_created_idx
+  on rate_limit_hits (created_at);
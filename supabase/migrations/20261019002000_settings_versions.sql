@@ -0,0 +1,35 @@
+-- Versioned lottery settings. Every change is a new row with the next
+-- version number; the one in force is the newest uncancelled row whose
+-- effective_at has passed. is_active mirrors that for other readers.
+
+alter table lottery_settings
+  add column if not exists is_active boolean not null default false,
+  add column if not exists version integer,
+  add column if not exists effective_at timestamptz,
+  add column if not exists activated_at timestamptz,
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists created_by bigint references admin_users (id),
+  add column if not exists note text;
+
+-- Number the rows saved before versioning in the order they were written
+update lottery_settings s
+   set version = numbered.version
+  from (select id, row_number() over (order by id) as version
+          from lottery_settings) numbered
+ where s.id = numbered.id
+   and s.version is null;
+
+alter table lottery_settings
+  alter column version set not null;
+
+-- Two admins saving at once must not both get the same version
+create unique index if not exists lottery_settings_version_idx
+  on lottery_settings (version);
+
+create index if not exists lottery_settings_effective_idx
+  on lottery_settings (effective_at desc, id desc)
+  where cancelled_at is null;
+
+create index if not exists lottery_settings_active_idx
+  on lottery_settings (is_active)
+  where is_active;
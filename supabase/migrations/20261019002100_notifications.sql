@@ -0,0 +1,48 @@
+-- Outgoing player notifications: one queue row per message and channel,
+-- plus a log of every delivery attempt. dedupe_key stops the same event
+-- from being queued twice.
+
+alter table users
+  add column if not exists email text;
+
+create table if not exists notification_queue (
+  id bigint generated by default as identity primary key,
+  channel text not null,
+  recipient text not null,
+  user_id bigint references users (id),
+  template text not null,
+  subject text,
+  body text not null,
+  payload jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'dead')),
+  attempts integer not null default 0 check (attempts >= 0),
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  dedupe_key text unique,
+  sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists notification_queue_due_idx
+  on notification_queue (next_attempt_at)
+  where status = 'queued';
+
+create index if not exists notification_queue_created_idx
+  on notification_queue (created_at desc);
+
+create table if not exists notification_deliveries (
+  id bigint generated by default as identity primary key,
+  notification_id bigint not null references notification_queue (id),
+  channel text not null,
+  recipient text not null,
+  attempt integer not null,
+  status text not null check (status in ('sent', 'failed')),
+  error text,
+  provider_ref text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notification_deliveries_notification_idx
+  on notification_deliveries (notification_id, created_at);
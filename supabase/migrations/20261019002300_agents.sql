@@ -0,0 +1,145 @@
+-- Sales agents, the commission they earn on orders placed with their
+-- referral code (or by buyers they referred first) and the settlements
+-- that pay it out. Commission status moves
+--   earned -> settled | reversed
+--   settled -> clawback -> clawback_settled
+-- payments.commission_recorded_at / commission_reversed_at mark an order's
+-- commission step as done; the reconciliation sweep finishes the rest.
+
+create table if not exists agents (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  mobile text not null unique,
+  referral_code text not null unique,
+  commission_rate numeric(5, 4)
+    check (commission_rate >= 0 and commission_rate <= 1),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table users
+  add column if not exists agent_id bigint references agents (id);
+
+alter table payments
+  add column if not exists agent_id bigint references agents (id),
+  add column if not exists commission_recorded_at timestamptz,
+  add column if not exists commission_reversed_at timestamptz;
+
+create table if not exists agent_settlements (
+  id bigint generated by default as identity primary key,
+  agent_id bigint not null references agents (id),
+  total numeric(12, 2) not null default 0,
+  earned numeric(12, 2) not null default 0,
+  clawback numeric(12, 2) not null default 0,
+  orders integer not null default 0,
+  reference text not null,
+  note text,
+  created_by bigint references admin_users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists agent_settlements_agent_idx
+  on agent_settlements (agent_id, created_at desc);
+
+create table if not exists agent_commissions (
+  id bigint generated by default as identity primary key,
+  agent_id bigint not null references agents (id),
+  order_id text not null unique references payments (order_id),
+  round_id bigint references lottery_rounds (id),
+  user_id bigint references users (id),
+  sale_amount numeric(12, 2) not null,
+  rate numeric(5, 4) not null,
+  commission numeric(12, 2) not null,
+  status text not null default 'earned'
+    check (status in ('earned', 'settled', 'reversed', 'clawback', 'clawback_settled')),
+  settlement_id bigint references agent_settlements (id),
+  settled_at timestamptz,
+  reversed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists agent_commissions_agent_idx
+  on agent_commissions (agent_id, status);
+create index if not exists agent_commissions_created_idx
+  on agent_commissions (created_at, id);
+
+-- The sweep only looks at agent orders whose step is still open
+create index if not exists payments_commission_pending_idx
+  on payments (status, created_at)
+  where agent_id is not null
+    and (commission_recorded_at is null or commission_reversed_at is null);
+
+-- Orders from before these markers existed
+update payments p
+   set commission_recorded_at = c.created_at
+  from agent_commissions c
+ where c.order_id = p.order_id
+   and p.commission_recorded_at is null;
+
+update payments p
+   set commission_reversed_at = c.reversed_at
+  from agent_commissions c
+ where c.order_id = p.order_id
+   and c.reversed_at is not null
+   and p.commission_reversed_at is null;
+
+-- Pays out an agent's earned commission net of open clawbacks. Runs with the
+-- agent row locked, so two settlements can't take the same rows and a refund
+-- reversing a row waits for it. Returns the settlement, or null when nothing
+-- is payable.
+create or replace function settle_agent_commissions(
+  p_agent_id bigint,
+  p_reference text,
+  p_note text default null,
+  p_created_by bigint default null
+) returns jsonb
+language plpgsql as $$
+declare
+  v_earned numeric(12, 2);
+  v_clawback numeric(12, 2);
+  v_orders integer;
+  v_settlement agent_settlements;
+begin
+  perform 1 from agents where id = p_agent_id for update;
+  if not found then
+    raise exception 'Agent % not found', p_agent_id using errcode = 'P0002';
+  end if;
+
+  -- Rows a refund is reversing right now are waited for and re-read
+  perform 1 from agent_commissions
+   where agent_id = p_agent_id
+     and status in ('earned', 'clawback')
+     for update;
+
+  select coalesce(sum(commission) filter (where status = 'earned'), 0),
+         coalesce(sum(commission) filter (where status = 'clawback'), 0),
+         count(*)
+    into v_earned, v_clawback, v_orders
+    from agent_commissions
+   where agent_id = p_agent_id
+     and status in ('earned', 'clawback');
+
+  if v_earned - v_clawback <= 0 then
+    return null;
+  end if;
+
+  insert into agent_settlements
+    (agent_id, total, earned, clawback, orders, reference, note, created_by)
+  values
+    (p_agent_id, v_earned - v_clawback, v_earned, v_clawback, v_orders,
+     p_reference, p_note, p_created_by)
+  returning * into v_settlement;
+
+  update agent_commissions
+     set status = case status
+                    when 'earned' then 'settled'
+                    else 'clawback_settled'
+                  end,
+         settlement_id = v_settlement.id,
+         settled_at = now()
+   where agent_id = p_agent_id
+     and status in ('earned', 'clawback');
+
+  return to_jsonb(v_settlement);
+end;
+$$;
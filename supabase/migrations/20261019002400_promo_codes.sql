@@ -0,0 +1,256 @@
+-- Promo codes, bundle pricing and the discounts recorded on each order.
+-- A promo use is a promo_redemptions row: reserved with the order's ticket
+-- hold, redeemed when the order is paid, released when the order fails,
+-- expires or is refunded. Caps count reserved and redeemed uses and are
+-- enforced by promo_hold / promo_redeem with the promo row locked.
+
+create table if not exists promo_codes (
+  id bigint generated by default as identity primary key,
+  code text not null unique,
+  description text,
+  discount_type text not null check (discount_type in ('percent', 'flat')),
+  discount_value numeric(12, 2) not null check (discount_value > 0),
+  max_discount numeric(12, 2) check (max_discount > 0),
+  min_quantity integer check (min_quantity >= 1),
+  max_uses integer check (max_uses >= 1),
+  per_mobile_limit integer check (per_mobile_limit >= 1),
+  starts_at timestamptz,
+  expires_at timestamptz,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  check (discount_type <> 'percent' or discount_value <= 100),
+  check (starts_at is null or expires_at is null or starts_at < expires_at)
+);
+
+create table if not exists promo_redemptions (
+  id bigint generated by default as identity primary key,
+  promo_id bigint not null references promo_codes (id),
+  order_id text not null unique,
+  mobile text,
+  discount numeric(12, 2) not null default 0,
+  status text not null default 'reserved'
+    check (status in ('reserved', 'redeemed', 'released')),
+  redeemed_at timestamptz,
+  released_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists promo_redemptions_promo_idx
+  on promo_redemptions (promo_id, status);
+create index if not exists promo_redemptions_mobile_idx
+  on promo_redemptions (promo_id, mobile, status);
+
+alter table payments
+  add column if not exists subtotal numeric(12, 2),
+  add column if not exists bundle_discount numeric(12, 2) not null default 0,
+  add column if not exists promo_code text,
+  add column if not exists promo_discount numeric(12, 2) not null default 0,
+  add column if not exists discount numeric(12, 2) not null default 0;
+
+-- [{ "quantity": 5, "pay_for": 4 }, ...]
+alter table lottery_settings
+  add column if not exists bundle_pricing jsonb;
+
+-- Why p_promo_id can't take one more use for p_mobile right now, or null.
+-- p_except_order leaves that order's own redemption out of the count.
+-- Callers hold the promo row lock.
+create or replace function promo_unavailable_reason(
+  p_promo_id bigint,
+  p_mobile text,
+  p_except_order text default null
+) returns text
+language plpgsql stable as $$
+declare
+  v_promo promo_codes;
+begin
+  select * into v_promo from promo_codes where id = p_promo_id;
+
+  if not found or not v_promo.is_active then
+    return 'invalid';
+  end if;
+  if v_promo.starts_at is not null and v_promo.starts_at > now() then
+    return 'not_started';
+  end if;
+  if v_promo.expires_at is not null and v_promo.expires_at <= now() then
+    return 'expired';
+  end if;
+
+  if v_promo.max_uses is not null and (
+    select count(*) from promo_redemptions
+     where promo_id = p_promo_id
+       and status in ('reserved', 'redeemed')
+       and order_id is distinct from p_except_order
+  ) >= v_promo.max_uses then
+    return 'used_up';
+  end if;
+
+  if v_promo.per_mobile_limit is not null and p_mobile is not null and (
+    select count(*) from promo_redemptions
+     where promo_id = p_promo_id
+       and mobile = p_mobile
+       and status in ('reserved', 'redeemed')
+       and order_id is distinct from p_except_order
+  ) >= v_promo.per_mobile_limit then
+    return 'mobile_limit';
+  end if;
+
+  return null;
+end;
+$$;
+
+-- Holds one use of the promo for an order.
+-- Returns { "held": true } or { "held": false, "reason": <why> }.
+create or replace function promo_hold(
+  p_promo_id bigint,
+  p_order_id text,
+  p_mobile text,
+  p_discount numeric
+) returns jsonb
+language plpgsql as $$
+declare
+  v_reason text;
+begin
+  perform 1 from promo_codes where id = p_promo_id for update;
+
+  v_reason := promo_unavailable_reason(p_promo_id, p_mobile);
+  if v_reason is not null then
+    return jsonb_build_object('held', false, 'reason', v_reason);
+  end if;
+
+  insert into promo_redemptions (promo_id, order_id, mobile, discount, status)
+  values (p_promo_id, p_order_id, p_mobile, p_discount, 'reserved');
+
+  return jsonb_build_object('held', true);
+end;
+$$;
+
+-- Marks the order's promo use redeemed. A released hold (the payment came
+-- after the ticket hold lapsed) is only taken back while the caps allow it.
+-- True when the order has no promo or the use is now redeemed.
+create or replace function promo_redeem(p_order_id text)
+returns boolean
+language plpgsql as $$
+declare
+  v_redemption promo_redemptions;
+begin
+  select * into v_redemption
+    from promo_redemptions
+   where order_id = p_order_id;
+
+  if not found then
+    return true;
+  end if;
+
+  perform 1 from promo_codes where id = v_redemption.promo_id for update;
+
+  -- Re-read now that the promo is locked
+  select * into v_redemption
+    from promo_redemptions
+   where order_id = p_order_id;
+
+  if v_redemption.status = 'redeemed' then
+    return true;
+  end if;
+
+  -- Caps only: a code that expired or was switched off since the order was
+  -- placed still honours the price the buyer was quoted
+  if v_redemption.status = 'released' and promo_unavailable_reason(
+       v_redemption.promo_id, v_redemption.mobile, p_order_id
+     ) in ('used_up', 'mobile_limit') then
+    return false;
+  end if;
+
+  update promo_redemptions
+     set status = 'redeemed',
+         redeemed_at = now(),
+         released_at = null
+   where id = v_redemption.id;
+
+  return true;
+end;
+$$;
+
+-- Sales analytics with the discounts now recorded on payments
+create or replace function sales_analytics(
+  p_from timestamptz default null,
+  p_to timestamptz default null,
+  p_round_id bigint default null,
+  p_group text default 'none',
+  p_tz_offset_minutes integer default 330
+) returns jsonb
+language sql stable as $$
+  with orders as (
+    select p.order_id,
+           p.amount,
+           p.discount,
+           p.quantity,
+           p.status,
+           coalesce(p.user_id::text, p.mobile) as buyer,
+           case p_group
+             when 'round' then p.round_id::text
+             when 'day' then to_char(
+               (p.created_at at time zone 'UTC')
+                 + make_interval(mins => p_tz_offset_minutes),
+               'YYYY-MM-DD')
+             when 'hour' then extract(hour from
+               (p.created_at at time zone 'UTC')
+                 + make_interval(mins => p_tz_offset_minutes))::int::text
+             else 'all'
+           end as bucket
+      from payments p
+     where (p_from is null or p.created_at >= p_from)
+       and (p_to is null or p.created_at <= p_to)
+       and (p_round_id is null or p.round_id = p_round_id)
+  ),
+  prizes as (
+    select t.order_id, sum(w.prize_amount) as amount
+      from winners w
+      join tickets t on t.ticket_code = w.ticket_code
+     where t.order_id in (select order_id from orders where status = 'success')
+     group by t.order_id
+  ),
+  totals as (
+    select o.bucket,
+           count(*) as orders_created,
+           -- Refunded orders were paid once: they count towards conversion
+           count(*) filter (where o.status in ('success', 'refunded')) as orders_paid,
+           count(*) filter (where o.status = 'success') as orders_successful,
+           coalesce(sum(o.amount) filter (where o.status = 'success'), 0) as revenue,
+           coalesce(sum(o.discount) filter (where o.status = 'success'), 0) as discounts,
+           coalesce(sum(o.amount) filter (where o.status = 'refunded'), 0) as refunded,
+           coalesce(sum(o.quantity) filter (where o.status = 'success'), 0) as tickets_sold,
+           coalesce(sum(pr.amount) filter (where o.status = 'success'), 0) as prizes
+      from orders o
+      left join prizes pr on pr.order_id = o.order_id
+     group by o.bucket
+  ),
+  buyers as (
+    select bucket,
+           count(*) as buyers,
+           count(*) filter (where orders > 1) as repeat_buyers
+      from (select bucket, buyer, count(*) as orders
+              from orders
+             where status = 'success'
+             group by bucket, buyer) per_buyer
+     group by bucket
+  )
+  select coalesce(
+    jsonb_agg(
+      jsonb_build_object(
+        'key', t.bucket,
+        'orders_created', t.orders_created,
+        'orders_paid', t.orders_paid,
+        'orders_successful', t.orders_successful,
+        'revenue', t.revenue,
+        'discounts', t.discounts,
+        'refunded', t.refunded,
+        'tickets_sold', t.tickets_sold,
+        'prizes', t.prizes,
+        'buyers', coalesce(b.buyers, 0),
+        'repeat_buyers', coalesce(b.repeat_buyers, 0)
+      )
+      order by t.bucket),
+    '[]'::jsonb)
+    from totals t
+    left join buyers b on b.bucket = t.bucket
+$$;
@@ -0,0 +1,275 @@
+-- Player wallets as a double-entry ledger. Each wallet_transactions row has
+-- wallet_entries legs that sum to zero; wallet_balances keeps every
+-- account's running total so a balance is one row read. All postings go
+-- through wallet_post, which locks the balance rows it touches and refuses
+-- to take a player wallet ("wallet:<user id>") below zero.
+
+create table if not exists wallet_transactions (
+  id bigint generated by default as identity primary key,
+  idempotency_key text not null unique,
+  type text not null,
+  user_id bigint references users (id),
+  amount numeric(12, 2) not null check (amount >= 0),
+  reference text,
+  memo text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists wallet_transactions_user_idx
+  on wallet_transactions (user_id, created_at desc);
+create index if not exists wallet_transactions_reference_idx
+  on wallet_transactions (reference, user_id);
+
+create table if not exists wallet_entries (
+  id bigint generated by default as identity primary key,
+  transaction_id bigint not null references wallet_transactions (id),
+  account text not null,
+  user_id bigint references users (id),
+  amount numeric(12, 2) not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists wallet_entries_account_idx
+  on wallet_entries (account, id);
+
+create table if not exists wallet_balances (
+  account text primary key,
+  balance numeric(12, 2) not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+-- Totals for entries posted before wallet_balances existed
+insert into wallet_balances (account, balance)
+select account, sum(amount)
+  from wallet_entries
+ group by account
+on conflict (account) do update set balance = excluded.balance;
+
+create table if not exists wallet_withdrawals (
+  id bigint generated by default as identity primary key,
+  user_id bigint not null references users (id),
+  amount numeric(12, 2) not null check (amount > 0),
+  status text not null default 'requested'
+    check (status in ('requested', 'approved', 'rejected', 'paid')),
+  payout_method text not null check (payout_method in ('upi', 'bank')),
+  upi_id text,
+  bank_account_number text,
+  bank_ifsc text,
+  account_holder_name text,
+  rejection_reason text,
+  transaction_ref text,
+  reviewed_by bigint references admin_users (id),
+  reviewed_at timestamptz,
+  paid_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists wallet_withdrawals_status_idx
+  on wallet_withdrawals (status, created_at);
+create index if not exists wallet_withdrawals_user_idx
+  on wallet_withdrawals (user_id, created_at desc);
+
+alter table payments
+  add column if not exists wallet_amount numeric(12, 2) not null default 0;
+
+alter table prize_claims
+  drop constraint if exists prize_claims_payout_method_check;
+alter table prize_claims
+  add constraint prize_claims_payout_method_check
+    check (payout_method in ('upi', 'bank', 'wallet'));
+
+-- Posts a transaction with its legs (p_legs: [{ "account", "amount" }]).
+-- Returns { "posted": true, "duplicate": <key already used>,
+-- "transaction": <row> }, or { "posted": false, "reason":
+-- "insufficient_funds" } when a player wallet would go below zero and
+-- p_allow_overdraft is not set.
+create or replace function wallet_post(
+  p_key text,
+  p_type text,
+  p_user_id bigint,
+  p_reference text,
+  p_memo text,
+  p_legs jsonb,
+  p_allow_overdraft boolean default false
+) returns jsonb
+language plpgsql as $$
+declare
+  v_txn wallet_transactions;
+begin
+  select * into v_txn from wallet_transactions where idempotency_key = p_key;
+  if found then
+    return jsonb_build_object(
+      'posted', true, 'duplicate', true, 'transaction', to_jsonb(v_txn));
+  end if;
+
+  if (select coalesce(sum((leg->>'amount')::numeric), 0)
+        from jsonb_array_elements(p_legs) leg) <> 0 then
+    raise exception 'Wallet transaction % is unbalanced', p_key;
+  end if;
+
+  insert into wallet_balances (account)
+  select distinct leg->>'account' from jsonb_array_elements(p_legs) leg
+  on conflict (account) do nothing;
+
+  -- Always in account order, so two postings can't deadlock
+  perform 1
+     from wallet_balances
+    where account in (select leg->>'account'
+                        from jsonb_array_elements(p_legs) leg)
+    order by account
+      for update;
+
+  -- The same key may have been posted while we waited for the locks
+  select * into v_txn from wallet_transactions where idempotency_key = p_key;
+  if found then
+    return jsonb_build_object(
+      'posted', true, 'duplicate', true, 'transaction', to_jsonb(v_txn));
+  end if;
+
+  if not p_allow_overdraft and exists (
+    select 1
+      from (select leg->>'account' as account,
+                   sum((leg->>'amount')::numeric) as amount
+              from jsonb_array_elements(p_legs) leg
+             group by 1) legs
+      join wallet_balances b on b.account = legs.account
+     where legs.account like 'wallet:%'
+       and legs.amount < 0
+       and b.balance + legs.amount < 0
+  ) then
+    return jsonb_build_object('posted', false, 'reason', 'insufficient_funds');
+  end if;
+
+  insert into wallet_transactions
+    (idempotency_key, type, user_id, amount, reference, memo)
+  values (
+    p_key, p_type, p_user_id,
+    (select coalesce(sum(greatest((leg->>'amount')::numeric, 0)), 0)
+       from jsonb_array_elements(p_legs) leg),
+    p_reference, p_memo)
+  returning * into v_txn;
+
+  insert into wallet_entries (transaction_id, account, user_id, amount)
+  select v_txn.id, leg->>'account', p_user_id, (leg->>'amount')::numeric
+    from jsonb_array_elements(p_legs) leg;
+
+  update wallet_balances b
+     set balance = b.balance + legs.amount,
+         updated_at = now()
+    from (select leg->>'account' as account,
+                 sum((leg->>'amount')::numeric) as amount
+            from jsonb_array_elements(p_legs) leg
+           group by 1) legs
+   where b.account = legs.account;
+
+  return jsonb_build_object(
+    'posted', true, 'duplicate', false, 'transaction', to_jsonb(v_txn));
+end;
+$$;
+
+-- Pays as much of an order as the buyer's wallet holds, up to
+-- p_max_amount, and records it on the payments row in the same
+-- transaction. An order paid in full becomes a 'wallet' order. Returns the
+-- amount taken; calling it again for the same order returns the same amount.
+create or replace function wallet_pay_order(
+  p_order_id text,
+  p_user_id bigint,
+  p_account text,
+  p_sales_account text,
+  p_max_amount numeric
+) returns numeric
+language plpgsql as $$
+declare
+  v_key text := 'purchase:' || p_order_id;
+  v_txn wallet_transactions;
+  v_balance numeric;
+  v_amount numeric;
+begin
+  perform 1 from payments
+   where order_id = p_order_id and user_id = p_user_id
+     for update;
+  if not found then
+    raise exception 'Order % not found', p_order_id using errcode = 'P0002';
+  end if;
+
+  select * into v_txn from wallet_transactions where idempotency_key = v_key;
+  if found then
+    return v_txn.amount;
+  end if;
+
+  insert into wallet_balances (account) values (p_account)
+  on conflict (account) do nothing;
+
+  select balance into v_balance
+    from wallet_balances
+   where account = p_account
+     for update;
+
+  v_amount := least(greatest(v_balance, 0), p_max_amount);
+  if v_amount <= 0 then
+    return 0;
+  end if;
+
+  perform wallet_post(
+    v_key, 'purchase', p_user_id, p_order_id, null,
+    jsonb_build_array(
+      jsonb_build_object('account', p_account, 'amount', -v_amount),
+      jsonb_build_object('account', p_sales_account, 'amount', v_amount)));
+
+  update payments
+     set wallet_amount = v_amount,
+         gateway = case when v_amount >= amount then 'wallet' else gateway end
+   where order_id = p_order_id;
+
+  return v_amount;
+end;
+$$;
+
+-- Credits an approved wallet claim's prize and marks the claim paid, with
+-- the claim row locked. The posting is keyed on the ticket.
+-- Returns { "paid": true, "claim", "transaction" } or
+-- { "paid": false, "status": <the claim's status> }.
+create or replace function wallet_pay_claim(
+  p_claim_id bigint,
+  p_account text,
+  p_from_account text
+) returns jsonb
+language plpgsql as $$
+declare
+  v_claim prize_claims;
+  v_post jsonb;
+begin
+  select * into v_claim from prize_claims where id = p_claim_id for update;
+  if not found then
+    raise exception 'Claim % not found', p_claim_id using errcode = 'P0002';
+  end if;
+
+  if v_claim.status <> 'approved' or v_claim.payout_method <> 'wallet' then
+    return jsonb_build_object('paid', false, 'status', v_claim.status);
+  end if;
+
+  v_post := wallet_post(
+    'prize:' || v_claim.ticket_code, 'prize_credit', v_claim.user_id,
+    v_claim.ticket_code, 'Prize for ticket ' || v_claim.ticket_code,
+    jsonb_build_array(
+      jsonb_build_object('account', p_from_account,
+                         'amount', -v_claim.prize_amount),
+      jsonb_build_object('account', p_account,
+                         'amount', v_claim.prize_amount)),
+    true);
+
+  update prize_claims
+     set status = 'paid',
+         transaction_ref = 'WALLET_' || (v_post->'transaction'->>'id'),
+         paid_at = now(),
+         updated_at = now()
+   where id = p_claim_id
+  returning * into v_claim;
+
+  return jsonb_build_object(
+    'paid', true,
+    'claim', to_jsonb(v_claim),
+    'transaction', v_post->'transaction');
+end;
+$$;
@@ -0,0 +1,18 @@
+-- payments.wallet_refunded_at marks a refunded order's wallet share as
+-- returned, so the reconciliation run can finish refunds that stopped
+-- before that step.
+
+alter table payments
+  add column if not exists wallet_refunded_at timestamptz;
+
+-- Refunds whose wallet share already went back
+update payments p
+   set wallet_refunded_at = t.created_at
+  from wallet_transactions t
+ where t.idempotency_key = 'refund:' || p.order_id
+   and p.wallet_refunded_at is null;
+
+create index if not exists payments_wallet_refund_pending_idx
+  on payments (created_at)
+  where status = 'refunded' and wallet_amount > 0
+    and wallet_refunded_at is null;
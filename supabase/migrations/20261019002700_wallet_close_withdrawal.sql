@@ -0,0 +1,82 @@
+-- Rejects a withdrawal (the held amount goes back to p_to_account, the
+-- player's wallet) or records it paid (the held amount goes out to
+-- p_to_account, the house paid-out account), posting the matching
+-- transaction in the same transaction as the status change, with the
+-- withdrawal row locked. Only a withdrawal still in p_from_status whose
+-- amount was held moves. Returns { "closed": true, "withdrawal",
+-- "transaction" } or { "closed": false, "reason": "changed" | "not_held",
+-- "status": <the withdrawal's status> }.
+create or replace function wallet_close_withdrawal(
+  p_withdrawal_id bigint,
+  p_from_status text,
+  p_status text,
+  p_held_account text,
+  p_to_account text,
+  p_reason text default null,
+  p_transaction_ref text default null,
+  p_reviewed_by bigint default null
+) returns jsonb
+language plpgsql as $$
+declare
+  v_withdrawal wallet_withdrawals;
+  v_post jsonb;
+begin
+  if p_status not in ('rejected', 'paid') then
+    raise exception 'Withdrawals are closed as rejected or paid, not %',
+      p_status;
+  end if;
+
+  select * into v_withdrawal
+    from wallet_withdrawals
+   where id = p_withdrawal_id
+     for update;
+  if not found then
+    raise exception 'Withdrawal % not found', p_withdrawal_id
+      using errcode = 'P0002';
+  end if;
+
+  if v_withdrawal.status <> p_from_status then
+    return jsonb_build_object(
+      'closed', false, 'reason', 'changed', 'status', v_withdrawal.status);
+  end if;
+
+  if not exists (
+    select 1 from wallet_transactions
+     where idempotency_key = 'withdrawal:' || p_withdrawal_id
+  ) then
+    return jsonb_build_object(
+      'closed', false, 'reason', 'not_held', 'status', v_withdrawal.status);
+  end if;
+
+  v_post := wallet_post(
+    case when p_status = 'rejected' then 'withdrawal_reversal:'
+         else 'withdrawal_paid:' end || p_withdrawal_id,
+    case when p_status = 'rejected' then 'withdrawal_reversal'
+         else 'withdrawal_paid' end,
+    v_withdrawal.user_id,
+    p_withdrawal_id::text,
+    coalesce(p_reason, p_transaction_ref),
+    jsonb_build_array(
+      jsonb_build_object('account', p_held_account,
+                         'amount', -v_withdrawal.amount),
+      jsonb_build_object('account', p_to_account,
+                         'amount', v_withdrawal.amount)));
+
+  update wallet_withdrawals
+     set status = p_status,
+         rejection_reason = coalesce(p_reason, rejection_reason),
+         transaction_ref = coalesce(p_transaction_ref, transaction_ref),
+         reviewed_by = coalesce(p_reviewed_by, reviewed_by),
+         reviewed_at = case when p_reviewed_by is null then reviewed_at
+                            else now() end,
+         paid_at = case when p_status = 'paid' then now() else paid_at end,
+         updated_at = now()
+   where id = p_withdrawal_id
+  returning * into v_withdrawal;
+
+  return jsonb_build_object(
+    'closed', true,
+    'withdrawal', to_jsonb(v_withdrawal),
+    'transaction', v_post->'transaction');
+end;
+$$;
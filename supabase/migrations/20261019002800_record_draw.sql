@@ -0,0 +1,43 @@
+-- Marks a closed round drawn and inserts its winners in one transaction
+-- (p_winners: [{ "ticket_code", "prize_amount", "prize_tier", "rank" }]).
+-- Only the draw that moves the round out of 'closed' writes anything, so a
+-- concurrent draw or a cancellation leaves no winners behind. Returns
+-- { "drawn": true, "round": <row> } or { "drawn": false, "status": <the
+-- round's status> }.
+create or replace function record_draw(
+  p_round_id bigint,
+  p_public_entropy text,
+  p_tickets_hash text,
+  p_draw_algorithm text,
+  p_winners jsonb
+) returns jsonb
+language plpgsql as $$
+declare
+  v_round lottery_rounds;
+begin
+  update lottery_rounds
+     set status = 'drawn',
+         drawn_at = now(),
+         public_entropy = p_public_entropy,
+         tickets_hash = p_tickets_hash,
+         winner_count = jsonb_array_length(p_winners),
+         draw_algorithm = p_draw_algorithm
+   where id = p_round_id
+     and status = 'closed'
+  returning * into v_round;
+
+  if not found then
+    return jsonb_build_object(
+      'drawn', false,
+      'status', (select status from lottery_rounds where id = p_round_id));
+  end if;
+
+  insert into winners (ticket_code, prize_amount, prize_tier, rank, round_id)
+  select w.ticket_code, w.prize_amount, w.prize_tier, w.rank, p_round_id
+    from jsonb_to_recordset(p_winners)
+      as w(ticket_code text, prize_amount numeric, prize_tier integer,
+           rank integer);
+
+  return jsonb_build_object('drawn', true, 'round', to_jsonb(v_round));
+end;
+$$;
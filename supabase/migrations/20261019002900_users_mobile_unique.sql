@@ -0,0 +1,20 @@
+-- One account per mobile number. The server always takes the oldest row
+-- for a number, so existing duplicates keep working, but their tickets,
+-- orders and wallets have to be merged by hand before the index can be
+-- built; until then this only reports them.
+
+do $$
+declare
+  v_duplicates integer;
+begin
+  select count(*) into v_duplicates
+    from (select mobile from users group by mobile having count(*) > 1) d;
+
+  if v_duplicates > 0 then
+    raise notice '% mobile numbers have more than one users row, merge them and run this migration again to add users_mobile_key',
+      v_duplicates;
+  else
+    create unique index if not exists users_mobile_key on users (mobile);
+  end if;
+end;
+$$;
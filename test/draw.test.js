@@ -0,0 +1,277 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startApp } from "./helpers/app.js";
+
+const sha256Hex = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// The draw as the proof's how_to_verify steps describe it, written apart
+// from server.js so a change to the algorithm can't pass unnoticed
+function replayDraw({
+  server_seed,
+  public_entropy,
+  ticket_codes,
+  winner_count,
+}) {
+  const codes = [...ticket_codes].sort();
+  const ticketsHash = sha256Hex(codes.join("\n"));
+
+  const values = [];
+  for (let block = 0; values.length < 1000; block++) {
+    const digest = crypto
+      .createHmac("sha256", server_seed)
+      .update(`${public_entropy}:${ticketsHash}:${block}`)
+      .digest();
+    for (let i = 0; i < digest.length; i += 4) {
+      values.push(digest.readUInt32BE(i));
+    }
+  }
+
+  const pick = (n) => {
+    const limit = Math.floor(2 ** 32 / n) * n;
+    let value;
+    do {
+      value = values.shift();
+    } while (value >= limit);
+    return value % n;
+  };
+
+  for (let i = 0; i < winner_count; i++) {
+    const j = i + pick(codes.length - i);
+    [codes[i], codes[j]] = [codes[j], codes[i]];
+  }
+  return { ticketsHash, winners: codes.slice(0, winner_count) };
+}
+
+describe("provably fair draw", () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    app = await startApp();
+    adminToken = await app.adminToken();
+  });
+
+  after(() => app?.close());
+
+  const admin = (url, body = {}) => app.post(url, body, { token: adminToken });
+
+  test("the proof hides the seed until the draw", async () => {
+    await app.buyTickets({ mobile: "9000000301", quantity: 5 });
+    await app.buyTickets({ mobile: "9000000302", quantity: 3 });
+
+    const proof = await app.get("/api/draws/1/proof");
+    assert.equal(proof.status, 200);
+    assert.equal(proof.body.revealed, false);
+    assert.equal(proof.body.server_seed, undefined);
+    assert.match(proof.body.server_seed_hash, /^[0-9a-f]{64}$/);
+  });
+
+  test("the published proof re-runs to the same winners", async () => {
+    const committed = (await app.get("/api/draws/1/proof")).body
+      .server_seed_hash;
+
+    const tiers = await admin("/api/admin/rounds/1/prize-tiers", {
+      tiers: [
+        { rank: 1, winner_count: 1, amount: 200 },
+        { rank: 2, winner_count: 2, amount: 50 },
+      ],
+    });
+    assert.equal(tiers.status, 200);
+    assert.equal(
+      (
+        await admin("/api/admin/rounds/1/entropy-source", {
+          entropy_source: "Closing value of a public index on draw day",
+        })
+      ).status,
+      200
+    );
+    assert.equal((await admin("/api/admin/rounds/1/close")).status, 200);
+
+    const draw = await admin("/api/admin/rounds/1/draw", {
+      public_entropy: "18250.35",
+    });
+    assert.equal(draw.status, 200);
+
+    const proof = (await app.get("/api/draws/1/proof")).body;
+    assert.equal(proof.revealed, true);
+    assert.equal(proof.verified, true);
+    assert.equal(proof.server_seed_hash, committed);
+    assert.equal(sha256Hex(proof.server_seed), committed);
+    assert.equal(proof.public_entropy, "18250.35");
+    assert.equal(proof.ticket_codes.length, 8);
+    assert.equal(proof.winner_count, 3);
+
+    const replay = replayDraw(proof);
+    assert.equal(replay.ticketsHash, proof.tickets_hash);
+    assert.deepEqual(
+      replay.winners,
+      proof.winners.map((w) => w.ticket_code)
+    );
+    assert.deepEqual(
+      proof.winners.map((w) => Number(w.prize_amount)),
+      [200, 50, 50]
+    );
+  });
+
+  test("a round can't be drawn again with different entropy", async () => {
+    const res = await admin("/api/admin/rounds/1/draw", {
+      public_entropy: "99999.99",
+    });
+    assert.equal(res.status, 409);
+
+    const proof = (await app.get("/api/draws/1/proof")).body;
+    assert.equal(proof.public_entropy, "18250.35");
+    assert.equal(proof.verified, true);
+  });
+
+  test("the proof stops verifying if a winner is changed", async () => {
+    const proof = (await app.get("/api/draws/1/proof")).body;
+    const loser = proof.ticket_codes.find(
+      (code) => !proof.winners.some((w) => w.ticket_code === code)
+    );
+    const first = app.db
+      .table("winners")
+      .find((w) => w.ticket_code === proof.winners[0].ticket_code);
+    first.ticket_code = loser;
+
+    const tampered = (await app.get("/api/draws/1/proof")).body;
+    assert.equal(tampered.verified, false);
+  });
+});
+
+describe("recording a draw", () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    app = await startApp();
+    adminToken = await app.adminToken();
+  });
+
+  after(() => app?.close());
+
+  const admin = (url, body = {}) => app.post(url, body, { token: adminToken });
+
+  test("a draw whose winners can't be written leaves the round closed", async () => {
+    await app.buyTickets({ mobile: "9000000311", quantity: 3 });
+    await admin("/api/admin/rounds/1/prize-tiers", {
+      tiers: [{ rank: 1, winner_count: 1, amount: 100 }],
+    });
+    await admin("/api/admin/rounds/1/entropy-source", {
+      entropy_source: "test",
+    });
+    await admin("/api/admin/rounds/1/close");
+
+    // Stale rows holding every ticket make the winner insert fail
+    const codes = app.db.table("tickets").map((t) => t.ticket_code);
+    app.db.seed({
+      winners: codes.map((ticket_code) => ({ ticket_code, prize_amount: 1 })),
+    });
+
+    const failed = await admin("/api/admin/rounds/1/draw", {
+      public_entropy: "record-draw-test",
+    });
+    assert.equal(failed.status, 500);
+
+    const [round] = app.db.table("lottery_rounds");
+    assert.equal(round.status, "closed");
+    assert.equal(round.tickets_hash ?? null, null);
+    assert.equal(app.db.table("winners").length, codes.length);
+
+    app.db.table("winners").length = 0;
+    const draw = await admin("/api/admin/rounds/1/draw", {
+      public_entropy: "record-draw-test",
+    });
+    assert.equal(draw.status, 200);
+    assert.equal(round.status, "drawn");
+    assert.equal(app.db.table("winners").length, 1);
+    assert.equal((await app.get("/api/draws/1/proof")).body.verified, true);
+  });
+
+  test("only one of two concurrent draws writes winners", async () => {
+    assert.equal((await admin("/api/admin/rounds", {})).status, 200);
+    await app.buyTickets({ mobile: "9000000312", quantity: 3 });
+    await admin("/api/admin/rounds/2/prize-tiers", {
+      tiers: [{ rank: 1, winner_count: 1, amount: 100 }],
+    });
+    await admin("/api/admin/rounds/2/entropy-source", {
+      entropy_source: "test",
+    });
+    await admin("/api/admin/rounds/2/close");
+
+    const draws = await Promise.all(
+      [1, 2].map(() =>
+        admin("/api/admin/rounds/2/draw", { public_entropy: "race" })
+      )
+    );
+    assert.deepEqual(draws.map((d) => d.status).sort(), [200, 409]);
+    assert.equal(
+      app.db.table("winners").filter((w) => String(w.round_id) === "2").length,
+      1
+    );
+  });
+
+  test("winners added by hand need a live ticket in a drawn round", async () => {
+    const addWinner = (ticket_code, prize_amount = 50) =>
+      admin("/api/admin/winners", {
+        winners: [{ ticket_code, prize_amount }],
+      });
+    const roundTickets = app.db
+      .table("tickets")
+      .filter((t) => String(t.round_id) === "2");
+    const [drawnWinner] = app.db
+      .table("winners")
+      .filter((w) => String(w.round_id) === "2");
+    const [loser, voided] = roundTickets.filter(
+      (t) => t.ticket_code !== drawnWinner.ticket_code
+    );
+
+    assert.equal((await app.get("/api/draws/2/proof")).body.verified, true);
+
+    assert.equal((await addWinner("NOSUCHTICKET")).status, 400);
+    assert.equal((await addWinner(loser.ticket_code, 0)).status, 400);
+
+    const overwrite = await addWinner(drawnWinner.ticket_code, 5000);
+    assert.equal(overwrite.status, 409);
+    assert.equal(Number(drawnWinner.prize_amount), 100);
+
+    voided.status = "void";
+    assert.equal((await addWinner(voided.ticket_code)).status, 400);
+    voided.status = "confirmed";
+
+    assert.equal((await admin("/api/admin/rounds", {})).status, 200);
+    const open = await app.buyTickets({ mobile: "9000000313", quantity: 1 });
+    const [openTicket] = app.db
+      .table("tickets")
+      .filter((t) => t.order_id === open.order_id);
+    assert.equal((await addWinner(openTicket.ticket_code)).status, 400);
+
+    const added = await addWinner(loser.ticket_code);
+    assert.equal(added.status, 200);
+
+    const proof = (await app.get("/api/draws/2/proof")).body;
+    assert.ok(proof.winners.some((w) => w.ticket_code === loser.ticket_code));
+    assert.equal(proof.verified, false);
+  });
+
+  test("a refunded winning ticket can't be claimed", async () => {
+    const [winner] = app.db
+      .table("winners")
+      .filter((w) => String(w.round_id) === "2" && w.rank === 1);
+    const ticket = app.db
+      .table("tickets")
+      .find((t) => t.ticket_code === winner.ticket_code);
+    ticket.status = "void";
+
+    const token = await app.playerToken("9000000312");
+    const res = await app.post(
+      "/api/me/claims",
+      { ticket_code: winner.ticket_code, payout_method: "wallet" },
+      { token }
+    );
+    assert.equal(res.status, 400);
+    assert.equal(app.db.table("prize_claims").length, 0);
+  });
+});
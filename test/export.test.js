@@ -0,0 +1,48 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Today in the reporting timezone, IST by default
+const today = () =>
+  new Date(Date.now() + 330 * 60 * 1000).toISOString().slice(0, 10);
+
+describe("date filters", () => {
+  let app;
+  let adminToken;
+  let order;
+
+  before(async () => {
+    app = await startApp();
+    adminToken = await app.adminToken();
+    order = await app.buyTickets({ mobile: "9000000601", quantity: 1 });
+  });
+
+  after(() => app?.close());
+
+  const adminGet = (url) => app.get(url, { token: adminToken });
+
+  test("a plain `to` date exports the whole of that day", async () => {
+    const day = today();
+    const res = await adminGet(
+      `/api/admin/export/payments?from=${day}&to=${day}`
+    );
+    assert.equal(res.status, 200);
+    assert.match(res.body, new RegExp(order.order_id));
+
+    const bad = await adminGet("/api/admin/export/payments?to=2026-02-31");
+    assert.equal(bad.status, 400);
+  });
+
+  test("a plain `to` date searches the whole of that day's audit log", async () => {
+    const res = await adminGet(`/api/admin/audit?to=${today()}`);
+    assert.equal(res.status, 200);
+    assert.ok(
+      res.body.entries.some(
+        (e) => e.action === "payment.success" && e.entity_id === order.order_id
+      )
+    );
+
+    const before = await adminGet("/api/admin/audit?to=2020-01-01");
+    assert.equal(before.body.entries.length, 0);
+  });
+});
@@ -0,0 +1,183 @@
+// Runs server.js in a child process against a fresh fake PostgREST, with
+// the mock payment gateway, and offers the calls the tests keep repeating.
+
+import { spawn } from "child_process";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startFakePostgrest } from "./fake-postgrest.js";
+
+const ROOT = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../.."
+);
+
+export const ADMIN_PASSWORD = "admin-test-password";
+export const MOCK_GATEWAY_SECRET = "mock-gateway-test-secret";
+
+const STARTUP_TIMEOUT_MS = 20000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function startApp(env = {}) {
+  const db = await startFakePostgrest();
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // supabase-js needs a global WebSocket, which Node 20 only has behind a flag
+  const nodeArgs =
+    typeof WebSocket === "undefined" ? ["--experimental-websocket"] : [];
+
+  const child = spawn(process.execPath, [...nodeArgs, "server.js"], {
+    cwd: ROOT,
+    env: {
+      PATH: process.env.PATH,
+      SUPABASE_URL: db.url,
+      SUPABASE_SERVICE_ROLE_KEY: "test-service-role-key",
+      PORT: String(port),
+      ADMIN_PASSWORD,
+      AUTH_TOKEN_SECRET: "test-auth-token-secret",
+      PAYMENT_PROVIDER: "mock",
+      MOCK_GATEWAY_SECRET,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+
+  let exited = false;
+  const exit = new Promise((resolve) =>
+    child.on("exit", () => {
+      exited = true;
+      resolve();
+    })
+  );
+
+  async function request(method, url, { body, token, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "content-type": "application/json" }),
+        ...(token && { authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch {}
+    return { status: res.status, body: data };
+  }
+
+  const app = {
+    baseUrl,
+    db,
+    request,
+    get: (url, options) => request("GET", url, options),
+    post: (url, body, options) => request("POST", url, { ...options, body }),
+    output: () => output,
+
+    async close() {
+      if (!exited) {
+        child.kill();
+        await exit;
+      }
+      await db.close();
+    },
+
+    async adminToken() {
+      const res = await app.post("/api/admin/login", {
+        password: ADMIN_PASSWORD,
+      });
+      if (res.status !== 200) {
+        throw new Error(`Admin login failed: ${JSON.stringify(res.body)}`);
+      }
+      return res.body.token;
+    },
+
+    // Logs a player in with the code the console SMS sender prints
+    async playerToken(mobile) {
+      const sent = await app.post("/api/auth/otp/request", { mobile });
+      if (sent.status !== 200) {
+        throw new Error(`OTP request failed: ${JSON.stringify(sent.body)}`);
+      }
+
+      const pattern = new RegExp(`\\[sms → ${mobile}\\] (\\d{6})`, "g");
+      let otp;
+      for (let i = 0; i < 50 && !otp; i++) {
+        otp = [...output.matchAll(pattern)].pop()?.[1];
+        if (!otp) await sleep(50);
+      }
+
+      const res = await app.post("/api/auth/otp/verify", { mobile, otp });
+      if (res.status !== 200) {
+        throw new Error(`OTP verify failed: ${JSON.stringify(res.body)}`);
+      }
+      return res.body.token;
+    },
+
+    // Creates an order and pays it on the mock gateway's checkout page,
+    // which sends the signed webhook. Returns the create-order response.
+    async buyTickets(order, { token } = {}) {
+      const created = await app.post(
+        "/api/create-order",
+        { name: "Test Player", ...order },
+        { token }
+      );
+      if (created.status !== 200) {
+        throw new Error(`create-order failed: ${JSON.stringify(created.body)}`);
+      }
+
+      if (created.body.payment_url) {
+        const paid = await app.get(
+          `/api/mock-gateway/pay/${created.body.order_id}?result=success`
+        );
+        if (paid.status !== 200) {
+          throw new Error(`Mock payment failed: ${JSON.stringify(paid.body)}`);
+        }
+      }
+      return created.body;
+    },
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (true) {
+    if (exited) {
+      await db.close();
+      throw new Error(`server.js exited during startup:\n${output}`);
+    }
+    // The admin account is created after the server starts listening
+    if (output.includes("Bootstrapped superadmin account")) {
+      try {
+        const res = await fetch(`${baseUrl}/api/tickets/remaining`);
+        if (res.ok) break;
+      } catch {}
+    }
+    if (Date.now() > deadline) {
+      await app.close();
+      throw new Error(`server.js did not start in time:\n${output}`);
+    }
+    await sleep(100);
+  }
+
+  return app;
+}
@@ -0,0 +1,498 @@
+// In-memory stand-in for the Supabase REST API, enough of PostgREST for
+// server.js: filters (eq, neq, gt, gte, lt, lte, is, in, like, ilike, not.,
+// or, and), select with embedded tables, order, limit/offset and range,
+// count=exact, single-object responses, upserts, unique keys and the SQL
+// functions in fake-rpcs.js. Tables spring into existence on first use.
+
+import http from "http";
+import { makeRpcs } from "./fake-rpcs.js";
+
+// Columns with a unique constraint in supabase/migrations. The first one is
+// also the default on_conflict target for upserts.
+const UNIQUE_COLUMNS = {
+  admin_users: ["username"],
+  users: ["mobile"],
+  tickets: ["ticket_code"],
+  payments: ["order_id"],
+  winners: ["ticket_code"],
+  lottery_rounds: ["round_number"],
+  agents: ["mobile", "referral_code"],
+  agent_commissions: ["order_id"],
+  promo_codes: ["code"],
+  promo_redemptions: ["order_id"],
+  wallet_transactions: ["idempotency_key"],
+  wallet_balances: ["account"],
+  audit_log: ["prev_hash"],
+};
+
+const RESERVED_PARAMS = [
+  "select",
+  "order",
+  "limit",
+  "offset",
+  "on_conflict",
+  "columns",
+];
+
+function parseValue(raw) {
+  if (raw === "null") return null;
+  if (raw === "true") return true;
+  if (raw === "false") return false;
+  return raw;
+}
+
+// Numbers compare as numbers, everything else as strings; null is only
+// equal to null
+function compare(a, b) {
+  if (a == null || b == null) return a == b ? 0 : NaN;
+  const na = Number(a);
+  const nb = Number(b);
+  if (!isNaN(na) && !isNaN(nb) && typeof a !== "boolean") return na - nb;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+// Splits on commas that are outside parentheses and quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    if (!quoted && ch === "(") depth++;
+    if (!quoted && ch === ")") depth--;
+    if (!quoted && ch === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+function compareIds(a, b) {
+  return a != null && b != null && String(a) === String(b);
+}
+
+function likePattern(pattern, flags) {
+  const escaped = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/[*%]/g, ".*");
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+// column is "name" or "json_column->>key"; expr is "op.value"
+function matches(row, column, expr) {
+  let negate = false;
+  if (expr.startsWith("not.")) {
+    negate = true;
+    expr = expr.slice(4);
+  }
+
+  const dot = expr.indexOf(".");
+  const op = expr.slice(0, dot);
+  const raw = expr.slice(dot + 1);
+
+  let value = row[column];
+  if (column.includes("->>")) {
+    const [name, key] = column.split("->>");
+    value = row[name]?.[key];
+  }
+
+  let result;
+  switch (op) {
+    case "eq":
+      result = compare(value, parseValue(raw)) === 0 || String(value) === raw;
+      break;
+    case "neq":
+      result = !(
+        compare(value, parseValue(raw)) === 0 || String(value) === raw
+      );
+      break;
+    case "gt":
+      result = compare(value, raw) > 0;
+      break;
+    case "gte":
+      result = compare(value, raw) >= 0;
+      break;
+    case "lt":
+      result = compare(value, raw) < 0;
+      break;
+    case "lte":
+      result = compare(value, raw) <= 0;
+      break;
+    case "is":
+      result = raw === "null" ? value == null : value === parseValue(raw);
+      break;
+    case "in":
+      result = splitTopLevel(raw.slice(1, -1))
+        .map((item) => item.replace(/^"|"$/g, ""))
+        .some((item) => String(value) === item);
+      break;
+    case "like":
+    case "ilike":
+      result =
+        value != null &&
+        likePattern(raw, op === "ilike" ? "i" : "").test(String(value));
+      break;
+    default:
+      throw new Error(`Unsupported filter ${op}`);
+  }
+
+  return negate ? !result : result;
+}
+
+// "column.op.value" terms, as found inside or=(...) and and=(...)
+function matchesTerm(row, term) {
+  if (term.startsWith("and(")) {
+    return splitTopLevel(term.slice(4, -1)).every((t) => matchesTerm(row, t));
+  }
+  if (term.startsWith("or(")) {
+    return splitTopLevel(term.slice(3, -1)).some((t) => matchesTerm(row, t));
+  }
+  const dot = term.indexOf(".");
+  return matches(row, term.slice(0, dot), term.slice(dot + 1));
+}
+
+function applyFilters(rows, params) {
+  for (const [key, value] of params) {
+    if (RESERVED_PARAMS.includes(key)) continue;
+
+    if (key === "or") {
+      rows = rows.filter((row) =>
+        splitTopLevel(value.slice(1, -1)).some((t) => matchesTerm(row, t))
+      );
+    } else if (key === "and") {
+      rows = rows.filter((row) =>
+        splitTopLevel(value.slice(1, -1)).every((t) => matchesTerm(row, t))
+      );
+    } else {
+      rows = rows.filter((row) => matches(row, key, value));
+    }
+  }
+  return rows;
+}
+
+// "a, b:c, other!inner(x, y)" -> columns plus embedded tables
+function parseSelect(select) {
+  if (!select || select === "*") return { columns: null, embeds: [] };
+
+  const columns = [];
+  const embeds = [];
+  for (const part of splitTopLevel(select.replace(/\s+/g, ""))) {
+    const embed = part.match(/^(?:(\w+):)?(\w+)(!inner)?\((.*)\)$/);
+    if (embed) {
+      embeds.push({
+        alias: embed[1] || embed[2],
+        table: embed[2],
+        inner: Boolean(embed[3]),
+        select: embed[4],
+      });
+    } else {
+      columns.push(part);
+    }
+  }
+  return { columns: columns.length ? columns : null, embeds };
+}
+
+export async function startFakePostgrest({ port = 0 } = {}) {
+  const tables = {};
+  const sequences = {};
+  // Tables and functions whose writes fail, see failWrites below
+  const failing = new Set();
+
+  const injectedFailure = (name) => ({
+    code: "XX000",
+    message: `Injected failure writing ${name}`,
+  });
+
+  const table = (name) => (tables[name] ||= []);
+
+  function insert(name, row) {
+    sequences[name] = (sequences[name] || 0) + 1;
+    const stored = {
+      id: row.id ?? sequences[name],
+      // Distinct, increasing timestamps keep "order by created_at" stable
+      created_at: new Date(Date.now() + sequences[name]).toISOString(),
+      ...row,
+    };
+    if (row.id == null) stored.id = sequences[name];
+    table(name).push(stored);
+    return stored;
+  }
+
+  function uniqueViolation(name, row, ignore) {
+    return (UNIQUE_COLUMNS[name] || []).find((column) =>
+      table(name).some(
+        (existing) =>
+          existing !== ignore &&
+          row[column] != null &&
+          existing[column] === row[column]
+      )
+    );
+  }
+
+  const rpcs = makeRpcs({ table, insert });
+
+  // Many-to-one when the row has <table>_id, one-to-many otherwise
+  function project(name, row, select) {
+    const { columns, embeds } = parseSelect(select);
+
+    let out = {};
+    if (!columns || columns.includes("*")) {
+      out = { ...row };
+    } else {
+      for (const column of columns) {
+        const [alias, source] = column.includes(":")
+          ? column.split(":")
+          : [column, column];
+        out[alias] = row[source];
+      }
+    }
+
+    for (const embed of embeds) {
+      const foreignKey = `${embed.table.replace(/s$/, "")}_id`;
+      if (row[foreignKey] !== undefined) {
+        const target = table(embed.table).find((r) =>
+          compareIds(r.id, row[foreignKey])
+        );
+        out[embed.alias] = target
+          ? project(embed.table, target, embed.select)
+          : null;
+      } else {
+        const backKey = `${name.replace(/s$/, "")}_id`;
+        out[embed.alias] = table(embed.table)
+          .filter((r) => compareIds(r[backKey], row.id))
+          .map((r) => project(embed.table, r, embed.select));
+      }
+    }
+    return out;
+  }
+
+  function hasInnerEmbeds(projected, embeds) {
+    return embeds
+      .filter((e) => e.inner)
+      .every(
+        (e) =>
+          projected[e.alias] &&
+          (!Array.isArray(projected[e.alias]) || projected[e.alias].length)
+      );
+  }
+
+  function sortRows(rows, order) {
+    if (!order) return rows;
+
+    const keys = order.split(",").map((term) => {
+      const [column, direction, nulls] = term.split(".");
+      const descending = direction === "desc";
+      return {
+        column,
+        descending,
+        nullsLast: nulls ? nulls === "nullslast" : !descending,
+      };
+    });
+
+    return [...rows].sort((a, b) => {
+      for (const { column, descending, nullsLast } of keys) {
+        const aNull = a[column] == null;
+        const bNull = b[column] == null;
+        if (aNull !== bNull) return aNull === nullsLast ? 1 : -1;
+        if (aNull) continue;
+        const diff = compare(a[column], b[column]);
+        if (diff) return descending ? -diff : diff;
+      }
+      return 0;
+    });
+  }
+
+  function handle(req, body, send) {
+    const url = new URL(req.url, "http://localhost");
+
+    const rpcMatch = url.pathname.match(/^\/rest\/v1\/rpc\/(\w+)$/);
+    if (rpcMatch) {
+      const fn = rpcs[rpcMatch[1]];
+      if (failing.has(rpcMatch[1])) {
+        return send(500, injectedFailure(rpcMatch[1]));
+      }
+      if (!fn) {
+        return send(404, {
+          code: "PGRST202",
+          message: `Could not find the function public.${rpcMatch[1]}`,
+        });
+      }
+      try {
+        return send(200, fn(JSON.parse(body || "{}")));
+      } catch (err) {
+        return send(400, { code: err.code || "P0001", message: err.message });
+      }
+    }
+
+    const tableMatch = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+    if (!tableMatch) return send(404, { message: "Not found" });
+
+    const name = tableMatch[1];
+    if (failing.has(name) && req.method !== "GET" && req.method !== "HEAD") {
+      return send(500, injectedFailure(name));
+    }
+
+    const params = [...url.searchParams.entries()];
+    const select = url.searchParams.get("select");
+    const { embeds } = parseSelect(select);
+    const prefer = req.headers.prefer || "";
+    const single = (req.headers.accept || "").includes("vnd.pgrst.object");
+
+    const respond = (rows, status = 200, total = rows.length) => {
+      const out = rows
+        .map((row) => project(name, row, select))
+        .filter((row) => hasInnerEmbeds(row, embeds));
+
+      const headers = {};
+      if (prefer.includes("count=exact")) {
+        headers["content-range"] = `0-${Math.max(out.length - 1, 0)}/${total}`;
+      }
+      if (req.method === "HEAD") return send(200, undefined, headers);
+
+      if (single) {
+        if (out.length !== 1) {
+          return send(406, {
+            code: "PGRST116",
+            message: "JSON object requested, multiple (or no) rows returned",
+            details: `The result contains ${out.length} rows`,
+          });
+        }
+        return send(status, out[0], headers);
+      }
+
+      if (req.method !== "GET" && !prefer.includes("return=representation")) {
+        return send(status === 200 ? 204 : status, undefined, headers);
+      }
+      send(status, out, headers);
+    };
+
+    if (req.method === "GET" || req.method === "HEAD") {
+      let rows = applyFilters(table(name), params).filter((row) =>
+        hasInnerEmbeds(project(name, row, select), embeds)
+      );
+      const total = rows.length;
+
+      rows = sortRows(rows, url.searchParams.get("order"));
+      const offset = Number(url.searchParams.get("offset") || 0);
+      const limit = url.searchParams.get("limit");
+      rows = rows.slice(
+        offset,
+        limit != null ? offset + Number(limit) : undefined
+      );
+      return respond(rows, 200, total);
+    }
+
+    if (req.method === "POST") {
+      const input = JSON.parse(body || "[]");
+      const upsert = prefer.includes("resolution=");
+      const conflictColumn =
+        url.searchParams.get("on_conflict") ||
+        (UNIQUE_COLUMNS[name] || ["id"])[0];
+
+      const out = [];
+      for (const row of Array.isArray(input) ? input : [input]) {
+        if (upsert) {
+          const existing = table(name).find(
+            (r) =>
+              row[conflictColumn] != null &&
+              String(r[conflictColumn]) === String(row[conflictColumn])
+          );
+          if (existing) {
+            if (prefer.includes("merge-duplicates")) {
+              Object.assign(existing, row);
+            }
+            out.push(existing);
+            continue;
+          }
+        }
+
+        const column = uniqueViolation(name, row);
+        if (column) {
+          return send(409, {
+            code: "23505",
+            message: `duplicate key value violates unique constraint "${name}_${column}_key"`,
+          });
+        }
+        out.push(insert(name, row));
+      }
+      return respond(out, 201);
+    }
+
+    if (req.method === "PATCH") {
+      const patch = JSON.parse(body || "{}");
+      const rows = applyFilters(table(name), params);
+
+      for (const row of rows) {
+        const column = uniqueViolation(name, { ...row, ...patch }, row);
+        if (column) {
+          return send(409, {
+            code: "23505",
+            message: `duplicate key value violates unique constraint "${name}_${column}_key"`,
+          });
+        }
+      }
+      for (const row of rows) Object.assign(row, patch);
+      return respond(rows);
+    }
+
+    if (req.method === "DELETE") {
+      const rows = applyFilters(table(name), params);
+      tables[name] = table(name).filter((row) => !rows.includes(row));
+      return respond(rows);
+    }
+
+    send(405, { message: "Method not allowed" });
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const send = (status, data, headers = {}) => {
+        res.writeHead(status, {
+          "content-type": "application/json",
+          ...headers,
+        });
+        res.end(data === undefined ? "" : JSON.stringify(data));
+      };
+
+      try {
+        handle(req, body, send);
+      } catch (err) {
+        send(400, { code: "FAKE", message: err.message });
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    table,
+
+    // Adds rows directly, bypassing the API; { table: [rows] }
+    seed(data) {
+      for (const [name, rows] of Object.entries(data)) {
+        for (const row of rows) insert(name, row);
+      }
+    },
+
+    // Makes every insert, update and delete on a table, or every call of a
+    // function, fail until the returned function is called
+    failWrites(name) {
+      failing.add(name);
+      return () => failing.delete(name);
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,636 @@
+// JavaScript stand-ins for the SQL functions in supabase/migrations, run by
+// the fake PostgREST server. Each one takes the same p_* arguments and
+// returns what the SQL version returns. A function the server calls that is
+// missing here makes the request fail with PGRST202, as it would against a
+// database without the migration.
+
+const now = () => new Date().toISOString();
+const sameId = (a, b) => String(a) === String(b);
+const cents = (amount) => Math.round(Number(amount) * 100);
+
+export function makeRpcs({ table, insert }) {
+  // Tickets issued plus live holds, as counted by reserve_tickets
+  function takenStock(roundId, exceptOrderId) {
+    const issued = table("tickets").filter(
+      (t) => sameId(t.round_id, roundId) && t.status !== "void"
+    ).length;
+
+    const held = table("ticket_reservations")
+      .filter(
+        (r) =>
+          sameId(r.round_id, roundId) &&
+          r.order_id !== exceptOrderId &&
+          ((r.status === "held" && r.expires_at > now()) ||
+            (r.status === "confirmed" &&
+              !table("tickets").some((t) => t.order_id === r.order_id)))
+      )
+      .reduce((sum, r) => sum + r.quantity, 0);
+
+    return issued + held;
+  }
+
+  // promo_unavailable_reason
+  function promoUnavailableReason(promoId, mobile, exceptOrderId) {
+    const promo = table("promo_codes").find((p) => sameId(p.id, promoId));
+    if (!promo || !promo.is_active) return "invalid";
+    if (promo.starts_at && promo.starts_at > now()) return "not_started";
+    if (promo.expires_at && promo.expires_at <= now()) return "expired";
+
+    const uses = table("promo_redemptions").filter(
+      (r) =>
+        sameId(r.promo_id, promoId) &&
+        ["reserved", "redeemed"].includes(r.status) &&
+        r.order_id !== exceptOrderId
+    );
+    if (promo.max_uses != null && uses.length >= promo.max_uses) {
+      return "used_up";
+    }
+    if (
+      promo.per_mobile_limit != null &&
+      mobile != null &&
+      uses.filter((r) => r.mobile === mobile).length >= promo.per_mobile_limit
+    ) {
+      return "mobile_limit";
+    }
+    return null;
+  }
+
+  function notFound(message) {
+    return Object.assign(new Error(message), { code: "P0002" });
+  }
+
+  function walletBalanceRow(account) {
+    return (
+      table("wallet_balances").find((b) => b.account === account) ||
+      insert("wallet_balances", { account, balance: 0 })
+    );
+  }
+
+  function matchesSearch(search, ...values) {
+    return values.some(
+      (v) => v != null && String(v).toLowerCase().includes(search.toLowerCase())
+    );
+  }
+
+  const rpcs = {
+    reserve_tickets({ p_round_id, p_order_id, p_quantity, p_expires_at }) {
+      const round = table("lottery_rounds").find((r) =>
+        sameId(r.id, p_round_id)
+      );
+      if (!round) throw notFound(`Round ${p_round_id} not found`);
+
+      const available = Math.max(
+        round.total_tickets - takenStock(p_round_id),
+        0
+      );
+      if (available < p_quantity) return { reserved: false, available };
+
+      const reservation = insert("ticket_reservations", {
+        order_id: p_order_id,
+        round_id: p_round_id,
+        quantity: p_quantity,
+        status: "held",
+        expires_at: p_expires_at,
+      });
+      return { reserved: true, available: available - p_quantity, reservation };
+    },
+
+    claim_reserved_stock({ p_round_id, p_order_id, p_quantity }) {
+      const round = table("lottery_rounds").find((r) =>
+        sameId(r.id, p_round_id)
+      );
+      const reservation = table("ticket_reservations").find(
+        (r) => r.order_id === p_order_id
+      );
+
+      if (
+        reservation &&
+        (reservation.status === "confirmed" ||
+          (reservation.status === "held" && reservation.expires_at > now()))
+      ) {
+        reservation.status = "confirmed";
+        reservation.confirmed_at ||= now();
+        return true;
+      }
+
+      if (
+        round.total_tickets - takenStock(p_round_id, p_order_id) <
+        p_quantity
+      ) {
+        return false;
+      }
+
+      const confirmed = {
+        status: "confirmed",
+        confirmed_at: now(),
+        released_at: null,
+        release_reason: null,
+      };
+      if (reservation) {
+        Object.assign(reservation, confirmed);
+      } else {
+        insert("ticket_reservations", {
+          order_id: p_order_id,
+          round_id: p_round_id,
+          quantity: p_quantity,
+          expires_at: now(),
+          ...confirmed,
+        });
+      }
+      return true;
+    },
+
+    record_draw({
+      p_round_id,
+      p_public_entropy,
+      p_tickets_hash,
+      p_draw_algorithm,
+      p_winners,
+    }) {
+      const round = table("lottery_rounds").find((r) =>
+        sameId(r.id, p_round_id)
+      );
+      if (round.status !== "closed") {
+        return { drawn: false, status: round.status };
+      }
+
+      // The whole transaction fails on a duplicate winner
+      const taken = p_winners.find((w) =>
+        table("winners").some(
+          (existing) => existing.ticket_code === w.ticket_code
+        )
+      );
+      if (taken) {
+        throw Object.assign(
+          new Error(
+            'duplicate key value violates unique constraint "winners_ticket_code_key"'
+          ),
+          { code: "23505" }
+        );
+      }
+
+      Object.assign(round, {
+        status: "drawn",
+        drawn_at: now(),
+        public_entropy: p_public_entropy,
+        tickets_hash: p_tickets_hash,
+        winner_count: p_winners.length,
+        draw_algorithm: p_draw_algorithm,
+      });
+      for (const w of p_winners) {
+        insert("winners", { ...w, round_id: round.id });
+      }
+      return { drawn: true, round };
+    },
+
+    admin_list_users({
+      p_search,
+      p_round_id,
+      p_winner,
+      p_payment_status,
+      p_limit,
+      p_offset,
+    }) {
+      const ticketsOf = (user) =>
+        table("tickets").filter((t) => sameId(t.user_id, user.id));
+
+      const matches = table("users").filter(
+        (u) =>
+          (p_search == null ||
+            matchesSearch(p_search, u.mobile, u.name) ||
+            ticketsOf(u).some((t) => matchesSearch(p_search, t.ticket_code))) &&
+          (p_round_id == null ||
+            ticketsOf(u).some((t) => sameId(t.round_id, p_round_id))) &&
+          (p_payment_status == null ||
+            table("payments").some(
+              (p) =>
+                sameId(p.user_id, u.id) &&
+                p.status === p_payment_status &&
+                (p_round_id == null || sameId(p.round_id, p_round_id))
+            )) &&
+          (p_winner == null ||
+            p_winner ===
+              ticketsOf(u).some((t) =>
+                table("winners").some(
+                  (w) =>
+                    w.ticket_code === t.ticket_code &&
+                    (p_round_id == null || sameId(w.round_id, p_round_id))
+                )
+              ))
+      );
+
+      matches.sort((a, b) =>
+        a.created_at < b.created_at
+          ? 1
+          : a.created_at > b.created_at
+            ? -1
+            : b.id - a.id
+      );
+      return {
+        total: matches.length,
+        keys: matches.slice(p_offset, p_offset + p_limit).map((u) => u.id),
+      };
+    },
+
+    admin_list_tickets({
+      p_search,
+      p_round_id,
+      p_winner,
+      p_payment_status,
+      p_status,
+      p_limit,
+      p_offset,
+    }) {
+      const matches = table("tickets").filter(
+        (t) =>
+          (p_round_id == null || sameId(t.round_id, p_round_id)) &&
+          (p_status == null || t.status === p_status) &&
+          (p_search == null ||
+            matchesSearch(p_search, t.ticket_code) ||
+            table("users").some(
+              (u) =>
+                sameId(u.id, t.user_id) &&
+                matchesSearch(p_search, u.mobile, u.name)
+            )) &&
+          (p_winner == null ||
+            p_winner ===
+              table("winners").some(
+                (w) =>
+                  w.ticket_code === t.ticket_code &&
+                  (p_round_id == null || sameId(w.round_id, p_round_id))
+              )) &&
+          (p_payment_status == null ||
+            table("payments").some(
+              (p) =>
+                p.order_id === t.order_id &&
+                p.status === p_payment_status &&
+                (p_round_id == null || sameId(p.round_id, p_round_id))
+            ))
+      );
+
+      matches.sort((a, b) =>
+        a.created_at < b.created_at
+          ? 1
+          : a.created_at > b.created_at
+            ? -1
+            : a.ticket_code < b.ticket_code
+              ? -1
+              : 1
+      );
+      return {
+        total: matches.length,
+        keys: matches
+          .slice(p_offset, p_offset + p_limit)
+          .map((t) => t.ticket_code),
+      };
+    },
+
+    sales_analytics({
+      p_from,
+      p_to,
+      p_round_id,
+      p_group,
+      p_tz_offset_minutes,
+    }) {
+      const local = (ts) =>
+        new Date(new Date(ts).getTime() + p_tz_offset_minutes * 60000);
+      const keyOf = (p) =>
+        p_group === "round"
+          ? String(p.round_id)
+          : p_group === "day"
+            ? local(p.created_at).toISOString().slice(0, 10)
+            : p_group === "hour"
+              ? String(local(p.created_at).getUTCHours())
+              : "all";
+
+      const orders = table("payments").filter(
+        (p) =>
+          (p_from == null || new Date(p.created_at) >= new Date(p_from)) &&
+          (p_to == null || new Date(p.created_at) <= new Date(p_to)) &&
+          (p_round_id == null || sameId(p.round_id, p_round_id))
+      );
+
+      const buckets = new Map();
+      for (const p of orders) {
+        const key = keyOf(p);
+        if (!buckets.has(key)) {
+          buckets.set(key, {
+            key,
+            orders_created: 0,
+            orders_paid: 0,
+            orders_successful: 0,
+            revenue: 0,
+            discounts: 0,
+            refunded: 0,
+            tickets_sold: 0,
+            prizes: 0,
+            buyers: new Map(),
+          });
+        }
+        const bucket = buckets.get(key);
+
+        bucket.orders_created++;
+        if (p.status === "success" || p.status === "refunded") {
+          bucket.orders_paid++;
+        }
+        if (p.status === "refunded") bucket.refunded += Number(p.amount);
+        if (p.status !== "success") continue;
+
+        bucket.orders_successful++;
+        bucket.revenue += Number(p.amount);
+        bucket.discounts += Number(p.discount || 0);
+        bucket.tickets_sold += Number(p.quantity);
+        for (const t of table("tickets")) {
+          if (t.order_id !== p.order_id) continue;
+          for (const w of table("winners")) {
+            if (w.ticket_code === t.ticket_code) {
+              bucket.prizes += Number(w.prize_amount);
+            }
+          }
+        }
+
+        const buyer = String(p.user_id ?? p.mobile);
+        bucket.buyers.set(buyer, (bucket.buyers.get(buyer) || 0) + 1);
+      }
+
+      return [...buckets.values()]
+        .sort((a, b) => (a.key < b.key ? -1 : 1))
+        .map(({ buyers, ...bucket }) => ({
+          ...bucket,
+          buyers: buyers.size,
+          repeat_buyers: [...buyers.values()].filter((n) => n > 1).length,
+        }));
+    },
+
+    settle_agent_commissions({
+      p_agent_id,
+      p_reference,
+      p_note,
+      p_created_by,
+    }) {
+      if (!table("agents").some((a) => sameId(a.id, p_agent_id))) {
+        throw notFound(`Agent ${p_agent_id} not found`);
+      }
+
+      const open = table("agent_commissions").filter(
+        (c) =>
+          sameId(c.agent_id, p_agent_id) &&
+          ["earned", "clawback"].includes(c.status)
+      );
+      const total = (status) =>
+        open
+          .filter((c) => c.status === status)
+          .reduce((sum, c) => sum + cents(c.commission), 0);
+      const earned = total("earned");
+      const clawback = total("clawback");
+      if (earned - clawback <= 0) return null;
+
+      const settlement = insert("agent_settlements", {
+        agent_id: Number(p_agent_id),
+        total: (earned - clawback) / 100,
+        earned: earned / 100,
+        clawback: clawback / 100,
+        orders: open.length,
+        reference: p_reference,
+        note: p_note ?? null,
+        created_by: p_created_by ?? null,
+      });
+
+      for (const c of open) {
+        Object.assign(c, {
+          status: c.status === "earned" ? "settled" : "clawback_settled",
+          settlement_id: settlement.id,
+          settled_at: now(),
+        });
+      }
+      return settlement;
+    },
+
+    promo_hold({ p_promo_id, p_order_id, p_mobile, p_discount }) {
+      const reason = promoUnavailableReason(p_promo_id, p_mobile, null);
+      if (reason) return { held: false, reason };
+
+      insert("promo_redemptions", {
+        promo_id: Number(p_promo_id),
+        order_id: p_order_id,
+        mobile: p_mobile,
+        discount: p_discount,
+        status: "reserved",
+      });
+      return { held: true };
+    },
+
+    promo_redeem({ p_order_id }) {
+      const use = table("promo_redemptions").find(
+        (r) => r.order_id === p_order_id
+      );
+      if (!use || use.status === "redeemed") return true;
+
+      if (
+        use.status === "released" &&
+        ["used_up", "mobile_limit"].includes(
+          promoUnavailableReason(use.promo_id, use.mobile, p_order_id)
+        )
+      ) {
+        return false;
+      }
+
+      Object.assign(use, {
+        status: "redeemed",
+        redeemed_at: now(),
+        released_at: null,
+      });
+      return true;
+    },
+
+    wallet_post({
+      p_key,
+      p_type,
+      p_user_id,
+      p_reference,
+      p_memo,
+      p_legs,
+      p_allow_overdraft = false,
+    }) {
+      const existing = table("wallet_transactions").find(
+        (t) => t.idempotency_key === p_key
+      );
+      if (existing) {
+        return { posted: true, duplicate: true, transaction: existing };
+      }
+
+      if (p_legs.reduce((sum, leg) => sum + cents(leg.amount), 0) !== 0) {
+        throw new Error(`Wallet transaction ${p_key} is unbalanced`);
+      }
+
+      const net = new Map();
+      for (const leg of p_legs) {
+        net.set(leg.account, (net.get(leg.account) || 0) + cents(leg.amount));
+      }
+
+      const overdrawn = [...net].some(
+        ([account, amount]) =>
+          account.startsWith("wallet:") &&
+          amount < 0 &&
+          cents(walletBalanceRow(account).balance) + amount < 0
+      );
+      if (overdrawn && !p_allow_overdraft) {
+        return { posted: false, reason: "insufficient_funds" };
+      }
+
+      const transaction = insert("wallet_transactions", {
+        idempotency_key: p_key,
+        type: p_type,
+        user_id: p_user_id,
+        amount:
+          p_legs.reduce((sum, leg) => sum + Math.max(cents(leg.amount), 0), 0) /
+          100,
+        reference: p_reference,
+        memo: p_memo,
+      });
+
+      for (const leg of p_legs) {
+        insert("wallet_entries", {
+          transaction_id: transaction.id,
+          account: leg.account,
+          user_id: p_user_id,
+          amount: Number(leg.amount),
+        });
+      }
+
+      for (const [account, amount] of net) {
+        const row = walletBalanceRow(account);
+        row.balance = (cents(row.balance) + amount) / 100;
+        row.updated_at = now();
+      }
+
+      return { posted: true, duplicate: false, transaction };
+    },
+
+    wallet_pay_order({
+      p_order_id,
+      p_user_id,
+      p_account,
+      p_sales_account,
+      p_max_amount,
+    }) {
+      const payment = table("payments").find(
+        (p) => p.order_id === p_order_id && sameId(p.user_id, p_user_id)
+      );
+      if (!payment) throw notFound(`Order ${p_order_id} not found`);
+
+      const key = `purchase:${p_order_id}`;
+      const existing = table("wallet_transactions").find(
+        (t) => t.idempotency_key === key
+      );
+      if (existing) return existing.amount;
+
+      const balance = Number(walletBalanceRow(p_account).balance);
+      const amount = Math.min(Math.max(balance, 0), Number(p_max_amount));
+      if (amount <= 0) return 0;
+
+      rpcs.wallet_post({
+        p_key: key,
+        p_type: "purchase",
+        p_user_id,
+        p_reference: p_order_id,
+        p_memo: null,
+        p_legs: [
+          { account: p_account, amount: -amount },
+          { account: p_sales_account, amount },
+        ],
+      });
+
+      payment.wallet_amount = amount;
+      if (amount >= Number(payment.amount)) payment.gateway = "wallet";
+      return amount;
+    },
+
+    wallet_pay_claim({ p_claim_id, p_account, p_from_account }) {
+      const claim = table("prize_claims").find((c) => sameId(c.id, p_claim_id));
+      if (!claim) throw notFound(`Claim ${p_claim_id} not found`);
+
+      if (claim.status !== "approved" || claim.payout_method !== "wallet") {
+        return { paid: false, status: claim.status };
+      }
+
+      const amount = Number(claim.prize_amount);
+      const { transaction } = rpcs.wallet_post({
+        p_key: `prize:${claim.ticket_code}`,
+        p_type: "prize_credit",
+        p_user_id: claim.user_id,
+        p_reference: claim.ticket_code,
+        p_memo: `Prize for ticket ${claim.ticket_code}`,
+        p_legs: [
+          { account: p_from_account, amount: -amount },
+          { account: p_account, amount },
+        ],
+        p_allow_overdraft: true,
+      });
+
+      Object.assign(claim, {
+        status: "paid",
+        transaction_ref: `WALLET_${transaction.id}`,
+        paid_at: now(),
+        updated_at: now(),
+      });
+      return { paid: true, claim, transaction };
+    },
+
+    wallet_close_withdrawal({
+      p_withdrawal_id,
+      p_from_status,
+      p_status,
+      p_held_account,
+      p_to_account,
+      p_reason = null,
+      p_transaction_ref = null,
+      p_reviewed_by = null,
+    }) {
+      const withdrawal = table("wallet_withdrawals").find((w) =>
+        sameId(w.id, p_withdrawal_id)
+      );
+      if (!withdrawal) {
+        throw notFound(`Withdrawal ${p_withdrawal_id} not found`);
+      }
+
+      if (withdrawal.status !== p_from_status) {
+        return { closed: false, reason: "changed", status: withdrawal.status };
+      }
+      const held = table("wallet_transactions").some(
+        (t) => t.idempotency_key === `withdrawal:${p_withdrawal_id}`
+      );
+      if (!held) {
+        return { closed: false, reason: "not_held", status: withdrawal.status };
+      }
+
+      const type =
+        p_status === "rejected" ? "withdrawal_reversal" : "withdrawal_paid";
+      const amount = Number(withdrawal.amount);
+      const { transaction } = rpcs.wallet_post({
+        p_key: `${type}:${p_withdrawal_id}`,
+        p_type: type,
+        p_user_id: withdrawal.user_id,
+        p_reference: String(p_withdrawal_id),
+        p_memo: p_reason ?? p_transaction_ref,
+        p_legs: [
+          { account: p_held_account, amount: -amount },
+          { account: p_to_account, amount },
+        ],
+      });
+
+      Object.assign(withdrawal, {
+        status: p_status,
+        rejection_reason: p_reason ?? withdrawal.rejection_reason,
+        transaction_ref: p_transaction_ref ?? withdrawal.transaction_ref,
+        reviewed_by: p_reviewed_by ?? withdrawal.reviewed_by,
+        reviewed_at: p_reviewed_by == null ? withdrawal.reviewed_at : now(),
+        paid_at: p_status === "paid" ? now() : withdrawal.paid_at,
+        updated_at: now(),
+      });
+      return { closed: true, withdrawal, transaction };
+    },
+  };
+
+  return rpcs;
+}
@@ -0,0 +1,148 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+describe("ticket purchase", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app?.close());
+
+  test("a paid order gets its tickets and confirms its reservation", async () => {
+    const order = await app.buyTickets({ mobile: "9000000001", quantity: 3 });
+
+    assert.equal(order.amount, 303);
+    assert.equal(order.quantity, 3);
+    assert.match(order.payment_url, /\/api\/mock-gateway\/pay\//);
+
+    const verified = await app.post("/api/verify-payment", {
+      order_id: order.order_id,
+    });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.tickets.length, 3);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+    assert.equal(payment.status, "success");
+    assert.equal(payment.gateway, "mock");
+
+    const tickets = app.db
+      .table("tickets")
+      .filter((t) => t.order_id === order.order_id);
+    assert.deepEqual(
+      tickets.map((t) => t.ticket_code).sort(),
+      [...verified.body.tickets].sort()
+    );
+    assert.ok(tickets.every((t) => t.status === "confirmed"));
+
+    const reservation = app.db
+      .table("ticket_reservations")
+      .find((r) => r.order_id === order.order_id);
+    assert.equal(reservation.status, "confirmed");
+
+    const remaining = await app.get("/api/tickets/remaining");
+    assert.equal(remaining.body.sold, 3);
+  });
+
+  test("checking a paid order again issues nothing new", async () => {
+    const order = await app.buyTickets({ mobile: "9000000002", quantity: 2 });
+
+    const first = await app.post("/api/verify-payment", {
+      order_id: order.order_id,
+    });
+    const second = await app.post("/api/verify-payment", {
+      order_id: order.order_id,
+    });
+
+    assert.deepEqual(second.body.tickets.sort(), first.body.tickets.sort());
+    assert.equal(
+      app.db.table("tickets").filter((t) => t.order_id === order.order_id)
+        .length,
+      2
+    );
+  });
+
+  test("a failed payment issues no tickets and frees the stock", async () => {
+    const created = await app.post("/api/create-order", {
+      name: "Test Player",
+      mobile: "9000000003",
+      quantity: 4,
+    });
+    assert.equal(created.status, 200);
+
+    const before = await app.get("/api/tickets/remaining");
+    assert.equal(before.body.reserved, 4);
+
+    const failed = await app.get(
+      `/api/mock-gateway/pay/${created.body.order_id}?result=failed`
+    );
+    assert.equal(failed.body.status, "failed");
+
+    const verified = await app.post("/api/verify-payment", {
+      order_id: created.body.order_id,
+    });
+    assert.equal(verified.status, 400);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === created.body.order_id);
+    assert.equal(payment.status, "failed");
+    assert.equal(
+      app.db
+        .table("tickets")
+        .filter((t) => t.order_id === created.body.order_id).length,
+      0
+    );
+
+    const afterFailure = await app.get("/api/tickets/remaining");
+    assert.equal(afterFailure.body.reserved, 0);
+  });
+
+  test("an order bigger than the stock left is refused", async () => {
+    const remaining = await app.get("/api/tickets/remaining");
+    for (const round of app.db.table("lottery_rounds")) {
+      round.total_tickets = remaining.body.sold + 1;
+    }
+
+    const res = await app.post("/api/create-order", {
+      name: "Test Player",
+      mobile: "9000000004",
+      quantity: 2,
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.remaining, 1);
+    assert.equal(
+      app.db.table("payments").filter((p) => p.mobile === "9000000004").length,
+      0
+    );
+  });
+
+  test("a mobile with two accounts always gets the oldest", async () => {
+    const mobile = "9000000005";
+    app.db.seed({
+      users: [
+        { name: "First", mobile },
+        { name: "Second", mobile },
+      ],
+    });
+    const [oldest] = app.db.table("users").filter((u) => u.mobile === mobile);
+
+    const token = await app.playerToken(mobile);
+    const me = await app.get("/api/me", { token });
+    assert.equal(me.status, 200);
+    assert.equal(String(me.body.user.id), String(oldest.id));
+
+    for (const round of app.db.table("lottery_rounds")) {
+      round.total_tickets = 1000;
+    }
+    const order = await app.buyTickets({ mobile, quantity: 1 });
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+    assert.equal(String(payment.user_id), String(oldest.id));
+  });
+});
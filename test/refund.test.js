@@ -0,0 +1,256 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+describe("refunds", () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    app = await startApp();
+    adminToken = await app.adminToken();
+  });
+
+  after(() => app?.close());
+
+  const refund = (orderId, body = { reason: "test refund" }, token) =>
+    app.post(`/api/admin/payments/${orderId}/refund`, body, {
+      token: token === undefined ? adminToken : token,
+    });
+
+  test("refunding a paid order voids its tickets and frees the stock", async () => {
+    const order = await app.buyTickets({ mobile: "9000000201", quantity: 3 });
+    const sold = (await app.get("/api/tickets/remaining")).body.sold;
+
+    const res = await refund(order.order_id);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.refund_status, "refunded");
+    assert.equal(res.body.refund_ref, `MOCKREF_${order.order_id}`);
+    assert.equal(res.body.voided_tickets.length, 3);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+    assert.equal(payment.status, "refunded");
+    assert.equal(payment.refund_status, "refunded");
+
+    const tickets = app.db
+      .table("tickets")
+      .filter((t) => t.order_id === order.order_id);
+    assert.ok(tickets.every((t) => t.status === "void"));
+
+    const remaining = await app.get("/api/tickets/remaining");
+    assert.equal(remaining.body.sold, sold - 3);
+
+    const audit = app.db
+      .table("audit_log")
+      .filter(
+        (e) => e.action === "payment.refunded" && e.entity_id === order.order_id
+      );
+    assert.equal(audit.length, 1);
+  });
+
+  test("an order is only refunded once", async () => {
+    const order = await app.buyTickets({ mobile: "9000000202", quantity: 1 });
+
+    assert.equal((await refund(order.order_id)).status, 200);
+
+    const again = await refund(order.order_id);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, "conflict");
+  });
+
+  test("an unpaid order has nothing to refund", async () => {
+    const created = await app.post("/api/create-order", {
+      name: "Test Player",
+      mobile: "9000000203",
+      quantity: 1,
+    });
+
+    const res = await refund(created.body.order_id);
+    assert.equal(res.status, 409);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === created.body.order_id);
+    assert.equal(payment.refund_status ?? null, null);
+  });
+
+  test("refunds need an admin", async () => {
+    const order = await app.buyTickets({ mobile: "9000000204", quantity: 1 });
+
+    const res = await refund(order.order_id, { reason: "x" }, null);
+    assert.equal(res.status, 401);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+    assert.equal(payment.status, "success");
+  });
+
+  test("nothing is paid back while the tickets can't be voided", async () => {
+    const order = await app.buyTickets({ mobile: "9000000207", quantity: 2 });
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+
+    const restore = app.db.failWrites("tickets");
+    let failed;
+    try {
+      failed = await refund(order.order_id);
+    } finally {
+      restore();
+    }
+    assert.equal(failed.status, 500);
+    assert.equal(payment.status, "success");
+    assert.equal(payment.refund_status ?? null, null);
+    assert.equal(payment.refund_ref ?? null, null);
+
+    const retried = await refund(order.order_id);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.voided_tickets.length, 2);
+  });
+
+  test("an unknown order is reported as such", async () => {
+    const res = await refund("ORD_DOES_NOT_EXIST");
+    assert.equal(res.status, 404);
+  });
+
+  test("a refund stands even when its audit entry can't be written yet", async () => {
+    const first = await app.buyTickets({ mobile: "9000000205", quantity: 1 });
+    const second = await app.buyTickets({ mobile: "9000000206", quantity: 1 });
+    const refundedEntries = (orderId) =>
+      app.db
+        .table("audit_log")
+        .filter(
+          (e) => e.action === "payment.refunded" && e.entity_id === orderId
+        );
+
+    const restore = app.db.failWrites("audit_log");
+    let res;
+    try {
+      res = await refund(first.order_id);
+    } finally {
+      restore();
+    }
+    assert.equal(res.status, 200);
+    assert.equal(res.body.refund_status, "refunded");
+    assert.equal(refundedEntries(first.order_id).length, 0);
+
+    // The waiting entry is written ahead of the next one
+    assert.equal((await refund(second.order_id)).status, 200);
+    const [late] = refundedEntries(first.order_id);
+    const [next] = refundedEntries(second.order_id);
+    assert.ok(late && next);
+    assert.ok(late.id < next.id);
+
+    const chain = await app.get("/api/admin/audit/verify", {
+      token: adminToken,
+    });
+    assert.equal(chain.body.valid, true);
+  });
+});
+
+describe("payments for a closed round", () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    app = await startApp();
+    adminToken = await app.adminToken();
+  });
+
+  after(() => app?.close());
+
+  const admin = (url, body = {}) => app.post(url, body, { token: adminToken });
+  const paymentOf = (orderId) =>
+    app.db.table("payments").find((p) => p.order_id === orderId);
+
+  async function createOrder(mobile) {
+    const res = await app.post("/api/create-order", {
+      name: "Test Player",
+      mobile,
+      quantity: 1,
+    });
+    assert.equal(res.status, 200);
+    return res.body.order_id;
+  }
+
+  test("a payment that lands after the draw is refunded", async () => {
+    await app.buyTickets({ mobile: "9000000211", quantity: 4 });
+    const late = await createOrder("9000000212");
+
+    await admin("/api/admin/rounds/1/prize-tiers", {
+      tiers: [{ rank: 1, winner_count: 1, amount: 100 }],
+    });
+    await admin("/api/admin/rounds/1/entropy-source", {
+      entropy_source: "test",
+    });
+    await admin("/api/admin/rounds/1/close");
+    const draw = await admin("/api/admin/rounds/1/draw", {
+      public_entropy: "late-payment-test",
+    });
+    assert.equal(draw.status, 200);
+
+    await app.get(`/api/mock-gateway/pay/${late}?result=success`);
+
+    const payment = paymentOf(late);
+    assert.equal(payment.status, "refunded");
+    assert.equal(payment.refund_status, "refunded");
+    assert.equal(
+      app.db.table("tickets").filter((t) => t.order_id === late).length,
+      0
+    );
+  });
+
+  test("a payment that lands after a cancellation is refunded", async () => {
+    assert.equal((await admin("/api/admin/rounds", {})).status, 200);
+    const late = await createOrder("9000000213");
+
+    const cancel = await admin("/api/admin/rounds/2/refund-all", {
+      reason: "test",
+    });
+    assert.equal(cancel.status, 200);
+
+    await app.get(`/api/mock-gateway/pay/${late}?result=success`);
+
+    const payment = paymentOf(late);
+    assert.equal(payment.status, "refunded");
+    assert.equal(payment.refund_status, "refunded");
+  });
+
+  test("cancelling a round settles every order in it", async () => {
+    assert.equal((await admin("/api/admin/rounds", {})).status, 200);
+    const paid = await app.buyTickets({ mobile: "9000000214", quantity: 1 });
+    const manual = await app.buyTickets({ mobile: "9000000215", quantity: 1 });
+    const unpaid = await createOrder("9000000216");
+    paymentOf(manual.order_id).refund_status = "manual_required";
+
+    const res = await admin("/api/admin/rounds/3/refund-all", {
+      reason: "test",
+    });
+    assert.equal(res.status, 200);
+
+    const outcome = Object.fromEntries(
+      res.body.results.map((r) => [r.order_id, r.refund_status])
+    );
+    assert.deepEqual(outcome, {
+      [paid.order_id]: "refunded",
+      [manual.order_id]: "manual_required",
+      [unpaid]: "expired",
+    });
+    assert.deepEqual(res.body.summary, {
+      refunded: 1,
+      manual_required: 1,
+      expired: 1,
+    });
+
+    assert.equal(paymentOf(unpaid).status, "expired");
+    const reservation = app.db
+      .table("ticket_reservations")
+      .find((r) => r.order_id === unpaid);
+    assert.equal(reservation.status, "released");
+    assert.equal(reservation.release_reason, "round_cancelled");
+  });
+});
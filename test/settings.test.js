@@ -0,0 +1,61 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+describe("settings", () => {
+  let app;
+  let adminToken;
+
+  before(async () => {
+    app = await startApp();
+    adminToken = await app.adminToken();
+  });
+
+  after(() => app?.close());
+
+  const admin = (url, body = {}) => app.post(url, body, { token: adminToken });
+
+  test("round values only apply to the next round", async () => {
+    await app.buyTickets({ mobile: "9000000501", quantity: 3 });
+
+    const saved = await admin("/api/admin/settings", {
+      ticket_price: 150,
+      total_tickets: 2,
+      lottery_date: "2030-01-01T00:00:00Z",
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.status, "active");
+
+    const [round] = app.db.table("lottery_rounds");
+    assert.equal(Number(round.ticket_price), 101);
+    assert.equal(round.total_tickets, 1000);
+    assert.equal(round.lottery_date ?? null, null);
+
+    const order = await app.post("/api/create-order", {
+      name: "Test Player",
+      mobile: "9000000502",
+      quantity: 1,
+    });
+    assert.equal(order.status, 200);
+    assert.equal(order.body.amount, 101);
+
+    const settings = await app.get("/api/admin/settings", {
+      token: adminToken,
+    });
+    assert.equal(Number(settings.body.ticket_price), 101);
+    assert.equal(settings.body.next_round.ticket_price, 150);
+
+    await admin("/api/admin/rounds/1/refund-all", { reason: "test" });
+    const next = await admin("/api/admin/rounds", {});
+    assert.equal(next.status, 200);
+    assert.equal(Number(next.body.round.ticket_price), 150);
+    assert.equal(next.body.round.total_tickets, 2);
+  });
+
+  test("the round number can't be set", async () => {
+    const res = await admin("/api/admin/settings", { lottery_round: 7 });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /lottery_round/);
+    assert.equal(app.db.table("lottery_rounds").at(-1).round_number, 2);
+  });
+});
@@ -0,0 +1,305 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+const MOBILE = "9000000401";
+
+describe("wallet", () => {
+  let app;
+  let adminToken;
+  let playerToken;
+
+  before(async () => {
+    app = await startApp();
+    adminToken = await app.adminToken();
+    playerToken = await app.playerToken(MOBILE);
+  });
+
+  after(() => app?.close());
+
+  const admin = (url, body = {}) => app.post(url, body, { token: adminToken });
+  const wallet = async () =>
+    (await app.get("/api/me/wallet", { token: playerToken })).body;
+  const trialBalance = async () =>
+    (await app.get("/api/admin/wallet/balances", { token: adminToken })).body;
+
+  test("prizes claimed to the wallet are credited once", async () => {
+    // The only buyer in the round holds every winning ticket
+    await app.buyTickets(
+      { mobile: MOBILE, quantity: 10 },
+      { token: playerToken }
+    );
+    await admin("/api/admin/rounds/1/prize-tiers", {
+      tiers: [
+        { rank: 1, winner_count: 1, amount: 300 },
+        { rank: 2, winner_count: 1, amount: 150 },
+      ],
+    });
+    await admin("/api/admin/rounds/1/entropy-source", {
+      entropy_source: "test",
+    });
+    await admin("/api/admin/rounds/1/close");
+    const draw = await admin("/api/admin/rounds/1/draw", {
+      public_entropy: "wallet-test",
+    });
+    assert.equal(draw.status, 200);
+
+    const claims = [];
+    for (const { ticket_code } of draw.body.winners) {
+      const res = await app.post(
+        "/api/me/claims",
+        { ticket_code, payout_method: "wallet" },
+        { token: playerToken }
+      );
+      assert.equal(res.status, 200);
+      assert.equal(res.body.claim.status, "paid");
+      assert.match(res.body.claim.transaction_ref, /^WALLET_\d+$/);
+      claims.push(res.body.claim);
+    }
+
+    assert.equal((await wallet()).balance, 450);
+
+    const again = await admin(
+      `/api/admin/claims/${claims[0].id}/credit-wallet`
+    );
+    assert.equal(again.status, 409);
+    assert.equal((await wallet()).balance, 450);
+    assert.equal(
+      app.db
+        .table("wallet_transactions")
+        .filter((t) => t.type === "prize_credit").length,
+      2
+    );
+
+    const balances = await trialBalance();
+    assert.equal(balances.balanced, true);
+    assert.equal(balances.balances.player_wallets, 450);
+    assert.equal(balances.balances["house:prizes"], -450);
+  });
+
+  test("a wallet that covers the order pays it without the gateway", async () => {
+    assert.equal((await admin("/api/admin/rounds", {})).status, 200);
+
+    const order = await app.buyTickets(
+      { mobile: MOBILE, quantity: 2, use_wallet: true },
+      { token: playerToken }
+    );
+    assert.equal(order.wallet_amount, 202);
+    assert.equal(order.payment_url, null);
+    assert.equal(order.status, "success");
+    assert.equal(order.tickets.length, 2);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+    assert.equal(payment.gateway, "wallet");
+    assert.equal(payment.wallet_amount, 202);
+
+    assert.equal((await wallet()).balance, 248);
+  });
+
+  test("a short wallet pays part and the gateway the rest", async () => {
+    const order = await app.buyTickets(
+      { mobile: MOBILE, quantity: 3, use_wallet: true },
+      { token: playerToken }
+    );
+    assert.equal(order.amount, 303);
+    assert.equal(order.wallet_amount, 248);
+    assert.ok(order.payment_url);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+    assert.equal(payment.gateway, "mock");
+    assert.equal(payment.status, "success");
+    assert.equal((await wallet()).balance, 0);
+
+    const refund = await admin(`/api/admin/payments/${order.order_id}/refund`, {
+      reason: "test",
+    });
+    assert.equal(refund.status, 200);
+    assert.equal(refund.body.wallet_refund, 248);
+    assert.equal((await wallet()).balance, 248);
+  });
+
+  test("a withdrawal can't take more than the balance", async () => {
+    const before = app.db.table("wallet_transactions").length;
+
+    const res = await app.post(
+      "/api/me/wallet/withdrawals",
+      { amount: 300, payout_method: "upi", upi_id: "player@okaxis" },
+      { token: playerToken }
+    );
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Insufficient wallet balance");
+    assert.equal(app.db.table("wallet_transactions").length, before);
+    assert.equal(app.db.table("wallet_withdrawals").length, 0);
+
+    const ok = await app.post(
+      "/api/me/wallet/withdrawals",
+      { amount: 200, payout_method: "upi", upi_id: "player@okaxis" },
+      { token: playerToken }
+    );
+    assert.equal(ok.status, 200);
+
+    const summary = await wallet();
+    assert.equal(summary.balance, 48);
+    assert.equal(summary.pending_withdrawals, 200);
+  });
+
+  test("every posting keeps the ledger balanced", async () => {
+    const balances = await trialBalance();
+    assert.equal(balances.balanced, true);
+    assert.equal(balances.total, 0);
+    assert.equal(balances.balances.player_wallets, 48);
+    assert.equal(balances.balances["house:withdrawals_pending"], 200);
+
+    // Running totals agree with the entries they summarize
+    const fromEntries = new Map();
+    for (const entry of app.db.table("wallet_entries")) {
+      fromEntries.set(
+        entry.account,
+        (fromEntries.get(entry.account) || 0) + Number(entry.amount)
+      );
+    }
+    for (const row of app.db.table("wallet_balances")) {
+      assert.equal(Number(row.balance), fromEntries.get(row.account) || 0);
+    }
+  });
+
+  test("a refund returns the wallet share even if its audit entry fails", async () => {
+    const order = await app.buyTickets(
+      { mobile: MOBILE, quantity: 1, use_wallet: true },
+      { token: playerToken }
+    );
+    assert.equal(order.wallet_amount, 48);
+    assert.equal((await wallet()).balance, 0);
+
+    const restore = app.db.failWrites("audit_log");
+    let refund;
+    try {
+      refund = await admin(`/api/admin/payments/${order.order_id}/refund`, {
+        reason: "test",
+      });
+    } finally {
+      restore();
+    }
+    assert.equal(refund.status, 200);
+    assert.equal(refund.body.wallet_refund, 48);
+
+    const payment = app.db
+      .table("payments")
+      .find((p) => p.order_id === order.order_id);
+    assert.equal(payment.status, "refunded");
+    assert.ok(payment.wallet_refunded_at);
+    assert.equal((await wallet()).balance, 48);
+  });
+
+  test("reconciliation returns a wallet share the refund missed", async () => {
+    const order = await app.buyTickets(
+      { mobile: MOBILE, quantity: 1, use_wallet: true },
+      { token: playerToken }
+    );
+    assert.equal((await wallet()).balance, 0);
+
+    const restore = app.db.failWrites("wallet_post");
+    let refund;
+    try {
+      refund = await admin(`/api/admin/payments/${order.order_id}/refund`, {
+        reason: "test",
+      });
+    } finally {
+      restore();
+    }
+    assert.equal(refund.status, 200);
+    assert.equal(refund.body.wallet_refund, 0);
+    assert.equal((await wallet()).balance, 0);
+
+    const run = await admin("/api/admin/reconciliation/run");
+    assert.equal(run.status, 200);
+    assert.ok(
+      run.body.run.details.some(
+        (d) => d.order_id === order.order_id && d.outcome === "wallet_refunded"
+      )
+    );
+    assert.equal((await wallet()).balance, 48);
+
+    const again = await admin("/api/admin/reconciliation/run");
+    assert.ok(
+      !again.body.run.details.some((d) => d.order_id === order.order_id)
+    );
+    assert.equal((await wallet()).balance, 48);
+    assert.equal((await trialBalance()).balanced, true);
+  });
+
+  test("rejecting a withdrawal gives the held amount back", async () => {
+    const [held] = app.db.table("wallet_withdrawals");
+    const res = await admin(`/api/admin/wallet/withdrawals/${held.id}/reject`, {
+      reason: "test",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.withdrawal.status, "rejected");
+    assert.equal(res.body.withdrawal.rejection_reason, "test");
+
+    const summary = await wallet();
+    assert.equal(summary.balance, 248);
+    assert.equal(summary.pending_withdrawals, 0);
+
+    const again = await admin(
+      `/api/admin/wallet/withdrawals/${held.id}/reject`,
+      { reason: "test" }
+    );
+    assert.equal(again.status, 409);
+    assert.equal((await wallet()).balance, 248);
+  });
+
+  test("a paid withdrawal leaves the house", async () => {
+    const requested = await app.post(
+      "/api/me/wallet/withdrawals",
+      { amount: 100, payout_method: "upi", upi_id: "player@okaxis" },
+      { token: playerToken }
+    );
+    const { id } = requested.body.withdrawal;
+    assert.equal(
+      (await admin(`/api/admin/wallet/withdrawals/${id}/approve`)).status,
+      200
+    );
+
+    const paid = await admin(`/api/admin/wallet/withdrawals/${id}/mark-paid`, {
+      transaction_ref: "UTR123",
+    });
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.withdrawal.status, "paid");
+    assert.equal(paid.body.withdrawal.transaction_ref, "UTR123");
+
+    const balances = await trialBalance();
+    assert.equal(balances.balanced, true);
+    assert.equal(balances.balances.player_wallets, 148);
+    assert.equal(balances.balances["house:withdrawals_pending"], 0);
+    assert.equal(balances.balances["house:paid_out"], 100);
+  });
+
+  test("a withdrawal whose amount was never held can't be paid", async () => {
+    const user = app.db.table("users").find((u) => u.mobile === MOBILE);
+    app.db.seed({
+      wallet_withdrawals: [
+        {
+          user_id: user.id,
+          amount: 100,
+          status: "approved",
+          payout_method: "upi",
+          upi_id: "player@okaxis",
+        },
+      ],
+    });
+    const leftover = app.db.table("wallet_withdrawals").at(-1);
+
+    const res = await admin(
+      `/api/admin/wallet/withdrawals/${leftover.id}/mark-paid`,
+      { transaction_ref: "UTR456" }
+    );
+    assert.equal(res.status, 409);
+    assert.equal(leftover.status, "approved");
+    assert.equal((await trialBalance()).balances["house:paid_out"], 100);
+  });
+});
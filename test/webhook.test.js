@@ -0,0 +1,160 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { MOCK_GATEWAY_SECRET, startApp } from "./helpers/app.js";
+
+function signedCallback(app, body, secret = MOCK_GATEWAY_SECRET) {
+  const raw = JSON.stringify(body);
+  return app.request("POST", "/api/payment/webhook/mock", {
+    body: raw,
+    headers: {
+      "content-type": "application/json",
+      "x-webhook-signature": crypto
+        .createHmac("sha256", secret)
+        .update(raw)
+        .digest("hex"),
+    },
+  });
+}
+
+describe("payment webhook", () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app?.close());
+
+  async function createOrder(mobile, quantity = 1) {
+    const res = await app.post("/api/create-order", {
+      name: "Test Player",
+      mobile,
+      quantity,
+    });
+    assert.equal(res.status, 200);
+    return res.body.order_id;
+  }
+
+  const paymentOf = (orderId) =>
+    app.db.table("payments").find((p) => p.order_id === orderId);
+  const ticketsOf = (orderId) =>
+    app.db.table("tickets").filter((t) => t.order_id === orderId);
+
+  test("rejects a callback with a bad signature", async () => {
+    const orderId = await createOrder("9000000101");
+
+    const res = await signedCallback(
+      app,
+      { order_id: orderId, status: "SUCCESS" },
+      "not-the-secret"
+    );
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "unauthorized");
+    assert.equal(paymentOf(orderId).status, "created");
+    assert.equal(ticketsOf(orderId).length, 0);
+  });
+
+  test("a success the gateway doesn't confirm issues nothing", async () => {
+    const orderId = await createOrder("9000000102");
+
+    const res = await signedCallback(app, {
+      order_id: orderId,
+      status: "SUCCESS",
+    });
+    assert.equal(res.status, 409);
+    assert.equal(paymentOf(orderId).status, "created");
+    assert.equal(ticketsOf(orderId).length, 0);
+  });
+
+  test("a confirmed success issues tickets once, however often it arrives", async () => {
+    const orderId = await createOrder("9000000103", 2);
+
+    // The checkout page marks the order paid and sends the first callback
+    await app.get(`/api/mock-gateway/pay/${orderId}?result=success`);
+    assert.equal(paymentOf(orderId).status, "success");
+    const issued = ticketsOf(orderId).map((t) => t.ticket_code);
+    assert.equal(issued.length, 2);
+
+    const replay = await signedCallback(app, {
+      order_id: orderId,
+      status: "SUCCESS",
+    });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.status, "success");
+    assert.equal(replay.body.alreadyIssued, true);
+    assert.deepEqual(
+      ticketsOf(orderId).map((t) => t.ticket_code),
+      issued
+    );
+  });
+
+  test("a failure the gateway doesn't confirm leaves the order open", async () => {
+    const orderId = await createOrder("9000000104");
+
+    const res = await signedCallback(app, {
+      order_id: orderId,
+      status: "FAILED",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "pending");
+    assert.equal(paymentOf(orderId).status, "created");
+
+    // Still payable afterwards
+    await app.get(`/api/mock-gateway/pay/${orderId}?result=success`);
+    assert.equal(paymentOf(orderId).status, "success");
+    assert.equal(ticketsOf(orderId).length, 1);
+  });
+
+  test("a confirmed failure marks the order failed", async () => {
+    const orderId = await createOrder("9000000106");
+
+    // The checkout page records the failure and sends the callback
+    await app.get(`/api/mock-gateway/pay/${orderId}?result=failed`);
+    assert.equal(paymentOf(orderId).status, "failed");
+
+    const replay = await signedCallback(app, {
+      order_id: orderId,
+      status: "FAILED",
+    });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.status, "failed");
+  });
+
+  test("a pending or unknown status changes nothing", async () => {
+    const orderId = await createOrder("9000000107");
+
+    for (const status of ["PENDING", "INITIATED", undefined]) {
+      const res = await signedCallback(app, { order_id: orderId, status });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, "pending");
+      assert.equal(paymentOf(orderId).status, "created");
+    }
+  });
+
+  test("a gateway can't settle another gateway's order", async () => {
+    const orderId = await createOrder("9000000105");
+    paymentOf(orderId).gateway = "upifastpe";
+
+    const res = await signedCallback(app, {
+      order_id: orderId,
+      status: "SUCCESS",
+    });
+    assert.equal(res.status, 400);
+    assert.equal(paymentOf(orderId).status, "created");
+  });
+
+  test("callbacks for unknown gateways or orders are refused", async () => {
+    const unknownGateway = await app.post("/api/payment/webhook/nope", {
+      order_id: "ORD_X",
+      status: "SUCCESS",
+    });
+    assert.equal(unknownGateway.status, 404);
+
+    const unknownOrder = await signedCallback(app, {
+      order_id: "ORD_DOES_NOT_EXIST",
+      status: "SUCCESS",
+    });
+    assert.equal(unknownOrder.status, 404);
+  });
+});